@@ -0,0 +1,41 @@
+/**
+ * anthropic.js - Anthropic LLM Provider
+ *
+ * The default provider. The rest of the code speaks the Messages API
+ * already, so this adapter hands calls straight to @anthropic-ai/sdk.
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+
+/**
+ * Create the Anthropic provider
+ * @param {object} options - config/llm.json "anthropic" block
+ * @param {string} options.apiKeyEnv - Environment variable holding the key (default: ANTHROPIC_API_KEY)
+ * @param {string} options.baseURL - Optional API URL (proxies, test servers)
+ * @returns {object} - Provider ({ name, messages: { create, stream } })
+ * @throws {Error} if the API key is not set
+ */
+export function createAnthropicProvider(options = {}) {
+  const apiKeyEnv = options.apiKeyEnv || 'ANTHROPIC_API_KEY';
+  const apiKey = process.env[apiKeyEnv];
+  if (!apiKey) {
+    throw new Error(`${apiKeyEnv} environment variable is not set`);
+  }
+
+  const client = new Anthropic({
+    apiKey,
+    ...(options.baseURL && { baseURL: options.baseURL })
+  });
+
+  return {
+    name: 'anthropic',
+    messages: {
+      create: params => client.messages.create(params),
+      stream(params, { onText, signal } = {}) {
+        const stream = client.messages.stream(params, { signal });
+        if (onText) stream.on('text', onText);
+        return stream.finalMessage();
+      }
+    }
+  };
+}
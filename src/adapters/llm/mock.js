@@ -0,0 +1,104 @@
+/**
+ * mock.js - Deterministic Mock LLM Provider
+ *
+ * Answers without a network or an API key, the same way every time:
+ * - the first configured response whose pattern matches the prompt
+ * - otherwise, for prompts that ask for JSON, the example JSON the
+ *   prompt itself shows (so callers' parsing paths still run)
+ * - otherwise a fixed default text
+ * Every request is kept in provider.calls for inspection. Streamed
+ * replies arrive a word at a time.
+ */
+
+export const DEFAULT_MOCK_TEXT = 'Mock response: no LLM was called for this text.';
+
+/**
+ * Flatten a request's system prompt and messages to one string
+ * @param {object} params - Messages API params
+ * @returns {string}
+ */
+function getPromptText(params) {
+  const toText = content => (typeof content === 'string'
+    ? content
+    : (content || []).map(block => block.text || '').join('\n'));
+
+  return [
+    params.system ? toText(params.system) : '',
+    ...params.messages.map(message => toText(message.content))
+  ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * The example JSON a prompt asks the model to follow
+ * Takes the first top-level object or array after "valid JSON".
+ * @param {string} prompt
+ * @returns {string|null}
+ */
+export function getExampleJson(prompt) {
+  const match = prompt.match(/valid JSON[^\n]*\n+([{[][\s\S]*?\n[}\]])(\n|$)/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Create the mock provider
+ * @param {object} options - config/llm.json "mock" block
+ * @param {Array} options.responses - [{ match: 'regex', text: '...' }], first match wins
+ * @param {string} options.defaultText - Reply when nothing else applies
+ * @returns {object} - Provider ({ name, calls, messages: { create, stream } })
+ * @throws {Error} if a response pattern is not a valid regex
+ */
+export function createMockProvider(options = {}) {
+  const responses = (options.responses || []).map(({ match, text }) => {
+    try {
+      return { pattern: new RegExp(match, 'i'), text };
+    } catch (error) {
+      throw new Error(`Invalid mock response pattern in config/llm.json: ${match}`, { cause: error });
+    }
+  });
+  const calls = [];
+
+  async function create(params) {
+    calls.push(params);
+    const prompt = getPromptText(params);
+    const text = responses.find(({ pattern }) => pattern.test(prompt))?.text
+      ?? getExampleJson(prompt)
+      ?? options.defaultText
+      ?? DEFAULT_MOCK_TEXT;
+
+    return {
+      id: `msg_mock_${calls.length}`,
+      type: 'message',
+      role: 'assistant',
+      model: params.model || 'mock',
+      content: [{ type: 'text', text }],
+      stop_reason: 'end_turn',
+      usage: {
+        // Rough 4-characters-per-token estimate, stable across runs
+        input_tokens: Math.ceil(prompt.length / 4),
+        output_tokens: Math.ceil(text.length / 4)
+      }
+    };
+  }
+
+  async function stream(params, { onText, signal } = {}) {
+    const message = await create(params);
+    let snapshot = '';
+
+    for (const delta of message.content[0].text.match(/\s*\S+|\s+$/g) || []) {
+      // Yield between words so an abort can land mid-reply
+      await new Promise(resolve => setImmediate(resolve));
+      if (signal?.aborted) {
+        throw new Error('Request was aborted.', { cause: signal.reason });
+      }
+      snapshot += delta;
+      onText?.(delta, snapshot);
+    }
+    return message;
+  }
+
+  return {
+    name: 'mock',
+    calls,
+    messages: { create, stream }
+  };
+}
@@ -0,0 +1,145 @@
+/**
+ * openai.js - OpenAI-compatible LLM Provider
+ *
+ * Talks to anything that serves the Chat Completions API: OpenAI itself,
+ * or a local server such as llama.cpp, Ollama or LM Studio via baseURL.
+ * Requests and responses are translated to and from the Messages API
+ * shape so callers don't need to know which provider is behind them.
+ */
+
+import OpenAI from 'openai';
+
+// Chat Completions finish reasons → Messages API stop reasons
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  content_filter: 'refusal',
+  tool_calls: 'tool_use'
+};
+
+/**
+ * Flatten Messages API content (string or content blocks) to text
+ * @param {string|Array} content
+ * @returns {string}
+ */
+function toText(content) {
+  if (typeof content === 'string') return content;
+  return (content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n');
+}
+
+/**
+ * Translate Messages API params to a Chat Completions request
+ * @param {object} params - { model, system, messages, max_tokens, temperature }
+ * @param {string} model - Model to ask for
+ * @returns {object}
+ */
+export function toChatRequest(params, model) {
+  const messages = params.messages.map(message => ({
+    role: message.role,
+    content: toText(message.content)
+  }));
+
+  if (params.system) {
+    messages.unshift({ role: 'system', content: toText(params.system) });
+  }
+
+  return {
+    model,
+    messages,
+    max_tokens: params.max_tokens,
+    ...(params.temperature !== undefined && { temperature: params.temperature })
+  };
+}
+
+/**
+ * Translate a Chat Completions response to the Messages API shape
+ * @param {object} completion - Chat Completions response
+ * @returns {object} - { id, model, content: [{ type: 'text', text }], stop_reason, usage }
+ */
+export function fromChatCompletion(completion) {
+  const choice = completion.choices?.[0];
+  if (!choice) {
+    throw new Error('Chat completion returned no choices');
+  }
+
+  return {
+    id: completion.id,
+    type: 'message',
+    role: 'assistant',
+    model: completion.model,
+    content: [{ type: 'text', text: choice.message?.content || '' }],
+    stop_reason: STOP_REASONS[choice.finish_reason] || choice.finish_reason || null,
+    usage: {
+      input_tokens: completion.usage?.prompt_tokens ?? 0,
+      output_tokens: completion.usage?.completion_tokens ?? 0
+    }
+  };
+}
+
+/**
+ * Create the OpenAI-compatible provider
+ * Local servers usually don't check the key, so one is only required
+ * when talking to OpenAI itself (no baseURL).
+ * @param {object} options - config/llm.json "openai" block
+ * @param {string} options.apiKeyEnv - Environment variable holding the key (default: OPENAI_API_KEY)
+ * @param {string} options.baseURL - Server URL (e.g. 'http://localhost:11434/v1' for Ollama)
+ * @param {string} options.model - Model used whenever a task asks for a Claude model
+ * @returns {object} - Provider ({ name, messages: { create, stream } })
+ * @throws {Error} if the API key is missing for api.openai.com, or no model is set
+ */
+export function createOpenAIProvider(options = {}) {
+  const apiKeyEnv = options.apiKeyEnv || 'OPENAI_API_KEY';
+  const apiKey = process.env[apiKeyEnv];
+  if (!apiKey && !options.baseURL) {
+    throw new Error(`${apiKeyEnv} environment variable is not set`);
+  }
+  if (!options.model) {
+    throw new Error('Set "model" under "openai" in config/llm.json');
+  }
+
+  const client = new OpenAI({
+    apiKey: apiKey || 'local',
+    ...(options.baseURL && { baseURL: options.baseURL })
+  });
+
+  // Task settings default to Claude models, which mean nothing to this server
+  const modelFor = params => (params.model && !params.model.startsWith('claude-') ? params.model : options.model);
+
+  return {
+    name: 'openai',
+    messages: {
+      async create(params) {
+        const completion = await client.chat.completions.create(toChatRequest(params, modelFor(params)));
+        return fromChatCompletion(completion);
+      },
+
+      async stream(params, { onText, signal } = {}) {
+        const chunks = await client.chat.completions.create({
+          ...toChatRequest(params, modelFor(params)),
+          stream: true,
+          stream_options: { include_usage: true }
+        }, { signal });
+
+        // Rebuild a whole completion from the chunks
+        const completion = { choices: [{ message: { content: '' }, finish_reason: null }] };
+        for await (const chunk of chunks) {
+          const choice = chunk.choices?.[0];
+          completion.id = chunk.id;
+          completion.model = chunk.model;
+          if (chunk.usage) completion.usage = chunk.usage;
+          if (choice?.finish_reason) completion.choices[0].finish_reason = choice.finish_reason;
+
+          const delta = choice?.delta?.content;
+          if (delta) {
+            completion.choices[0].message.content += delta;
+            onText?.(delta, completion.choices[0].message.content);
+          }
+        }
+        return fromChatCompletion(completion);
+      }
+    }
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * config.js - JSON Configuration Loading
+ *
+ * Team-tunable settings live in config/*.json so behaviour can be
+ * changed without editing code. Every loader passes its own defaults,
+ * so a missing file (or a missing key) just means "use the defaults".
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Config directory (2 levels up from src/core), overridable for tests
+const CONFIG_DIR = process.env.DAILY_VOICE_CONFIG_DIR || path.join(__dirname, '../../config');
+
+// Data directory every module reads and writes (notes, posts, digests,
+// caches of user state), overridable for tests like CONFIG_DIR
+export const DATA_DIR = process.env.DAILY_VOICE_DATA_DIR || path.join(__dirname, '../../data');
+
+/**
+ * Check for a plain object (not an array, not null)
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep merge overrides into defaults
+ * Objects are merged key by key, everything else (arrays included) is replaced.
+ * @param {object} defaults - Default values
+ * @param {object} overrides - Values from the config file
+ * @returns {object} - New merged object
+ */
+export function mergeConfig(defaults, overrides) {
+  if (!isPlainObject(overrides)) {
+    return defaults;
+  }
+
+  const merged = { ...defaults };
+
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = isPlainObject(value) && isPlainObject(defaults?.[key])
+      ? mergeConfig(defaults[key], value)
+      : value;
+  }
+
+  return merged;
+}
+
+/**
+ * Get the absolute path of a config file
+ * @param {string} name - Config name without extension (e.g. 'sources')
+ * @returns {string} - Absolute path to config/<name>.json
+ */
+export function getConfigPath(name) {
+  return path.join(CONFIG_DIR, `${name}.json`);
+}
+
+/**
+ * Load a config file and merge it over the given defaults
+ * @param {string} name - Config name without extension (e.g. 'sources')
+ * @param {object} defaults - Defaults used for anything the file doesn't set
+ * @returns {Promise<object>} - Merged config
+ * @throws {Error} if the file exists but isn't valid JSON
+ */
+export async function loadConfig(name, defaults = {}) {
+  const filePath = getConfigPath(name);
+
+  try {
+    const content = await fs.readFile(filePath, 'utf-8');
+    return mergeConfig(defaults, JSON.parse(content));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return defaults; // No config file - use defaults
+    }
+    throw new Error(`Invalid config file ${filePath}: ${error.message}`);
+  }
+}
@@ -12,25 +12,7 @@
  * - generateCorrectedThought() - Rewrite thought with corrections
  */
 
-import Anthropic from '@anthropic-ai/sdk';
-
-// Initialize Claude API client
-let anthropic;
-
-/**
- * Initialize the Anthropic client
- * @throws {Error} if ANTHROPIC_API_KEY is not set
- */
-function initializeClient() {
-  if (!anthropic) {
-    const apiKey = process.env.ANTHROPIC_API_KEY;
-    if (!apiKey) {
-      throw new Error('ANTHROPIC_API_KEY environment variable is not set');
-    }
-    anthropic = new Anthropic({ apiKey });
-  }
-  return anthropic;
-}
+import { getLLMClient, getTaskSettings } from './llm.js';
 
 /**
  * Detect if user is requesting fact-checking
@@ -39,9 +21,10 @@ function initializeClient() {
  * Claude analyzes the full context to determine if fact-checking is requested.
  *
  * @param {string} thought - User's thought/idea
+ * @param {object} options - Overrides the "factCheckIntent" task settings ({ model, temperature, maxTokens })
  * @returns {Promise<object>} - { needsFactCheck: boolean, confidence: number, reasoning: string }
  */
-export async function detectFactCheckRequest(thought) {
+export async function detectFactCheckRequest(thought, options = {}) {
   if (!thought || typeof thought !== 'string' || thought.trim().length === 0) {
     return {
       needsFactCheck: false,
@@ -50,7 +33,7 @@ export async function detectFactCheckRequest(thought) {
     };
   }
 
-  const client = initializeClient();
+  const client = await getLLMClient();
 
   const prompt = `Analyze this user input and determine if they are requesting fact-checking or research validation.
 
@@ -78,9 +61,7 @@ OR if no fact-checking requested:
 
   try {
     const response = await client.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 200,
-      temperature: 0, // Deterministic for classification
+      ...(await getTaskSettings('factCheckIntent', options)),
       messages: [
         {
           role: 'user',
@@ -125,14 +106,15 @@ OR if no fact-checking requested:
  * Separates factual claims from opinions and subjective statements.
  *
  * @param {string} thought - User's thought/idea
+ * @param {object} options - Overrides the "claimExtraction" task settings
  * @returns {Promise<Array>} - Array of claims with metadata
  */
-export async function extractClaims(thought) {
+export async function extractClaims(thought, options = {}) {
   if (!thought || typeof thought !== 'string' || thought.trim().length === 0) {
     return [];
   }
 
-  const client = initializeClient();
+  const client = await getLLMClient();
 
   const prompt = `Extract all factual claims that can be verified from this text. Focus on claims that can be checked against external sources.
 
@@ -169,9 +151,7 @@ If there are NO factual claims to verify (only opinions), return empty array: []
 
   try {
     const response = await client.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 500,
-      temperature: 0, // Deterministic extraction
+      ...(await getTaskSettings('claimExtraction', options)),
       messages: [
         {
           role: 'user',
@@ -273,9 +253,10 @@ export function prepareClaimForResearch(claim) {
  * This is faster but limited to Claude's knowledge cutoff.
  *
  * @param {object} claim - Claim object with { claim, type, context }
+ * @param {object} options - Overrides the "claimEvaluation" task settings
  * @returns {Promise<object>} - Evaluation result
  */
-export async function evaluateClaimWithKnowledge(claim) {
+export async function evaluateClaimWithKnowledge(claim, options = {}) {
   if (!claim || !claim.claim) {
     return {
       claim: claim?.claim || 'Unknown claim',
@@ -286,7 +267,7 @@ export async function evaluateClaimWithKnowledge(claim) {
     };
   }
 
-  const client = initializeClient();
+  const client = await getLLMClient();
 
   const prompt = `Verify this factual claim based on your knowledge.
 
@@ -334,9 +315,7 @@ OR for unclear:
 
   try {
     const response = await client.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 500,
-      temperature: 0,
+      ...(await getTaskSettings('claimEvaluation', options)),
       messages: [
         {
           role: 'user',
@@ -385,9 +364,10 @@ OR for unclear:
  *
  * @param {object} claim - Claim object
  * @param {string} searchResults - Raw search results from WebSearch
+ * @param {object} options - Overrides the "claimEvaluation" task settings
  * @returns {Promise<object>} - Evaluation result
  */
-export async function evaluateClaim(claim, searchResults) {
+export async function evaluateClaim(claim, searchResults, options = {}) {
   if (!claim || !searchResults) {
     return {
       claim: claim?.claim || 'Unknown claim',
@@ -398,7 +378,7 @@ export async function evaluateClaim(claim, searchResults) {
     };
   }
 
-  const client = initializeClient();
+  const client = await getLLMClient();
 
   const prompt = `Evaluate this factual claim against web search results.
 
@@ -438,9 +418,7 @@ Status options: "VERIFIED", "INCORRECT", "PARTIALLY_CORRECT", "UNCLEAR"`;
 
   try {
     const response = await client.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 500,
-      temperature: 0,
+      ...(await getTaskSettings('claimEvaluation', options)),
       messages: [
         {
           role: 'user',
@@ -489,9 +467,10 @@ Status options: "VERIFIED", "INCORRECT", "PARTIALLY_CORRECT", "UNCLEAR"`;
  *
  * @param {string} originalThought - User's original thought
  * @param {Array} evaluations - Array of claim evaluations
+ * @param {object} options - Overrides the "correction" task settings
  * @returns {Promise<string>} - Corrected thought
  */
-export async function generateCorrectedThought(originalThought, evaluations) {
+export async function generateCorrectedThought(originalThought, evaluations, options = {}) {
   if (!originalThought || !evaluations || evaluations.length === 0) {
     return originalThought; // No corrections needed
   }
@@ -505,7 +484,7 @@ export async function generateCorrectedThought(originalThought, evaluations) {
     return originalThought; // All verified, no changes needed
   }
 
-  const client = initializeClient();
+  const client = await getLLMClient();
 
   // Build corrections list
   const correctionsList = needsCorrection
@@ -533,9 +512,7 @@ Respond with ONLY the corrected thought text, no explanations or meta-commentary
 
   try {
     const response = await client.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 1000,
-      temperature: 0.3, // Slight creativity for natural rewriting
+      ...(await getTaskSettings('correction', options)),
       messages: [
         {
           role: 'user',
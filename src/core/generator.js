@@ -5,79 +5,29 @@
  * human-feeling social media posts.
  *
  * Uses:
- * - Claude API for generation
+ * - The configured LLM provider (Claude by default, see llm.js)
  * - Templates as inspiration (not rigid rules)
  * - Humanization rules to avoid AI detection
  * - User's past posts to learn their voice
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { getLLMClient, getTaskSettings, getMaxTemperature } from './llm.js';
 import { getTemplatesAsInspiration, getPlatformGuidelines } from './templates.js';
 import { getHumanizationPrompt, validateHumanFeel } from './humanize.js';
-import { getHistory } from './storage.js';
+import { buildVoiceProfile, formatVoicePrompt } from './voice.js';
 import { optimizeThread } from './thread-optimizer.js';
 
-// Initialize Claude API client
-let anthropic;
-
 /**
- * Initialize the Anthropic client
- * @throws {Error} if ANTHROPIC_API_KEY is not set
+ * Load user's voice profile from published posts
+ * @returns {Promise<object|null>} - Voice profile, null if it couldn't be built
  */
-function initializeClient() {
-  if (!anthropic) {
-    const apiKey = process.env.ANTHROPIC_API_KEY;
-    if (!apiKey) {
-      throw new Error('ANTHROPIC_API_KEY environment variable is not set');
-    }
-    anthropic = new Anthropic({ apiKey });
-  }
-  return anthropic;
-}
-
-/**
- * Load user's voice from past approved posts
- * Analyzes recent published posts to understand writing style
- * @param {number} limit - Number of recent posts to analyze (default: 5)
- * @returns {Promise<string>} - Formatted voice examples
- */
-async function getUserVoice(limit = 5) {
+async function getUserVoice() {
   try {
-    const history = await getHistory(limit);
-    const publishedPosts = history.filter(item => item.status === 'published');
-
-    if (publishedPosts.length === 0) {
-      return 'No past posts available yet. Generate in a professional but authentic voice.';
-    }
-
-    let voiceExamples = `Here are ${publishedPosts.length} examples of the user's past posts to match their voice:\n\n`;
-
-    publishedPosts.forEach((post, index) => {
-      voiceExamples += `Example ${index + 1}:\n`;
-
-      // Include Twitter version if available
-      if (post.content?.twitter) {
-        voiceExamples += `Twitter: ${post.content.twitter}\n`;
-      }
-
-      // Include LinkedIn version if available
-      if (post.content?.linkedin) {
-        voiceExamples += `LinkedIn: ${post.content.linkedin.substring(0, 300)}...\n`;
-      }
-
-      voiceExamples += '\n';
-    });
-
-    voiceExamples += 'IMPORTANT: Match this user\'s voice, tone, and style. Notice:\n';
-    voiceExamples += '- How they structure their thoughts\n';
-    voiceExamples += '- Their level of formality/casualness\n';
-    voiceExamples += '- How they use examples and specifics\n';
-    voiceExamples += '- Their natural rhythm and pacing\n';
-
-    return voiceExamples;
+    return await buildVoiceProfile();
   } catch (error) {
-    // Silently fall back - first-time users won't have voice history yet
-    return 'No past posts available. Generate in a professional but authentic voice.';
+    // Generate without the profile rather than not at all, but say why
+    console.warn(`Could not build voice profile: ${error.message}`);
+    return null;
   }
 }
 
@@ -173,13 +123,37 @@ ${templateInspiration}
 Remember: Your goal is to create content that sounds like it came from a real person sharing authentic thoughts, not a marketing bot or AI assistant.`;
 }
 
+/**
+ * Describe the article a thought reacts to
+ * @param {object} source - Discovered item ({ title, url, description })
+ * @returns {string} - Prompt section, empty without a source
+ */
+function buildSourceContext(source) {
+  if (!source?.title) return '';
+
+  const lines = [
+    'CONTEXT - the user is reacting to this article:',
+    `Title: ${source.title}`
+  ];
+  if (source.url) lines.push(`URL: ${source.url}`);
+  if (source.description) lines.push(`Summary: ${source.description.replace(/\s+/g, ' ').trim().slice(0, 500)}`);
+  lines.push(
+    '',
+    'The post is the user\'s take on it, not a summary of it. Lead with their opinion, use the article only as background, and include the URL once if it fits naturally.'
+  );
+
+  return `\n${lines.join('\n')}\n`;
+}
+
 /**
  * Build the user prompt for a specific thought
  * @param {string} thought - The user's thought/idea
- * @param {string} userVoice - Examples of user's past posts
+ * @param {object|null} voiceProfile - From buildVoiceProfile() (examples and style features)
+ * @param {object} source - Optional discovered item the thought reacts to
+ * @param {number} voiceLimit - Example posts to include (default: 5)
  * @returns {string} - User prompt for Claude
  */
-function buildUserPrompt(thought, userVoice) {
+function buildUserPrompt(thought, voiceProfile, source, voiceLimit = 5) {
   // Determine length guidance based on input
   const inputLength = thought.length;
   let lengthGuidance = '';
@@ -194,8 +168,8 @@ function buildUserPrompt(thought, userVoice) {
     lengthGuidance = 'This is a LONG thought. A full thread (5-8 tweets) is appropriate to do it justice.';
   }
   
-  return `${userVoice}
-
+  return `${formatVoicePrompt(voiceProfile, voiceLimit)}
+${buildSourceContext(source)}
 USER'S THOUGHT (${inputLength} chars):
 "${thought}"
 
@@ -203,13 +177,46 @@ ${lengthGuidance}
 
 Generate the post. Make it:
 - Engaging and authentic
-- True to the user's voice (see examples above)
+- True to the user's voice (see examples and style above)
 - Platform-appropriate
 - Human-feeling (no AI tells)
 
 Return ONLY the post content, no explanations or meta-commentary.`;
 }
 
+/**
+ * Stream a Messages request, reporting text as it arrives
+ * If options.signal aborts mid-stream, the text received so far comes
+ * back as a message with stop_reason 'aborted' instead of an error.
+ * @param {object} client - From getLLMClient()
+ * @param {object} request - Messages API params
+ * @param {string} platform - Passed to options.onText
+ * @param {object} options - { onText(platform, delta, snapshot), signal }
+ * @returns {Promise<object>} - Messages API response
+ */
+async function streamMessage(client, request, platform, options) {
+  let text = '';
+
+  try {
+    return await client.messages.stream(request, {
+      signal: options.signal,
+      onText: (delta, snapshot) => {
+        text = snapshot;
+        options.onText(platform, delta, snapshot);
+      }
+    });
+  } catch (error) {
+    if (!options.signal?.aborted) throw error;
+
+    return {
+      model: request.model,
+      content: [{ type: 'text', text }],
+      stop_reason: 'aborted',
+      usage: null
+    };
+  }
+}
+
 /**
  * Generate a post for a specific platform
  * @param {string} thought - The user's thought/idea
@@ -218,21 +225,19 @@ Return ONLY the post content, no explanations or meta-commentary.`;
  * @returns {Promise<object>} - { content: string, validation: object }
  */
 async function generateForPlatform(thought, platform, options = {}) {
-  const client = initializeClient();
+  const client = await getLLMClient();
+  const settings = await getTaskSettings('generate', options, platform);
 
   // Load user's voice from past posts
-  const userVoice = await getUserVoice(options.voiceLimit || 5);
+  const voiceProfile = await getUserVoice();
 
   // Build prompts
   const systemPrompt = await buildSystemPrompt(platform);
-  const userPrompt = buildUserPrompt(thought, userVoice);
+  const userPrompt = buildUserPrompt(thought, voiceProfile, options.source, options.voiceLimit || 5);
 
   try {
-    // Call Claude API
-    const response = await client.messages.create({
-      model: options.model || 'claude-opus-4-5-20251101',
-      max_tokens: platform === 'twitter' ? 1000 : 2000,
-      temperature: 0.7, // Some creativity, but not too wild
+    const request = {
+      ...settings,
       system: systemPrompt,
       messages: [
         {
@@ -240,12 +245,27 @@ async function generateForPlatform(thought, platform, options = {}) {
           content: userPrompt
         }
       ]
-    });
+    };
+
+    // Call Claude API, streaming when the caller wants text as it arrives
+    const response = options.onText && client.messages.stream
+      ? await streamMessage(client, request, platform, options)
+      : await client.messages.create(request);
 
     // Extract content
     let rawContent = response.content[0].text.trim();
+    const partial = response.stop_reason === 'aborted';
+
+    if (partial && !rawContent) {
+      return {
+        content: null,
+        partial,
+        validation: { passes: false, score: 0, feedback: ['Cancelled before any text arrived'] }
+      };
+    }
 
     // For Twitter: Use thread optimizer to parse and validate
+    // (once, on the finished - or cancelled - text, never per token)
     let content;
     let isThread = false;
     let optimizationMetadata = {};
@@ -274,8 +294,10 @@ async function generateForPlatform(thought, platform, options = {}) {
       content,
       validation,
       isThread,
+      partial,
       metadata: {
         model: response.model,
+        temperature: settings.temperature,
         usage: response.usage,
         tweetCount: isThread ? content.length : 1,
         optimization: optimizationMetadata // Include optimization details
@@ -293,8 +315,13 @@ async function generateForPlatform(thought, platform, options = {}) {
  * @param {string} thought - The user's thought/idea
  * @param {object} options - Generation options
  * @param {string[]} options.platforms - Platforms to generate for (default: ['twitter', 'linkedin'])
- * @param {string} options.model - Claude model to use (default: opus-4-5)
- * @param {number} options.voiceLimit - Number of past posts to analyze (default: 5)
+ * @param {string} options.model - Overrides the "generate" task model (config/llm.json)
+ * @param {number} options.temperature - Overrides the "generate" task temperature
+ * @param {number} options.maxTokens - Overrides the "generate" task token limit
+ * @param {number} options.voiceLimit - Number of past posts shown as examples (default: 5)
+ * @param {object} options.source - Discovered item the thought reacts to ({ title, url, description })
+ * @param {Function} options.onText - Streams the response: called as (platform, delta, snapshot) while text arrives
+ * @param {AbortSignal} options.signal - Stops streaming; each platform keeps its text so far ({ partial: true })
  * @returns {Promise<object>} - { twitter?: {...}, linkedin?: {...} }
  */
 export async function generatePost(thought, options = {}) {
@@ -340,6 +367,7 @@ export async function generatePost(thought, options = {}) {
  * @param {string} feedback - User's feedback (e.g., "make it shorter", "more technical")
  * @param {string} platform - 'twitter' or 'linkedin'
  * @param {object} options - Additional options
+ * @param {string} options.model - Overrides the "refine" task settings (also temperature, maxTokens)
  * @returns {Promise<object>} - { content: string, validation: object }
  */
 export async function refinePost(draft, feedback, platform, options = {}) {
@@ -347,7 +375,8 @@ export async function refinePost(draft, feedback, platform, options = {}) {
     throw new Error('Draft, feedback, and platform are required');
   }
 
-  const client = initializeClient();
+  const client = await getLLMClient();
+  const settings = await getTaskSettings('refine', options, platform);
   const systemPrompt = await buildSystemPrompt(platform);
   const humanizationRules = getHumanizationPrompt(platform);
 
@@ -381,9 +410,7 @@ Return ONLY the revised post, no explanations.`;
 
   try {
     const response = await client.messages.create({
-      model: options.model || 'claude-opus-4-5-20251101',
-      max_tokens: platform === 'twitter' ? 1000 : 2000,
-      temperature: 0.7,
+      ...settings,
       system: systemPrompt,
       messages: [
         {
@@ -441,9 +468,10 @@ Return ONLY the revised post, no explanations.`;
  * @param {string} draft - The current draft
  * @param {string} action - 'shorter', 'longer', 'more_technical', 'less_technical', 'more_casual', 'more_professional'
  * @param {string} platform - 'twitter' or 'linkedin'
+ * @param {object} options - Passed to refinePost() ({ model, temperature, maxTokens })
  * @returns {Promise<object>} - Refined post
  */
-export async function quickRefine(draft, action, platform) {
+export async function quickRefine(draft, action, platform, options = {}) {
   const feedbackMap = {
     shorter: 'Make this significantly shorter while keeping the core message. Cut at least 30%.',
     longer: 'Expand this with more details, examples, or context.',
@@ -460,7 +488,7 @@ export async function quickRefine(draft, action, platform) {
     throw new Error(`Unknown action: ${action}. Available: ${Object.keys(feedbackMap).join(', ')}`);
   }
 
-  return refinePost(draft, feedback, platform);
+  return refinePost(draft, feedback, platform, options);
 }
 
 /**
@@ -470,19 +498,24 @@ export async function quickRefine(draft, action, platform) {
  * @param {string} thought - The user's thought
  * @param {string} platform - 'twitter' or 'linkedin'
  * @param {number} count - Number of variations (default: 3, max: 5)
+ * @param {object} options - Passed to generation ({ model, maxTokens, ... })
  * @returns {Promise<Array>} - Array of generated variations
  */
-export async function generateVariations(thought, platform, count = 3) {
+export async function generateVariations(thought, platform, count = 3, options = {}) {
   if (count > 5) {
     throw new Error('Maximum 5 variations allowed');
   }
 
+  const { temperature } = await getTaskSettings('generate', options, platform);
+  const maxTemperature = await getMaxTemperature();
   const variations = [];
 
   for (let i = 0; i < count; i++) {
     try {
       const result = await generateForPlatform(thought, platform, {
-        temperature: 0.7 + (i * 0.1) // Slight temperature variation for diversity
+        ...options,
+        // Slight temperature variation for diversity, within the provider's range
+        temperature: Math.min(maxTemperature, temperature + (i * 0.1))
       });
       variations.push({
         version: i + 1,
@@ -504,9 +537,10 @@ export async function generateVariations(thought, platform, count = 3) {
  *
  * @param {string} instruction - User's custom instruction
  * @param {Array<string>} availablePlatforms - Platforms to choose from (e.g., ['twitter', 'linkedin'])
+ * @param {object} options - Overrides the "intent" task settings ({ model, temperature, maxTokens })
  * @returns {Promise<object>} - { platforms: string[], cleanedInstruction: string }
  */
-export async function parsePlatformIntent(instruction, availablePlatforms) {
+export async function parsePlatformIntent(instruction, availablePlatforms, options = {}) {
   if (!instruction || !availablePlatforms || availablePlatforms.length === 0) {
     return {
       platforms: availablePlatforms || [],
@@ -514,7 +548,7 @@ export async function parsePlatformIntent(instruction, availablePlatforms) {
     };
   }
 
-  const client = initializeClient();
+  const client = await getLLMClient();
 
   const prompt = `Parse this user instruction to determine which platform(s) they want to modify.
 
@@ -545,9 +579,7 @@ Respond ONLY with valid JSON:
 
   try {
     const response = await client.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 200,
-      temperature: 0, // Deterministic for parsing
+      ...(await getTaskSettings('intent', options)),
       messages: [
         {
           role: 'user',
@@ -591,3 +623,72 @@ Respond ONLY with valid JSON:
     };
   }
 }
+
+/**
+ * Summarize an extracted article for the reading list
+ *
+ * @param {object} article - From extractArticle() ({ title, text })
+ * @param {object} options - Additional options
+ * @param {number} options.maxChars - Article text sent to the model (default: 12000)
+ * @param {string} options.model - Overrides the "summary" task settings (also temperature, maxTokens)
+ * @returns {Promise<object>} - { summary: string, keyPoints: string[] }
+ */
+export async function summarizeArticle(article, options = {}) {
+  if (!article?.text) {
+    throw new Error('Article text is required');
+  }
+
+  const client = await getLLMClient();
+  const maxChars = options.maxChars || 12000;
+
+  const prompt = `Summarize this article for someone deciding whether to read it in full.
+
+Title: ${article.title || 'Untitled'}
+
+Article:
+"""
+${article.text.slice(0, maxChars)}
+"""
+
+Write:
+1. A 2-3 sentence summary of what the article says (not what it "discusses")
+2. 3-5 key points - concrete takeaways, facts or techniques, one line each
+
+Respond ONLY with valid JSON:
+{
+  "summary": "...",
+  "keyPoints": ["...", "..."]
+}`;
+
+  try {
+    const response = await client.messages.create({
+      ...(await getTaskSettings('summary', options)),
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ]
+    });
+
+    const content = response.content[0].text.trim();
+
+    // Extract JSON from response
+    const jsonMatch = content.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error('Could not parse JSON from summary response');
+    }
+
+    const result = JSON.parse(jsonMatch[0]);
+
+    return {
+      summary: String(result.summary || '').trim(),
+      keyPoints: Array.isArray(result.keyPoints)
+        ? result.keyPoints.map(point => String(point).trim()).filter(Boolean)
+        : []
+    };
+
+  } catch (error) {
+    throw new Error(`Failed to summarize article: ${error.message}`);
+  }
+}
@@ -0,0 +1,242 @@
+/**
+ * llm.js - LLM Provider Selection
+ *
+ * Every model call in the app (generation, refinement, fact-checking,
+ * summaries) goes through the client returned here. Clients speak the
+ * Messages API (client.messages.create) whichever provider is behind
+ * them, and can stream a reply with
+ * client.messages.stream(params, { onText(delta, snapshot), signal }),
+ * which resolves to the same message create() would return.
+ * config/llm.json picks the provider:
+ * - anthropic: Claude via @anthropic-ai/sdk (default)
+ * - openai: OpenAI or any OpenAI-compatible server (llama.cpp, Ollama, ...)
+ * - mock: deterministic canned answers, no network or key needed
+ * DAILY_VOICE_LLM_PROVIDER overrides the configured provider and
+ * DAILY_VOICE_LLM_BASE_URL its server (e.g. the mock Messages server in
+ * tests/support/mock-llm-server.js).
+ */
+
+import { loadConfig } from './config.js';
+import { createAnthropicProvider } from '../adapters/llm/anthropic.js';
+import { createOpenAIProvider } from '../adapters/llm/openai.js';
+import { createMockProvider } from '../adapters/llm/mock.js';
+
+const PROVIDERS = {
+  anthropic: createAnthropicProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider
+};
+
+const OPUS = 'claude-opus-4-5-20251101';
+const SONNET = 'claude-sonnet-4-5-20250929';
+
+export const DEFAULT_LLM_CONFIG = {
+  provider: 'anthropic',
+  anthropic: {
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    baseURL: null
+  },
+  openai: {
+    apiKeyEnv: 'OPENAI_API_KEY',
+    baseURL: null,          // e.g. 'http://localhost:11434/v1' for Ollama
+    model: 'gpt-4o'
+  },
+  mock: {
+    responses: [],          // [{ "match": "regex", "text": "reply" }]
+    defaultText: null
+  },
+  // Model settings per task; maxTokens may be a number or a per-platform map
+  tasks: {
+    generate: { model: OPUS, temperature: 0.7, maxTokens: { twitter: 1000, linkedin: 2000 } },
+    refine: { model: OPUS, temperature: 0.7, maxTokens: { twitter: 1000, linkedin: 2000 } },
+    intent: { model: SONNET, temperature: 0, maxTokens: 200 },
+    factCheckIntent: { model: SONNET, temperature: 0, maxTokens: 200 },
+    claimExtraction: { model: SONNET, temperature: 0, maxTokens: 500 },
+    claimEvaluation: { model: SONNET, temperature: 0, maxTokens: 500 },
+    correction: { model: SONNET, temperature: 0.3, maxTokens: 1000 },
+    summary: { model: SONNET, temperature: 0.3, maxTokens: 600 }
+  }
+};
+
+const TASK_SETTINGS = ['model', 'temperature', 'maxTokens'];
+
+// Highest temperature each provider accepts (Chat Completions allows 0-2)
+const MAX_TEMPERATURE = { anthropic: 1, openai: 2, mock: 1 };
+
+// Client shared by every caller, created on first use
+let clientPromise = null;
+
+// Task settings from the command line (see parseTaskFlags), applied over config/llm.json
+let taskOverrides = {};
+
+/**
+ * Load LLM settings from config/llm.json (merged over the defaults)
+ * @returns {Promise<object>} - LLM config, provider and server already overridden from the environment
+ */
+export async function loadLLMConfig() {
+  const config = await loadConfig('llm', DEFAULT_LLM_CONFIG);
+  const provider = process.env.DAILY_VOICE_LLM_PROVIDER || config.provider;
+  const baseURL = process.env.DAILY_VOICE_LLM_BASE_URL;
+
+  return {
+    ...config,
+    provider,
+    ...(baseURL && { [provider]: { ...config[provider], baseURL } })
+  };
+}
+
+/**
+ * Create a provider client from LLM config
+ * @param {object} config - From loadLLMConfig()
+ * @returns {object} - Client ({ name, messages: { create, stream } })
+ * @throws {Error} for unknown providers or missing credentials
+ */
+export function createLLMClient(config = DEFAULT_LLM_CONFIG) {
+  const create = PROVIDERS[config.provider];
+  if (!create) {
+    throw new Error(`Unknown LLM provider: ${config.provider}. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return create(config[config.provider] || {});
+}
+
+/**
+ * Get the shared LLM client
+ * @returns {Promise<object>} - Client ({ name, messages: { create, stream } })
+ * @throws {Error} for unknown providers or missing credentials
+ */
+export async function getLLMClient() {
+  if (!clientPromise) {
+    clientPromise = loadLLMConfig()
+      .then(createLLMClient)
+      .catch(error => {
+        clientPromise = null; // Let the next call retry (e.g. after the key is set)
+        throw error;
+      });
+  }
+  return clientPromise;
+}
+
+/**
+ * Use a specific client for every later call (tests, scripts)
+ * @param {object|null} client - Client, or null to go back to config/llm.json
+ */
+export function setLLMClient(client) {
+  clientPromise = client ? Promise.resolve(client) : null;
+}
+
+/**
+ * Pick the settings a caller passed explicitly
+ * @param {object} options - Any options object ({ model, temperature, maxTokens, ... })
+ * @returns {object} - Only the task settings that are set
+ */
+function pickTaskSettings(options = {}) {
+  return Object.fromEntries(
+    TASK_SETTINGS
+      .filter(key => options[key] !== undefined && options[key] !== null)
+      .map(key => [key, options[key]])
+  );
+}
+
+/**
+ * Highest temperature the configured provider accepts
+ * @param {object} config - From loadLLMConfig() (default: loaded now)
+ * @returns {Promise<number>}
+ */
+export async function getMaxTemperature(config) {
+  const { provider } = config || await loadLLMConfig();
+  return MAX_TEMPERATURE[provider] ?? 1;
+}
+
+/**
+ * Resolve model, temperature and max_tokens for a task
+ * Later layers win: defaults, config/llm.json "tasks", command-line flags,
+ * then options passed to the call.
+ * @param {string} task - e.g. 'generate', 'intent', 'claimEvaluation'
+ * @param {object} options - Per-call overrides ({ model, temperature, maxTokens })
+ * @param {string} platform - Picks from a per-platform maxTokens map
+ * @returns {Promise<object>} - { model, temperature, max_tokens }, ready for messages.create()
+ * @throws {Error} for unknown tasks or out-of-range settings (temperature range depends on the provider)
+ */
+export async function getTaskSettings(task, options = {}, platform = null) {
+  const config = await loadLLMConfig();
+  const tasks = config.tasks || {};
+  if (!tasks[task]) {
+    throw new Error(`Unknown LLM task: ${task}. Available: ${Object.keys(tasks).join(', ')}`);
+  }
+
+  const settings = {
+    ...tasks[task],
+    ...pickTaskSettings(taskOverrides[task]),
+    ...pickTaskSettings(options)
+  };
+
+  const maxTokens = typeof settings.maxTokens === 'object'
+    ? settings.maxTokens[platform] ?? settings.maxTokens.default
+    : settings.maxTokens;
+  const temperature = Number(settings.temperature);
+  const maxTemperature = await getMaxTemperature(config);
+
+  if (!settings.model || typeof settings.model !== 'string') {
+    throw new Error(`No model set for LLM task ${task}`);
+  }
+  if (!Number.isFinite(temperature) || temperature < 0 || temperature > maxTemperature) {
+    throw new Error(`Invalid temperature for LLM task ${task}: ${settings.temperature} (expected 0-${maxTemperature} for ${config.provider})`);
+  }
+  if (!Number.isInteger(Number(maxTokens)) || Number(maxTokens) < 1) {
+    throw new Error(`Invalid maxTokens for LLM task ${task}${platform ? ` (${platform})` : ''}: ${maxTokens}`);
+  }
+
+  return { model: settings.model, temperature, max_tokens: Number(maxTokens) };
+}
+
+/**
+ * Read task settings from command-line flags
+ * --model, --temperature and --max-tokens apply to generation and
+ * refinement; prefix the value with a task name to target another task
+ * (--model intent=claude-haiku-4-5), including tasks only defined in
+ * config/llm.json. Flags may be repeated.
+ * @param {string[]} args - Command-line arguments
+ * @returns {Promise<object>} - { task: { model?, temperature?, maxTokens? } }
+ * @throws {Error} for missing or non-numeric values and unknown tasks
+ */
+export async function parseTaskFlags(args) {
+  const flags = { '--model': 'model', '--temperature': 'temperature', '--max-tokens': 'maxTokens' };
+  const tasks = (await loadLLMConfig()).tasks || {};
+  const overrides = {};
+
+  args.forEach((arg, index) => {
+    const [name, inline] = arg.split(/=(.*)/s);
+    const setting = flags[name];
+    if (!setting) return;
+
+    const value = inline ?? args[index + 1];
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`${name} needs a value`);
+    }
+
+    const scoped = value.match(/^([\w-]+)=(.+)$/);
+    const taskNames = scoped ? [scoped[1]] : ['generate', 'refine'];
+    if (scoped && !tasks[scoped[1]]) {
+      throw new Error(`Unknown LLM task in ${name}: ${scoped[1]}. Available: ${Object.keys(tasks).join(', ')}`);
+    }
+    const raw = scoped ? scoped[2] : value;
+    const parsed = setting === 'model' ? raw : Number(raw);
+    if (setting !== 'model' && !Number.isFinite(parsed)) {
+      throw new Error(`${name} must be a number, got "${raw}"`);
+    }
+
+    taskNames.forEach(task => {
+      overrides[task] = { ...overrides[task], [setting]: parsed };
+    });
+  });
+
+  return overrides;
+}
+
+/**
+ * Apply command-line task settings to every later call
+ * @param {object} overrides - From parseTaskFlags()
+ */
+export function setTaskOverrides(overrides = {}) {
+  taskOverrides = overrides;
+}
@@ -1,12 +1,7 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { DATA_DIR } from './config.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Base data directory (2 levels up from src/core)
-const DATA_DIR = path.join(__dirname, '../../data');
 const NOTES_DIR = path.join(DATA_DIR, 'notes');
 const DRAFTS_DIR = path.join(DATA_DIR, 'drafts');
 const PUBLISHED_DIR = path.join(DATA_DIR, 'published');
@@ -16,15 +11,18 @@ const PUBLISHED_DIR = path.join(DATA_DIR, 'published');
  * @param {string} thought - The user's raw thought
  * @param {string} category - Category (tech, ai, general)
  * @param {string[]} tags - Optional tags
+ * @param {Object} sourceItem - Optional digest item the thought is about ({ id, title, url, source })
  * @returns {Object} Saved note object with id
  */
-export async function saveNote(thought, category = 'general', tags = []) {
+export async function saveNote(thought, category = 'general', tags = [], sourceItem = null) {
   const note = {
     id: `note_${Date.now()}`,
     timestamp: new Date().toISOString(),
     thought,
     category,
     tags,
+    sourceItemId: sourceItem?.id || null,
+    ...(sourceItem && { sourceItem }),
     linkedPostId: null // Will be set when post is published
   };
 
@@ -0,0 +1,317 @@
+/**
+ * voice.js - Voice profile from published posts
+ *
+ * Reads everything the user has published (data/published/ plus
+ * data/archive/published/) and measures how they write: sentence
+ * length, emoji and contraction habits, how sentences open and the
+ * words they reach for. The profile is cached in data/voice-profile.json
+ * and rebuilt whenever a published post is added or changed.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { DATA_DIR } from './config.js';
+
+const PUBLISHED_DIRS = [
+  path.join(DATA_DIR, 'published'),
+  path.join(DATA_DIR, 'archive', 'published')
+];
+const PROFILE_PATH = path.join(DATA_DIR, 'voice-profile.json');
+
+// Bump when the profile format changes so old caches are rebuilt
+const PROFILE_VERSION = 1;
+// Examples kept in the profile (callers pick how many to show)
+const MAX_EXAMPLES = 10;
+
+const EMOJI = /\p{Extended_Pictographic}/gu;
+const CONTRACTION = /\b(\w+n['’]t|\w+['’](re|ve|ll|d|m)|(it|that|there|here|what|who|he|she|let)['’]s)\b/gi;
+const STOPWORDS = new Set([
+  'about', 'after', 'again', 'also', 'been', 'before', 'being', 'both', 'could', 'does', 'doing',
+  'each', 'even', 'every', 'from', 'have', 'having', 'here', 'into', 'just', 'like', 'made', 'make',
+  'more', 'most', 'much', 'only', 'other', 'over', 'really', 'same', 'should', 'some', 'still', 'such',
+  'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they', 'thing', 'things', 'this', 'those',
+  'through', 'very', 'want', 'were', 'what', 'when', 'where', 'which', 'while', 'will', 'with', 'would',
+  'your', 'yours', "it's", "that's", "don't", "i've", "i'm", "you're", "isn't", "can't", "didn't"
+]);
+
+/**
+ * List published post files with their modification times
+ * @returns {Promise<Array>} - [{ file, name, mtimeMs }], one per post ID (data/published/ wins)
+ */
+async function listPublishedFiles() {
+  const byName = new Map();
+
+  for (const dir of PUBLISHED_DIRS) {
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') continue; // Nothing published yet
+      throw error;
+    }
+
+    for (const name of files.filter(f => f.endsWith('.json')).sort()) {
+      if (byName.has(name)) continue;
+      const file = path.join(dir, name);
+      const { mtimeMs } = await fs.stat(file);
+      byName.set(name, { file, name, mtimeMs });
+    }
+  }
+
+  return Array.from(byName.values());
+}
+
+/**
+ * Load every published post, newest first
+ * @returns {Promise<Array>} - Post objects (unreadable files are skipped)
+ */
+export async function loadPublishedPosts() {
+  const files = await listPublishedFiles();
+  const posts = await Promise.all(files.map(async ({ file }) => {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+      return null; // Corrupt or half-written file - skip it
+    }
+  }));
+
+  return posts
+    .filter(post => post?.content)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+/**
+ * Plain text of a post per platform
+ * Threads may be stored as arrays or as JSON-encoded arrays; tweets are joined
+ * with blank lines.
+ * @param {object} post - Published post
+ * @returns {object} - { twitter: string|null, linkedin: string|null }
+ */
+export function getPostTexts(post) {
+  const toText = content => {
+    if (!content) return null;
+    let value = content;
+    if (typeof value === 'string' && value.trim().startsWith('[')) {
+      try {
+        value = JSON.parse(value);
+      } catch (error) {
+        // Not a thread, just starts with a bracket
+      }
+    }
+    const text = Array.isArray(value) ? value.join('\n\n') : String(value);
+    return text.trim() || null;
+  };
+
+  return {
+    twitter: toText(post.content?.twitter),
+    linkedin: toText(post.content?.linkedin)
+  };
+}
+
+/**
+ * Split text into sentences (line breaks end a sentence too)
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitSentences(text) {
+  return text
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/[*_#>`]/g, '')
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => /[a-z]/i.test(sentence));
+}
+
+/**
+ * Words of a text, lowercase, apostrophes kept
+ * @param {string} text
+ * @returns {string[]}
+ */
+function getWords(text) {
+  return text.toLowerCase().replace(/’/g, "'").match(/[a-z][a-z0-9']*/g) || [];
+}
+
+/**
+ * The most frequent entries of a count map
+ * @param {Map} counts - Entry → count
+ * @param {number} limit
+ * @param {number} minCount - Ignore entries seen fewer times
+ * @returns {string[]}
+ */
+function topEntries(counts, limit, minCount = 2) {
+  return Array.from(counts.entries())
+    .filter(([, count]) => count >= minCount)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([entry]) => entry);
+}
+
+/**
+ * Measure the writing style of a set of posts
+ * @param {string[]} texts - One entry per post (and platform)
+ * @returns {object} - { samples, avgSentenceLength (words), emojiPerPost, emojiShare (%),
+ *   contractionRate (per 100 words), questionShare (%), commonOpeners, vocabulary }
+ */
+export function extractStyleFeatures(texts) {
+  const samples = texts.filter(Boolean);
+  const openers = new Map();
+  const vocabulary = new Map();
+  let sentenceCount = 0;
+  let wordCount = 0;
+  let emojiCount = 0;
+  let postsWithEmoji = 0;
+  let contractionCount = 0;
+  let postsWithQuestion = 0;
+
+  samples.forEach(text => {
+    const emojis = text.match(EMOJI) || [];
+    emojiCount += emojis.length;
+    if (emojis.length > 0) postsWithEmoji++;
+    contractionCount += (text.match(CONTRACTION) || []).length;
+    if (text.includes('?')) postsWithQuestion++;
+
+    splitSentences(text).forEach(sentence => {
+      const words = getWords(sentence);
+      if (words.length === 0) return;
+      sentenceCount++;
+      wordCount += words.length;
+      const opener = words.slice(0, 2).join(' ');
+      openers.set(opener, (openers.get(opener) || 0) + 1);
+      words
+        .filter(word => word.length >= 4 && !STOPWORDS.has(word))
+        .forEach(word => vocabulary.set(word, (vocabulary.get(word) || 0) + 1));
+    });
+  });
+
+  const round = value => Math.round(value * 10) / 10;
+  const share = count => (samples.length ? Math.round((count / samples.length) * 100) : 0);
+
+  return {
+    samples: samples.length,
+    avgSentenceLength: sentenceCount ? round(wordCount / sentenceCount) : 0,
+    emojiPerPost: samples.length ? round(emojiCount / samples.length) : 0,
+    emojiShare: share(postsWithEmoji),
+    contractionRate: wordCount ? round((contractionCount / wordCount) * 100) : 0,
+    questionShare: share(postsWithQuestion),
+    commonOpeners: topEntries(openers, 5),
+    vocabulary: topEntries(vocabulary, 12)
+  };
+}
+
+/**
+ * Fingerprint of the published files, so the cache knows when to rebuild
+ * @param {Array} files - From listPublishedFiles()
+ * @returns {string}
+ */
+function fingerprintFiles(files) {
+  const listing = files.map(({ name, mtimeMs }) => `${name}:${Math.round(mtimeMs)}`).join('\n');
+  return crypto.createHash('sha1').update(listing).digest('hex');
+}
+
+/**
+ * Read the cached profile
+ * @returns {Promise<object|null>}
+ */
+async function readCachedProfile() {
+  try {
+    return JSON.parse(await fs.readFile(PROFILE_PATH, 'utf-8'));
+  } catch (error) {
+    return null; // No cache yet, or unreadable - rebuild
+  }
+}
+
+/**
+ * Build (or load from cache) the user's voice profile
+ * @param {object} options
+ * @param {boolean} options.refresh - Ignore the cache
+ * @returns {Promise<object>} - { version, fingerprint, builtAt, postCount, features, examples: [{ id, twitter, linkedin }] }
+ */
+export async function buildVoiceProfile(options = {}) {
+  const files = await listPublishedFiles();
+  const fingerprint = fingerprintFiles(files);
+
+  if (!options.refresh) {
+    const cached = await readCachedProfile();
+    if (cached?.version === PROFILE_VERSION && cached.fingerprint === fingerprint) {
+      return cached;
+    }
+  }
+
+  const posts = await loadPublishedPosts();
+  const texts = posts.map(getPostTexts);
+  const profile = {
+    version: PROFILE_VERSION,
+    fingerprint,
+    builtAt: new Date().toISOString(),
+    postCount: posts.length,
+    features: extractStyleFeatures(texts.flatMap(({ twitter, linkedin }) => [twitter, linkedin])),
+    examples: posts
+      .map((post, index) => ({ id: post.id, ...texts[index] }))
+      .slice(0, MAX_EXAMPLES)
+  };
+
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  await fs.writeFile(PROFILE_PATH, JSON.stringify(profile, null, 2));
+
+  return profile;
+}
+
+/**
+ * Describe measured style features in prompt-ready sentences
+ * @param {object} features - From extractStyleFeatures()
+ * @returns {string[]}
+ */
+export function describeStyle(features) {
+  const lines = [
+    `- Sentences average ${features.avgSentenceLength} words`,
+    features.emojiShare > 0
+      ? `- Emoji in ${features.emojiShare}% of posts (about ${features.emojiPerPost} per post) - use them as sparingly as that`
+      : '- No emoji',
+    features.contractionRate >= 1
+      ? `- Conversational: ${features.contractionRate} contractions per 100 words (don't, it's, I've)`
+      : '- Rarely uses contractions',
+    `- ${features.questionShare}% of posts ask the reader a question`
+  ];
+
+  if (features.commonOpeners.length > 0) {
+    lines.push(`- Sentences often open with: ${features.commonOpeners.map(opener => `"${opener}"`).join(', ')}`);
+  }
+  if (features.vocabulary.length > 0) {
+    lines.push(`- Words they reach for: ${features.vocabulary.join(', ')}`);
+  }
+
+  return lines;
+}
+
+/**
+ * Format a voice profile for the generation prompt
+ * @param {object|null} profile - From buildVoiceProfile()
+ * @param {number} limit - Example posts to include (default: 5)
+ * @returns {string}
+ */
+export function formatVoicePrompt(profile, limit = 5) {
+  if (!profile?.postCount) {
+    return 'No past posts available yet. Generate in a professional but authentic voice.';
+  }
+
+  const examples = profile.examples.slice(0, limit);
+  let prompt = `Here are ${examples.length} examples of the user's past posts to match their voice:\n\n`;
+
+  examples.forEach((example, index) => {
+    prompt += `Example ${index + 1}:\n`;
+    if (example.twitter) {
+      prompt += `Twitter: ${example.twitter}\n`;
+    }
+    if (example.linkedin) {
+      prompt += `LinkedIn: ${example.linkedin.substring(0, 300)}...\n`;
+    }
+    prompt += '\n';
+  });
+
+  prompt += `THEIR STYLE (measured across ${profile.postCount} published posts):\n`;
+  prompt += `${describeStyle(profile.features).join('\n')}\n\n`;
+  prompt += 'IMPORTANT: Match this user\'s voice, tone, and style - the numbers above are how they actually write.\n';
+
+  return prompt;
+}
@@ -1,37 +1,86 @@
+import 'dotenv/config';
 import inquirer from 'inquirer';
 import open from 'open';
 import fs from 'fs/promises';
+import path from 'path';
 import chalk from 'chalk';
 import { format } from 'date-fns';
-import { discoverContent } from './discovery/index.js';
+import { discoverContentWithReport } from './discovery/index.js';
+import { getSourceEmoji } from './discovery/registry.js';
 import { normalizeAll, getTopItems, categorizeContent } from './discovery/normalizer.js';
+import { loadHistoryOptions, loadDigestHistory, applyDigestHistory } from './discovery/history.js';
+import { loadInterestOptions, loadModel, saveModel, recordDigest, selectWithInterests } from './discovery/interests.js';
+import { loadModeOptions, parseFocusTopics, rankForExploration, selectFocused } from './discovery/modes.js';
+import { loadRankingOptions, rankItems } from './discovery/ranking.js';
+import { loadNormalizationOptions, normalizeScores } from './discovery/percentile.js';
+import { loadTaxonomy } from './discovery/tags.js';
+import { loadEducationalRules } from './discovery/classifier.js';
+import { renderDigest, normalizeDigestFormat, DIGEST_FORMATS } from './discovery/render.js';
+import { loadReadingOptions, saveForReading } from './discovery/reading.js';
+import { getArgValue } from './interfaces/cli/args.js';
+import { getLLMClient } from './core/llm.js';
+import { DATA_DIR } from './core/config.js';
+
+/**
+ * Short age label for the selection list
+ * @param {number|null} ageHours - From item.scoreBreakdown
+ * @returns {string} - e.g. '5h', '3d', '' when undated
+ */
+function formatAge(ageHours) {
+  if (ageHours === null || ageHours === undefined) return '';
+  if (ageHours < 1) return 'now';
+  if (ageHours < 48) return `${Math.round(ageHours)}h`;
+  return `${Math.round(ageHours / 24)}d`;
+}
 
 /**
  * Formats an item for display in the selection list
  */
 function formatItemForDisplay(item, index) {
-  const sourceEmoji = {
-    'devto': '📝',
-    'hackernews': '🔥',
-    'github': '⭐',
-    'lobsters': '🦞',
-    'hashnode': '#️⃣'
-  };
-
-  const emoji = sourceEmoji[item.source] || '📄';
+  const emoji = getSourceEmoji(item.source);
   const scoreBar = '▓'.repeat(Math.floor(item.score / 10)) +
                     '░'.repeat(10 - Math.floor(item.score / 10));
 
-  return `${String(index + 1).padStart(2)}. ${emoji} [${scoreBar}] ${item.title.substring(0, 80)}${item.title.length > 80 ? '...' : ''}`;
+  // Flag genuinely new items, dim ones shown in earlier digests
+  let badge = '';
+  if (item.history?.isNew) {
+    badge = chalk.green.bold('NEW ');
+  } else if (item.history?.timesShown > 0) {
+    badge = chalk.gray(`seen ${item.history.timesShown}× `);
+  }
+
+  // Show which focus topics an item matched
+  if (item.focus?.length > 0) {
+    badge += chalk.cyan(`${item.focus.join('+')} `);
+  }
+
+  // Wildcards are outside your usual interests on purpose
+  if (item.interest?.slot === 'wildcard') {
+    badge += chalk.magenta('🎲 ');
+  }
+
+  // Show where else the story appeared (merged duplicates)
+  const otherSources = (item.sources || []).filter(source => source !== item.source);
+  const alsoOn = otherSources.length > 0
+    ? chalk.gray(` +${otherSources.map(getSourceEmoji).join('')}`)
+    : '';
+
+  const age = formatAge(item.scoreBreakdown?.ageHours);
+  const ageLabel = age ? chalk.gray(` · ${age}`) : '';
+
+  return `${String(index + 1).padStart(2)}. ${emoji} [${scoreBar}] ${badge}${item.title.substring(0, 80)}${item.title.length > 80 ? '...' : ''}${alsoOn}${ageLabel}`;
 }
 
 /**
- * Saves data to a JSON file
+ * Saves data to a JSON file in the data directory
+ * @param {string} filePath - Path inside DATA_DIR
+ * @param {object} data - Content to write
+ * @returns {Promise<boolean>} - false if writing failed
  */
-async function saveToFile(filename, data) {
+async function saveToFile(filePath, data) {
   try {
-    await fs.mkdir('data', { recursive: true });
-    await fs.writeFile(filename, JSON.stringify(data, null, 2));
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(data, null, 2));
     return true;
   } catch (error) {
     console.error(chalk.red(`Error saving file: ${error.message}`));
@@ -39,44 +88,205 @@ async function saveToFile(filename, data) {
   }
 }
 
+/**
+ * Picks the items for one digest section according to the active mode
+ * - default: interest model (sweet spots + wildcards)
+ * - explore: rarely seen sources/tags first
+ * - focus: focusShare of the slots go to items matching the focus topics
+ * @param {Array} items - Items of one category
+ * @param {number} count - Section size
+ * @param {object} context - { model, interestOptions, modeOptions, focusTopics, explore }
+ * @returns {Array} - Items to show
+ */
+function selectSection(items, count, { model, interestOptions, modeOptions, focusTopics, explore }) {
+  const candidates = explore ? rankForExploration(items, model, modeOptions) : items;
+  const fill = (rest, slots) => explore
+    ? rest.slice(0, slots)
+    : selectWithInterests(rest, slots, model, interestOptions);
+
+  if (focusTopics.length === 0) {
+    return fill(candidates, count);
+  }
+
+  const { focused, rest } = selectFocused(candidates, count, focusTopics, modeOptions);
+  return [...focused, ...fill(rest, count - focused.length)];
+}
+
+/**
+ * Save selected items' article text to data/reading/, optionally summarized
+ * @param {Array} selected - Selected items
+ */
+async function readLater(selected) {
+  const readingOptions = await loadReadingOptions();
+
+  // Only offer summaries when a model is configured (API key set, or a local/mock provider)
+  const canSummarize = await getLLMClient().then(() => true, () => false);
+  if (canSummarize) {
+    const { summarize } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'summarize',
+        message: 'Add an AI summary and key points to each article?',
+        default: readingOptions.summarize
+      }
+    ]);
+    readingOptions.summarize = summarize;
+  } else {
+    readingOptions.summarize = false;
+  }
+
+  console.log(chalk.blue('\n📖 Fetching articles...\n'));
+  const { saved, failed } = await saveForReading(selected, {
+    ...readingOptions,
+    onProgress: result => {
+      const title = result.item.title.substring(0, 60);
+      if (!result.file) {
+        console.log(chalk.red(`  ✖ ${title} - ${result.error}`));
+      } else if (result.error) {
+        console.log(chalk.yellow(`  ✔ ${title} (no summary: ${result.error})`));
+      } else {
+        console.log(chalk.gray(`  ✔ ${title}${result.summarized ? ' + summary' : ''}`));
+      }
+    }
+  });
+
+  console.log(chalk.green(`\n📖 ${saved.length} of ${selected.length} articles saved to data/reading/`));
+  if (failed.length > 0) {
+    console.log(chalk.gray('   Pages that failed can still be opened in the browser'));
+  }
+}
+
 /**
  * Main digest generation and interaction function
+ * @param {object} options - Digest options
+ * @param {boolean} options.noCache - Skip the on-disk HTTP cache and refetch everything
+ * @param {boolean} options.showSeen - Don't hide or demote items from earlier digests
+ * @param {string|string[]} options.focus - Focus topics, e.g. 'systemdesign,ai'
+ * @param {number} options.focusShare - Share of each section for focused items (0-1)
+ * @param {boolean} options.explore - Favor sources and tags you rarely see
+ * @param {string} options.normalize - Score normalization: 'fixed' or 'percentile' (default: config)
+ * @param {boolean} options.interactive - false renders the digest instead of prompting
+ * @param {string} options.format - Headless output format: 'md', 'html' or 'json'
+ * @param {string} options.out - Headless output file (default: stdout)
+ * @returns {Promise<object|undefined>} - Headless runs: { date, digestFile, outFile, educational, trending, sources, alerts }
  */
-export async function generateDigest() {
+export async function generateDigest(options = {}) {
+  const interactive = options.interactive !== false;
+  const outputFormat = normalizeDigestFormat(options.format || 'md');
+
+  // Headless runs keep stdout clean for the rendered digest
+  const log = interactive ? console.log : console.error;
+
   try {
+    if (!interactive && !DIGEST_FORMATS.includes(outputFormat)) {
+      throw new Error(`Unknown digest format: ${outputFormat} (use ${DIGEST_FORMATS.join(', ')})`);
+    }
+
     // Fetch from all sources
-    const rawData = await discoverContent();
+    const { results: rawData, sources, alerts } = await discoverContentWithReport({
+      ...(options.noCache && { cache: false }),
+      quiet: !interactive
+    });
 
-    // Normalize and rank the data
-    const normalized = normalizeAll(rawData);
+    // Normalize and rank the data (engagement decayed by age)
+    const normalizationOptions = await loadNormalizationOptions();
+    if (options.normalize) {
+      normalizationOptions.mode = options.normalize;
+    }
+    const taxonomy = await loadTaxonomy();
+    const classifier = await loadEducationalRules();
+    const scored = await normalizeScores(normalizeAll(rawData, { taxonomy, classifier }), normalizationOptions);
+    const normalized = rankItems(scored, await loadRankingOptions());
 
     if (normalized.length === 0) {
-      console.log(chalk.yellow('⚠️  No content found. Please check your internet connection.'));
+      if (!interactive) {
+        throw Object.assign(new Error('No content found. Please check your internet connection.'), { sources });
+      }
+      log(chalk.yellow('⚠️  No content found. Please check your internet connection.'));
       return;
     }
 
+    // Hide/demote what earlier digests already showed or you already picked
+    const historyOptions = await loadHistoryOptions();
+    const { visible, hidden } = options.showSeen
+      ? { visible: normalized, hidden: [] }
+      : applyDigestHistory(normalized, await loadDigestHistory(historyOptions), historyOptions);
+
     // Categorize content
-    const { educational, trending } = categorizeContent(normalized);
+    const { educational, trending } = categorizeContent(visible);
 
-    // Get top items from each category
+    // Get top items from each category, re-ranked by what you tend to pick
+    // (or by focus topics / novelty in focus and explore mode)
     // Prioritize educational content (25 items) over trending (15 items)
-    const topEducational = educational.slice(0, 25);
-    const topTrending = trending.slice(0, 15);
+    const interestOptions = await loadInterestOptions();
+    const model = await loadModel();
+    const modeOptions = await loadModeOptions();
+    if (options.focusShare !== undefined) {
+      modeOptions.focusShare = options.focusShare;
+    }
+    const focusTopics = parseFocusTopics(options.focus);
+    const sectionContext = { model, interestOptions, modeOptions, focusTopics, explore: Boolean(options.explore) };
+    const topEducational = selectSection(educational, 25, sectionContext);
+    const topTrending = selectSection(trending, 15, sectionContext);
     const topItems = [...topEducational, ...topTrending];
 
     // Save full digest to file
     const date = format(new Date(), 'yyyy-MM-dd');
-    const digestFile = `data/digest-${date}.json`;
+    const digestFile = path.join(DATA_DIR, `digest-${date}.json`);
     await saveToFile(digestFile, {
       date,
       totalItems: normalized.length,
       educationalCount: educational.length,
       trendingCount: trending.length,
-      items: normalized
+      hiddenCount: hidden.length,
+      shownIds: topItems.map(item => item.id),
+      items: [...visible, ...hidden]
     });
 
-    console.log(chalk.green(`💾 Full digest saved to ${digestFile}`));
-    console.log(chalk.gray(`   📚 ${educational.length} educational items | 🔥 ${trending.length} trending items\n`));
+    log(chalk.green(`💾 Full digest saved to ${digestFile}`));
+    log(chalk.gray(`   📚 ${educational.length} educational items | 🔥 ${trending.length} trending items`));
+    if (hidden.length > 0) {
+      log(chalk.gray(`   🙈 ${hidden.length} items hidden (already picked or seen ${historyOptions.hideAfterShown}+ times) - use --show-seen to include them`));
+    }
+    if (focusTopics.length > 0) {
+      const focusedCount = topItems.filter(item => item.focus).length;
+      log(chalk.gray(`   🔍 Focus: ${focusTopics.join(', ')} - ${focusedCount} of ${topItems.length} items (target ${Math.round(modeOptions.focusShare * 100)}%)`));
+    }
+    if (options.explore) {
+      log(chalk.gray('   🧭 Explore mode: favoring sources and tags you rarely see'));
+    } else if (interestOptions.enabled) {
+      const exploitPct = Math.round(interestOptions.exploit * 100);
+      log(chalk.gray(model.digests >= interestOptions.minDigests
+        ? `   🎯 Personalized: ${exploitPct}% sweet spots, ${100 - exploitPct}% wildcards (🎲)`
+        : `   🎯 Still learning your interests (${model.digests}/${interestOptions.minDigests} digests recorded)`));
+    }
+    if (!interactive) {
+      // Interactive runs already saw these in the discovery summary
+      alerts.forEach(alert => log(chalk.yellow(`   ⚠️  ${alert.message}`)));
+    }
+    log();
+
+    if (!interactive) {
+      const output = renderDigest({
+        date,
+        generatedAt: new Date().toISOString(),
+        educational: topEducational,
+        trending: topTrending,
+        focusTopics,
+        explore: Boolean(options.explore),
+        alerts
+      }, outputFormat);
+
+      if (options.out) {
+        await fs.mkdir(path.dirname(options.out), { recursive: true });
+        await fs.writeFile(options.out, output);
+        log(chalk.green(`📝 Digest written to ${options.out}`));
+      } else {
+        process.stdout.write(output);
+      }
+
+      return { date, digestFile, outFile: options.out || null, educational: topEducational, trending: topTrending, sources, alerts };
+    }
 
     // Show interactive selection
     console.log(chalk.blue.bold('✨ Your Daily Digest is ready!\n'));
@@ -128,6 +338,11 @@ export async function generateDigest() {
       }
     ]);
 
+    // Learn from what was picked and what was skipped
+    if (interestOptions.enabled) {
+      await saveModel(recordDigest(model, topItems, selected, interestOptions));
+    }
+
     if (selected.length === 0) {
       console.log(chalk.yellow('\n No items selected. Exiting...'));
       return;
@@ -142,23 +357,30 @@ export async function generateDigest() {
         choices: [
           { name: '🌐 Open all in browser', value: 'open' },
           { name: '💾 Save for later', value: 'save' },
-          { name: '🌐 + 💾 Open and save', value: 'both' }
+          { name: '🌐 + 💾 Open and save', value: 'both' },
+          { name: '📖 Save articles to read later', value: 'read' }
         ]
       }
     ]);
 
     // Save selections
-    if (action === 'save' || action === 'both') {
-      const selectionsFile = `data/selections-${date}.json`;
+    if (action === 'save' || action === 'both' || action === 'read') {
+      const selectionsFile = path.join(DATA_DIR, `selections-${date}.json`);
       await saveToFile(selectionsFile, {
         date,
         timestamp: new Date().toISOString(),
         count: selected.length,
+        itemIds: selected.map(item => item.id),
         items: selected
       });
       console.log(chalk.green(`\n💾 Selections saved to ${selectionsFile}`));
     }
 
+    // Fetch article text (and summaries) into data/reading/
+    if (action === 'read') {
+      await readLater(selected);
+    }
+
     // Open in browser
     if (action === 'open' || action === 'both') {
       console.log(chalk.blue('\n🌐 Opening selected items in browser...\n'));
@@ -180,6 +402,11 @@ export async function generateDigest() {
     console.log(chalk.cyan('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n'));
 
   } catch (error) {
+    // Headless callers (cron, the scheduler) decide how to handle failures
+    if (!interactive) {
+      throw error;
+    }
+
     console.error(chalk.red('\n❌ Error generating digest:'), error.message);
     if (error.stack) {
       console.error(chalk.gray(error.stack));
@@ -190,5 +417,22 @@ export async function generateDigest() {
 
 // Allow running directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  generateDigest();
+  const args = process.argv.slice(2);
+  // --focus-share accepts 0.8 or 80
+  const focusShare = Number(getArgValue(args, '--focus-share'));
+
+  generateDigest({
+    noCache: args.includes('--no-cache'),
+    showSeen: args.includes('--show-seen'),
+    focus: getArgValue(args, '--focus'),
+    focusShare: Number.isFinite(focusShare) ? (focusShare > 1 ? focusShare / 100 : focusShare) : undefined,
+    explore: args.includes('--explore'),
+    interactive: !args.includes('--no-interactive'),
+    format: getArgValue(args, '--format'),
+    out: getArgValue(args, '--out'),
+    normalize: getArgValue(args, '--normalize')
+  }).catch(error => {
+    console.error(chalk.red('❌ Error generating digest:'), error.message);
+    process.exit(1);
+  });
 }
\ No newline at end of file
@@ -0,0 +1,89 @@
+/**
+ * cache.js - On-disk HTTP response cache for discovery
+ *
+ * Stores response bodies plus their validators (ETag / Last-Modified)
+ * under data/cache/http/, one JSON file per request. http.js decides
+ * when an entry is fresh, when to revalidate and when to refetch.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Cache directory (2 levels up from src/discovery), overridable for tests
+const CACHE_DIR = process.env.DAILY_VOICE_CACHE_DIR || path.join(__dirname, '../../data/cache/http');
+
+/**
+ * Build a cache key for a request
+ * Method and body are part of the key so GraphQL POSTs cache per query.
+ * @param {string} url - Request URL
+ * @param {object} init - fetch() options
+ * @returns {string} - Hex digest used as the file name
+ */
+export function getCacheKey(url, init = {}) {
+  const method = (init.method || 'GET').toUpperCase();
+  const body = typeof init.body === 'string' ? init.body : '';
+
+  return crypto
+    .createHash('sha256')
+    .update(`${method} ${url}\n${body}`)
+    .digest('hex');
+}
+
+/**
+ * Read a cache entry
+ * @param {string} key - Cache key
+ * @returns {Promise<object|null>} - Entry or null if missing/corrupt
+ */
+export async function readCacheEntry(key) {
+  try {
+    const content = await fs.readFile(path.join(CACHE_DIR, `${key}.json`), 'utf-8');
+    return JSON.parse(content);
+  } catch (error) {
+    return null; // Missing or unreadable entry - treat as a miss
+  }
+}
+
+/**
+ * Write a cache entry
+ * @param {string} key - Cache key
+ * @param {object} entry - { url, method, body, etag, lastModified, contentType, storedAt }
+ */
+export async function writeCacheEntry(key, entry) {
+  await fs.mkdir(CACHE_DIR, { recursive: true });
+  await fs.writeFile(path.join(CACHE_DIR, `${key}.json`), JSON.stringify(entry));
+}
+
+/**
+ * Check whether an entry is still within its TTL
+ * @param {object} entry - Cache entry
+ * @param {number} ttlMinutes - Time to live in minutes
+ * @returns {boolean}
+ */
+export function isFresh(entry, ttlMinutes) {
+  if (!entry?.storedAt) return false;
+  return Date.now() - new Date(entry.storedAt).getTime() < ttlMinutes * 60 * 1000;
+}
+
+/**
+ * Delete every cached response
+ * @returns {Promise<number>} - Number of entries removed
+ */
+export async function clearHttpCache() {
+  try {
+    const files = await fs.readdir(CACHE_DIR);
+    const entries = files.filter(f => f.endsWith('.json'));
+
+    await Promise.all(entries.map(file => fs.unlink(path.join(CACHE_DIR, file))));
+    return entries.length;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 0; // Nothing cached yet
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * classifier.js - Educational vs. trending classification
+ *
+ * Fetchers only know where an item came from: everything from Dev.to's
+ * tutorial tags or FreeCodeCamp is "educational", everything from
+ * HackerNews is not - so a great HN tutorial ends up under trending.
+ * This stage weighs the fetcher's flag together with title and
+ * description patterns, tags and reading time, and turns the evidence
+ * into a confidence (logistic of the summed weights). Rules live in
+ * config/educational.json; entries there add to or override the
+ * defaults below (a weight of 0 switches a default off).
+ */
+
+import { loadConfig } from '../core/config.js';
+
+export const DEFAULT_EDUCATIONAL_RULES = {
+  enabled: true,
+  threshold: 0.5,        // Confidence at or above this → educational
+  bias: -1,              // Evidence needed before an item counts as educational
+  sourceFlag: 2.5,       // Fetcher marked it educational (Dev.to tutorials, FreeCodeCamp, ...)
+  // Regexes (case-insensitive) → weight
+  titlePatterns: {
+    '^how (to|i|we)\\b': 1.5,
+    '\\b(tutorial|walkthrough|cheat ?sheet|primer)\\b': 1.5,
+    '\\b(guide to|beginner\'?s guide|introduction to|intro to|getting started)\\b': 1.5,
+    '\\b(explained|understanding|demystif\\w*|deep dive|in depth)\\b': 1,
+    '\\b(from scratch|step[- ]by[- ]step|build (a|your own))\\b': 1,
+    '^(learn|learning)\\b': 1,
+    '\\b(lessons|best practices|patterns|tips)\\b': 0.5,
+    '^(show|launch) hn\\b': -1,
+    '\\b(announc\\w*|launch(es|ed)?|released?|now available)\\b': -1,
+    '\\b(raises|acquires|acquired|lawsuit|layoffs?|ipo)\\b': -1.5,
+    '\\bv?\\d+(\\.\\d+)* (is )?(out|here)\\b': -1
+  },
+  descriptionPatterns: {
+    '\\b(you\'ll learn|you will learn|we\'ll (build|cover|walk)|in this (tutorial|guide|article|post))\\b': 1,
+    '\\b(step[- ]by[- ]step|hands-on|code examples?)\\b': 0.5
+  },
+  // Canonical tags (see tags.js) → weight
+  tags: {
+    tutorial: 1.5,
+    beginners: 1,
+    learning: 1,
+    learn: 1,
+    howto: 1,
+    guide: 1,
+    education: 1,
+    algorithms: 0.5,
+    research: 0.5,
+    news: -0.5,
+    release: -1,
+    launch: -1,
+    product: -0.5
+  },
+  // Long reads lean educational
+  longRead: {
+    minutes: 7,
+    weight: 0.5
+  }
+};
+
+/**
+ * Load classifier rules from config/educational.json (merged over the defaults)
+ * @returns {Promise<object>} - Rules
+ */
+export async function loadEducationalRules() {
+  return loadConfig('educational', DEFAULT_EDUCATIONAL_RULES);
+}
+
+/**
+ * Reading time a fetcher reported, in minutes
+ * @param {object} item - Raw item
+ * @returns {number|null}
+ */
+function getReadingMinutes(item) {
+  const minutes = item.readingTime ?? item.readTime ?? null;
+  return typeof minutes === 'number' && Number.isFinite(minutes) ? minutes : null;
+}
+
+/**
+ * Weights of the patterns that match a text
+ * @param {string} text
+ * @param {object} patterns - Regex source → weight
+ * @param {string} label - Prefix for the signal names
+ * @returns {Array} - [[signal, weight]]
+ */
+function matchPatterns(text, patterns, label) {
+  if (!text) return [];
+
+  const evidence = [];
+  Object.entries(patterns || {}).forEach(([pattern, weight]) => {
+    if (!weight) return;
+
+    let regex;
+    try {
+      regex = new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`Invalid ${label} pattern in config/educational.json: ${pattern}`, { cause: error });
+    }
+
+    const match = text.match(regex);
+    if (match) {
+      evidence.push([`${label}: ${match[0].toLowerCase()}`, weight]);
+    }
+  });
+  return evidence;
+}
+
+/**
+ * Score how educational an item is
+ * @param {object} item - Raw item (title/name, description/brief, isEducational, reading time)
+ * @param {string[]} tags - The item's canonical tags
+ * @param {object} rules - Classifier rules
+ * @returns {object} - { isEducational, confidence (0-1), signals: ['title: how to (+1.5)', ...] }
+ */
+export function classifyItem(item, tags = [], rules = DEFAULT_EDUCATIONAL_RULES) {
+  const evidence = [
+    ...(item.isEducational ? [['source: educational', rules.sourceFlag]] : []),
+    ...matchPatterns(item.title || item.name || '', rules.titlePatterns, 'title'),
+    ...matchPatterns(item.description || item.brief || '', rules.descriptionPatterns, 'description'),
+    ...tags
+      .filter(tag => rules.tags?.[tag])
+      .map(tag => [`tag: ${tag}`, rules.tags[tag]])
+  ];
+
+  const minutes = getReadingMinutes(item);
+  if (minutes !== null && rules.longRead && minutes >= rules.longRead.minutes) {
+    evidence.push([`read: ${minutes} min`, rules.longRead.weight]);
+  }
+
+  const total = evidence.reduce((sum, [, weight]) => sum + weight, rules.bias ?? 0);
+  const confidence = 1 / (1 + Math.exp(-total));
+
+  return {
+    isEducational: confidence >= rules.threshold,
+    confidence: Math.round(confidence * 100) / 100,
+    signals: evidence.map(([signal, weight]) => `${signal} (${weight > 0 ? '+' : ''}${weight})`)
+  };
+}
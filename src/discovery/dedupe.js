@@ -0,0 +1,205 @@
+/**
+ * dedupe.js - Cross-source deduplication
+ *
+ * The same article often shows up from HackerNews, Lobsters and Dev.to.
+ * Items are matched on canonical URL first, then on fuzzy title match,
+ * and merged into a single item that remembers every source it came from.
+ */
+
+// Query params that only track where a click came from
+const TRACKING_PARAMS = [
+  'fbclid',
+  'gclid',
+  'dclid',
+  'msclkid',
+  'mc_cid',
+  'mc_eid',
+  'igshid',
+  'ref',
+  'ref_src',
+  'ref_url',
+  'referrer',
+  'source',
+  'si',
+  '_hsenc',
+  '_hsmi',
+  'cmpid'
+];
+
+export const DEFAULT_DEDUPE_OPTIONS = {
+  titleThreshold: 0.85,  // Word-overlap similarity needed to call two titles the same story
+  minTitleWords: 4,      // Shorter titles are too generic to match on title alone
+  multiSourceBoost: 10   // Score bonus per extra source an item appeared in
+};
+
+/**
+ * Canonicalize a URL so the same page compares equal across sources
+ * - http/https are treated the same
+ * - "www." is dropped and the host lower-cased
+ * - tracking params (utm_*, fbclid, ref, ...) and fragments are removed
+ * - remaining query params are sorted, trailing slashes trimmed
+ * @param {string} url - Raw URL
+ * @returns {string} - Canonical URL, or '' if it can't be parsed
+ */
+export function canonicalizeUrl(url) {
+  if (!url || typeof url !== 'string') return '';
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (error) {
+    return '';
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const port = parsed.port ? `:${parsed.port}` : '';
+
+  const params = Array.from(parsed.searchParams.entries())
+    .filter(([key]) => !key.toLowerCase().startsWith('utm_') && !TRACKING_PARAMS.includes(key.toLowerCase()))
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  const query = params.length > 0
+    ? `?${new URLSearchParams(params).toString()}`
+    : '';
+
+  const pathname = parsed.pathname.replace(/\/+$/, '');
+
+  return `https://${host}${port}${pathname}${query}`;
+}
+
+/**
+ * Reduce a title to its significant words
+ * @param {string} title - Raw title
+ * @returns {string[]} - Lower-cased words without punctuation or HN prefixes
+ */
+function titleWords(title) {
+  return (title || '')
+    .toLowerCase()
+    .replace(/^(show|ask|tell|launch) hn:\s*/, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Word-overlap (Jaccard) similarity between two word sets
+ * @param {Set<string>} wordsA - Words of the first title
+ * @param {Set<string>} wordsB - Words of the second title
+ * @returns {number} - 0 (nothing shared) to 1 (same words)
+ */
+function jaccard(wordsA, wordsB) {
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  wordsA.forEach(word => {
+    if (wordsB.has(word)) shared++;
+  });
+
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Word-overlap similarity between two titles
+ * @param {string} a - First title
+ * @param {string} b - Second title
+ * @returns {number} - 0 (nothing shared) to 1 (same words)
+ */
+export function titleSimilarity(a, b) {
+  return jaccard(new Set(titleWords(a)), new Set(titleWords(b)));
+}
+
+/**
+ * Check whether two items are the same story
+ * @param {object} a - { url, words } match key of the first item
+ * @param {object} b - { url, words } match key of the second item
+ * @param {object} options - Dedupe options
+ * @returns {boolean}
+ */
+function isDuplicate(a, b, options) {
+  if (a.url && a.url === b.url) {
+    return true;
+  }
+
+  if (Math.min(a.words.size, b.words.size) < options.minTitleWords) {
+    return false;
+  }
+
+  return jaccard(a.words, b.words) >= options.titleThreshold;
+}
+
+/**
+ * Merge a group of duplicate items into one
+ * The highest-scoring item wins; the rest contribute sources, tags and engagement.
+ * @param {Array} group - Duplicate normalized items
+ * @param {object} options - Dedupe options
+ * @returns {object} - Merged item
+ */
+function mergeGroup(group, options) {
+  const [primary, ...others] = [...group].sort((a, b) => b.score - a.score);
+
+  if (others.length === 0) {
+    return { ...primary, sources: [primary.source] };
+  }
+
+  const sources = Array.from(new Set(group.map(item => item.source)));
+
+  // Sum engagement across every appearance
+  const engagement = {};
+  group.forEach(item => {
+    Object.entries(item.engagement || {}).forEach(([key, value]) => {
+      engagement[key] = (engagement[key] || 0) + (value || 0);
+    });
+  });
+
+  const boost = options.multiSourceBoost * (sources.length - 1);
+
+  return {
+    ...primary,
+    score: Math.min(100, primary.score + boost),
+    description: primary.description || others.find(item => item.description)?.description || '',
+    tags: Array.from(new Set(group.flatMap(item => item.tags || []))),
+    isEducational: group.some(item => item.isEducational),
+    sources,
+    // IDs of every merged appearance, so links made under another ID still resolve
+    aliases: Array.from(new Set(others.map(item => item.id).filter(id => id && id !== primary.id))),
+    ...(Object.keys(engagement).length > 0 && { engagement }),
+    mergedFrom: group.map(item => ({
+      id: item.id,
+      source: item.source,
+      url: item.url,
+      title: item.title,
+      score: item.score
+    }))
+  };
+}
+
+/**
+ * Deduplicate normalized items across sources
+ * @param {Array} items - Normalized items
+ * @param {object} options - Overrides for DEFAULT_DEDUPE_OPTIONS
+ * @returns {Array} - Items with duplicates merged (each has a `sources` array)
+ */
+export function dedupeItems(items, options = {}) {
+  const settings = { ...DEFAULT_DEDUPE_OPTIONS, ...options };
+  const groups = [];
+
+  items.forEach(item => {
+    const key = {
+      url: canonicalizeUrl(item.url),
+      words: new Set(titleWords(item.title))
+    };
+
+    const group = groups.find(candidate =>
+      candidate.keys.some(existing => isDuplicate(existing, key, settings))
+    );
+
+    if (group) {
+      group.items.push(item);
+      group.keys.push(key);
+    } else {
+      groups.push({ items: [item], keys: [key] });
+    }
+  });
+
+  return groups.map(group => mergeGroup(group.items, settings));
+}
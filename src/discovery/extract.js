@@ -0,0 +1,205 @@
+/**
+ * extract.js - Main-content extraction from article HTML
+ *
+ * A small readability-style pass with Cheerio: strip scripts, navigation
+ * and other page chrome, score the elements that hold paragraphs (longer
+ * text and commas score up, link-heavy blocks and "sidebar"/"comment"
+ * classes score down), and keep the text of the best-scoring container.
+ */
+
+import * as cheerio from 'cheerio';
+
+// Never part of the article
+const STRIP_SELECTOR = 'script, style, noscript, template, iframe, svg, canvas, form, button, input, select, nav, footer, aside, dialog, [hidden], [aria-hidden="true"]';
+
+// Class/id hints
+const UNLIKELY = /banner|breadcrumb|comment|community|cookie|disqus|footer|header|menu|modal|nav|newsletter|popup|promo|related|share|sidebar|social|sponsor|subscribe|widget|advert|\bads?\b/i;
+const LIKELY = /article|body|content|entry|main|post|story|text|blog/i;
+
+// Blocks kept from the chosen container, in document order
+const BLOCK_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, li, pre, blockquote, figcaption';
+
+const MIN_PARAGRAPH_LENGTH = 25;
+const WORDS_PER_MINUTE = 230;
+
+/**
+ * Collapse whitespace
+ * @param {string} text
+ * @returns {string}
+ */
+function clean(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Class/id hints of an element
+ * @param {Cheerio} $el
+ * @returns {string}
+ */
+function hints($el) {
+  return `${$el.attr('class') || ''} ${$el.attr('id') || ''}`;
+}
+
+/**
+ * Score adjustment from an element's class and id
+ * @param {Cheerio} $el
+ * @returns {number}
+ */
+function classWeight($el) {
+  const value = hints($el);
+  let weight = 0;
+  if (LIKELY.test(value)) weight += 25;
+  if (UNLIKELY.test(value)) weight -= 25;
+  return weight;
+}
+
+/**
+ * Share of an element's text that sits inside links
+ * @param {CheerioAPI} $
+ * @param {Cheerio} $el
+ * @returns {number} - 0-1
+ */
+function linkDensity($, $el) {
+  const length = clean($el.text()).length;
+  if (length === 0) return 0;
+
+  let linked = 0;
+  $el.find('a').each((i, link) => {
+    linked += clean($(link).text()).length;
+  });
+  return linked / length;
+}
+
+/**
+ * First non-empty value from a list of meta tags
+ * @param {CheerioAPI} $
+ * @param {string[]} selectors - e.g. 'meta[property="og:title"]'
+ * @returns {string|null}
+ */
+function meta($, selectors) {
+  for (const selector of selectors) {
+    const value = clean($(selector).first().attr('content'));
+    if (value) return value;
+  }
+  return null;
+}
+
+/**
+ * Find the element that most likely holds the article body
+ * @param {CheerioAPI} $
+ * @returns {Cheerio|null}
+ */
+function findContentRoot($) {
+  const scores = new Map();
+
+  $('p, pre, td').each((i, elem) => {
+    const text = clean($(elem).text());
+    if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+    // One point per paragraph, one per comma, up to three for length
+    const points = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+
+    const parent = elem.parent;
+    const grandparent = parent?.parent;
+    [[parent, points], [grandparent, points / 2]].forEach(([node, share]) => {
+      if (!node || node.type !== 'tag') return;
+      if (!scores.has(node)) {
+        scores.set(node, classWeight($(node)));
+      }
+      scores.set(node, scores.get(node) + share);
+    });
+  });
+
+  let best = null;
+  let bestScore = 0;
+  scores.forEach((score, node) => {
+    const adjusted = score * (1 - linkDensity($, $(node)));
+    if (adjusted > bestScore) {
+      best = node;
+      bestScore = adjusted;
+    }
+  });
+
+  if (best) return $(best);
+
+  // No real paragraphs - fall back to the semantic containers
+  const semantic = $('article, main, [role="main"]').first();
+  return semantic.length > 0 ? semantic : null;
+}
+
+/**
+ * Extract the readable article from a page
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL (site name when the page has none)
+ * @returns {object} - { title, byline, siteName, publishedAt, excerpt, text, wordCount, readingMinutes }
+ */
+export function extractArticle(html, url = '') {
+  const $ = cheerio.load(html);
+
+  const title = meta($, ['meta[property="og:title"]', 'meta[name="twitter:title"]']) ||
+    clean($('h1').first().text()) ||
+    clean($('title').first().text()) ||
+    null;
+  const byline = meta($, ['meta[name="author"]', 'meta[property="article:author"]']) ||
+    clean($('[rel="author"], .byline, .author').first().text()) ||
+    null;
+  const siteName = meta($, ['meta[property="og:site_name"]']) ||
+    (url ? new URL(url).hostname.replace(/^www\./, '') : null);
+  const published = meta($, ['meta[property="article:published_time"]', 'meta[name="date"]']) ||
+    $('time[datetime]').first().attr('datetime');
+  const publishedDate = published ? new Date(published) : null;
+  const description = meta($, ['meta[name="description"]', 'meta[property="og:description"]']);
+
+  $(STRIP_SELECTOR).remove();
+  $('*').each((i, elem) => {
+    const $el = $(elem);
+    if (['html', 'body', 'article', 'main'].includes(elem.tagName)) return;
+    if (UNLIKELY.test(hints($el)) && !LIKELY.test(hints($el))) {
+      $el.remove();
+    }
+  });
+
+  const root = findContentRoot($);
+  const blocks = [];
+
+  if (root) {
+    root.find(BLOCK_SELECTOR).each((i, elem) => {
+      const $el = $(elem);
+      // Nested blocks (p inside li/blockquote) are covered by their parent
+      if ($el.parents(BLOCK_SELECTOR).length > 0) return;
+
+      const tag = elem.tagName;
+      if (tag === 'pre') {
+        blocks.push(`\`\`\`\n${$el.text().replace(/\n+$/, '')}\n\`\`\``);
+        return;
+      }
+
+      const text = clean($el.text());
+      if (!text) return;
+      if (/^h[1-6]$/.test(tag)) {
+        if (text !== title) blocks.push(`${'#'.repeat(Math.max(2, Number(tag[1])))} ${text}`);
+      } else if (tag === 'li') {
+        blocks.push(`- ${text}`);
+      } else if (tag === 'blockquote') {
+        blocks.push(`> ${text}`);
+      } else {
+        blocks.push(text);
+      }
+    });
+  }
+
+  const text = blocks.join('\n\n');
+  const wordCount = text ? text.split(/\s+/).length : 0;
+  const firstParagraph = blocks.find(block => !/^(#|-|>|```)/.test(block)) || '';
+
+  return {
+    title,
+    byline,
+    siteName,
+    publishedAt: publishedDate && !Number.isNaN(publishedDate.getTime()) ? publishedDate.toISOString() : null,
+    excerpt: description || firstParagraph.slice(0, 280) || null,
+    text,
+    wordCount,
+    readingMinutes: Math.max(1, Math.round(wordCount / WORDS_PER_MINUTE))
+  };
+}
@@ -0,0 +1,257 @@
+/**
+ * health.js - Source health log and selector-drift detection
+ *
+ * Scrapers fail quietly: when GitHub or FreeCodeCamp change their markup
+ * the fetcher still "succeeds", just with zero items or items missing
+ * half their fields. Every discovery run appends per-source item counts,
+ * field completeness and latency to data/health/sources.jsonl, and each
+ * new run is compared with the median of recent runs so sharp drops get
+ * flagged instead of passing as a slow news day.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { DATA_DIR, loadConfig } from '../core/config.js';
+
+const HEALTH_DIR = path.join(DATA_DIR, 'health');
+const HEALTH_LOG_FILE = path.join(HEALTH_DIR, 'sources.jsonl');
+
+export const DEFAULT_HEALTH_OPTIONS = {
+  enabled: true,          // Record runs and flag drops
+  window: 14,             // Past runs a source is compared with
+  minRuns: 3,             // Runs needed before a source can be flagged
+  countDrop: 0.5,         // Flag when items fall below this share of the usual count
+  completenessDrop: 0.3   // Flag when a field's fill rate falls this far (0-1) below usual
+};
+
+// Fields whose fill rate is tracked
+export const HEALTH_FIELDS = ['url', 'description', 'author'];
+
+// Fallbacks fetchers substitute when a selector finds nothing - count as missing
+const PLACEHOLDERS = new Set(['unknown', 'no description available', 'freecodecamp']);
+
+/**
+ * Load health options from config/sources.json
+ * @returns {Promise<object>} - Health options
+ */
+export async function loadHealthOptions() {
+  const config = await loadConfig('sources', { health: DEFAULT_HEALTH_OPTIONS });
+  return { ...DEFAULT_HEALTH_OPTIONS, ...config.health };
+}
+
+/**
+ * Read one tracked field from a raw item (sources name them differently)
+ * @param {object} item - Raw item from a fetcher
+ * @param {string} field - One of HEALTH_FIELDS
+ * @returns {*}
+ */
+function getField(item, field) {
+  switch (field) {
+    case 'url':
+      return item.url || item.hnUrl;
+    case 'description':
+      return item.description || item.brief || item.tagline;
+    case 'author':
+      return item.author || item.user || item.submitter_user;
+    default:
+      return item[field];
+  }
+}
+
+/**
+ * Check whether a field value carries real content
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isFilled(value) {
+  if (typeof value !== 'string') return Boolean(value);
+  const text = value.trim();
+  return text.length > 0 && !PLACEHOLDERS.has(text.toLowerCase());
+}
+
+/**
+ * Share of items that have each tracked field
+ * @param {Array} items - Raw items from one source
+ * @returns {object|null} - e.g. { url: 1, description: 0.87, author: 0 }, null without items
+ */
+export function measureCompleteness(items) {
+  if (!items || items.length === 0) return null;
+
+  return Object.fromEntries(HEALTH_FIELDS.map(field => {
+    const filled = items.filter(item => isFilled(getField(item, field))).length;
+    return [field, Math.round((filled / items.length) * 100) / 100];
+  }));
+}
+
+/**
+ * Health record of one source run
+ * @param {object} outcome - Runner outcome ({ source, status, items, duration })
+ * @returns {object} - { id, name, status, items, latency, completeness }
+ */
+export function measureOutcome(outcome) {
+  return {
+    id: outcome.source.id,
+    name: outcome.source.name,
+    status: outcome.status,
+    items: outcome.items.length,
+    latency: outcome.duration,
+    completeness: measureCompleteness(outcome.items)
+  };
+}
+
+/**
+ * Append one discovery run to data/health/sources.jsonl
+ * @param {object} entry - { recordedAt, sources: [measureOutcome()] }
+ */
+export async function appendHealthLog(entry) {
+  await fs.mkdir(HEALTH_DIR, { recursive: true });
+  await fs.appendFile(HEALTH_LOG_FILE, `${JSON.stringify(entry)}\n`, 'utf-8');
+}
+
+/**
+ * Read the most recent discovery runs
+ * @param {number} limit - How many runs to return
+ * @returns {Promise<Array>} - Runs, newest last
+ */
+export async function readHealthLog(limit = DEFAULT_HEALTH_OPTIONS.window) {
+  let content;
+  try {
+    content = await fs.readFile(HEALTH_LOG_FILE, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return []; // No runs recorded yet
+    }
+    throw error;
+  }
+
+  return content
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null; // Half-written line from an interrupted run
+      }
+    })
+    .filter(Boolean)
+    .slice(-limit);
+}
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values
+ * @returns {number|null}
+ */
+function median(values) {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * What a source usually looks like, from its successful past runs
+ * @param {string} id - Source id
+ * @param {Array} history - Runs from readHealthLog()
+ * @returns {object} - { runs, items, latency, completeness: { field: rate } }
+ */
+export function getSourceBaseline(id, history) {
+  const records = history
+    .map(run => run.sources?.find(source => source.id === id))
+    .filter(record => record && record.status === 'success');
+  const measured = records.filter(record => record.completeness);
+
+  return {
+    runs: records.length,
+    items: median(records.map(record => record.items)),
+    latency: median(records.map(record => record.latency)),
+    completeness: Object.fromEntries(HEALTH_FIELDS.map(field =>
+      [field, median(measured.map(record => record.completeness[field]).filter(rate => rate !== undefined))]
+    ))
+  };
+}
+
+/**
+ * Format a 0-1 rate as a percentage
+ * @param {number} rate
+ * @returns {string}
+ */
+function percent(rate) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Flag sources whose item count or field completeness dropped sharply
+ * Failed and timed-out sources are left out - discovery already reports them.
+ * @param {Array} current - This run's records (measureOutcome())
+ * @param {Array} history - Earlier runs from readHealthLog()
+ * @param {object} options - Health options
+ * @returns {Array} - [{ id, name, kind: 'count'|'completeness', field, current, baseline, message }]
+ */
+export function detectDrift(current, history, options = DEFAULT_HEALTH_OPTIONS) {
+  const alerts = [];
+
+  current
+    .filter(record => record.status === 'success')
+    .forEach(record => {
+      const baseline = getSourceBaseline(record.id, history);
+      if (baseline.runs < options.minRuns) return;
+
+      if (baseline.items > 0 && record.items < baseline.items * options.countDrop) {
+        alerts.push({
+          id: record.id,
+          name: record.name,
+          kind: 'count',
+          field: null,
+          current: record.items,
+          baseline: baseline.items,
+          message: `${record.name}: ${record.items} items (usually ${Math.round(baseline.items)})`
+        });
+      }
+
+      if (!record.completeness) return;
+
+      HEALTH_FIELDS.forEach(field => {
+        const usual = baseline.completeness[field];
+        const rate = record.completeness[field];
+
+        if (usual !== null && usual - rate >= options.completenessDrop) {
+          alerts.push({
+            id: record.id,
+            name: record.name,
+            kind: 'completeness',
+            field,
+            current: rate,
+            baseline: usual,
+            message: `${record.name}: ${field} on ${percent(rate)} of items (usually ${percent(usual)})`
+          });
+        }
+      });
+    });
+
+  return alerts;
+}
+
+/**
+ * Record a discovery run and compare it with recent history
+ * @param {Array} outcomes - Runner outcomes for every source
+ * @param {object} options - Health options (default: config/sources.json)
+ * @returns {Promise<object>} - { sources: [measureOutcome()], alerts: [detectDrift()] }
+ */
+export async function recordSourceHealth(outcomes, options) {
+  const settings = options || await loadHealthOptions();
+  const sources = outcomes.map(measureOutcome);
+
+  if (!settings.enabled) {
+    return { sources, alerts: [] };
+  }
+
+  const history = await readHealthLog(settings.window);
+  const alerts = detectDrift(sources, history, settings);
+
+  await appendHealthLog({ recordedAt: new Date().toISOString(), sources });
+
+  return { sources, alerts };
+}
@@ -0,0 +1,212 @@
+/**
+ * history.js - Digest history and "already seen" suppression
+ *
+ * Reads previous data/digest-*.json and data/selections-*.json files so
+ * the same trending repo doesn't sit at the top of the digest all week.
+ * Items already selected or shown too often are hidden, items seen
+ * before are demoted, and genuinely new items are flagged.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { format, addDays, subDays } from 'date-fns';
+import { DATA_DIR, loadConfig } from '../core/config.js';
+
+export const DEFAULT_HISTORY_OPTIONS = {
+  days: 14,            // How far back to look
+  hideAfterShown: 3,   // Hide items already shown this many times
+  demotePerShow: 10,   // Score penalty for each previous showing
+  hideSelected: true   // Hide items picked in an earlier digest
+};
+
+/**
+ * Load history options from config/digest.json
+ * @returns {Promise<object>} - History options
+ */
+export async function loadHistoryOptions() {
+  const config = await loadConfig('digest', { history: DEFAULT_HISTORY_OPTIONS });
+  return { ...DEFAULT_HISTORY_OPTIONS, ...config.history };
+}
+
+/**
+ * Read a dated JSON file from the data directory
+ * @param {string} file - File name (e.g. 'digest-2025-12-04.json')
+ * @returns {Promise<object|null>} - Parsed content or null if unreadable
+ */
+export async function readDataFile(file) {
+  try {
+    const content = await fs.readFile(path.join(DATA_DIR, file), 'utf-8');
+    return JSON.parse(content);
+  } catch (error) {
+    return null; // Corrupt or half-written file - skip it
+  }
+}
+
+/**
+ * List dated data files of one kind within a date range
+ * @param {string} prefix - 'digest' or 'selections'
+ * @param {string} from - First date to include (yyyy-MM-dd)
+ * @param {string} before - First date to exclude (yyyy-MM-dd)
+ * @returns {Promise<string[]>} - File names, oldest first
+ */
+export async function listDatedFiles(prefix, from, before) {
+  let files;
+  try {
+    files = await fs.readdir(DATA_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return []; // No digests yet
+    }
+    throw error;
+  }
+
+  const pattern = new RegExp(`^${prefix}-(\\d{4}-\\d{2}-\\d{2})\\.json$`);
+
+  return files
+    .map(file => ({ file, date: file.match(pattern)?.[1] }))
+    .filter(({ date }) => date && date >= from && date < before)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(({ file }) => file);
+}
+
+/**
+ * All IDs an item is known by (its own plus merged aliases)
+ * @param {object} item - Normalized item
+ * @returns {string[]}
+ */
+function itemIds(item) {
+  return [item.id, ...(item.aliases || [])].filter(Boolean);
+}
+
+/**
+ * Load what earlier digests showed and what was selected
+ *
+ * Today's files are skipped so re-running the digest on the same day
+ * doesn't count as having seen everything already.
+ *
+ * @param {object} options - { days }
+ * @param {Date} today - Reference date (default: now)
+ * @returns {Promise<object>} - { shownCounts: Map, lastShown: Map, selectedIds: Set, digestCount }
+ */
+export async function loadDigestHistory(options = {}, today = new Date()) {
+  const days = options.days ?? DEFAULT_HISTORY_OPTIONS.days;
+  const before = format(today, 'yyyy-MM-dd');
+  const from = format(subDays(today, days), 'yyyy-MM-dd');
+
+  const shownCounts = new Map();
+  const lastShown = new Map();
+  const selectedIds = new Set();
+
+  const digestFiles = await listDatedFiles('digest', from, before);
+  for (const file of digestFiles) {
+    const digest = await readDataFile(file);
+    if (!digest) continue;
+
+    // Newer digests record exactly what was on screen; older ones only the full list
+    const shown = digest.shownIds
+      ? new Set(digest.shownIds)
+      : null;
+
+    (digest.items || []).forEach(item => {
+      if (shown && !itemIds(item).some(id => shown.has(id))) return;
+
+      itemIds(item).forEach(id => {
+        shownCounts.set(id, (shownCounts.get(id) || 0) + 1);
+        lastShown.set(id, digest.date);
+      });
+    });
+  }
+
+  const selectionFiles = await listDatedFiles('selections', from, before);
+  for (const file of selectionFiles) {
+    const selections = await readDataFile(file);
+    if (!selections) continue;
+
+    (selections.itemIds || []).forEach(id => selectedIds.add(id));
+    (selections.items || []).forEach(item => itemIds(item).forEach(id => selectedIds.add(id)));
+  }
+
+  return {
+    shownCounts,
+    lastShown,
+    selectedIds,
+    digestCount: digestFiles.length
+  };
+}
+
+/**
+ * Items picked in recent digests, for turning into posts
+ * @param {object} options - { days } (default: 30)
+ * @param {Date} today - Reference date (default: now) - today's picks included
+ * @returns {Promise<Array>} - Items with `selectedOn` (yyyy-MM-dd), newest first, each ID once
+ */
+export async function loadSelectedItems(options = {}, today = new Date()) {
+  const days = options.days ?? 30;
+  const before = format(addDays(today, 1), 'yyyy-MM-dd');
+  const from = format(subDays(today, days), 'yyyy-MM-dd');
+
+  const files = await listDatedFiles('selections', from, before);
+  const seen = new Set();
+  const items = [];
+
+  for (const file of files.reverse()) {
+    const selections = await readDataFile(file);
+    if (!selections) continue;
+
+    (selections.items || []).forEach(item => {
+      if (!item?.id || seen.has(item.id)) return;
+      seen.add(item.id);
+      items.push({ ...item, selectedOn: selections.date });
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Annotate, demote and hide items based on digest history
+ *
+ * Each item gets `history: { timesShown, lastShown, selected, isNew }`.
+ *
+ * @param {Array} items - Normalized items
+ * @param {object} history - Result of loadDigestHistory()
+ * @param {object} options - History options (see DEFAULT_HISTORY_OPTIONS)
+ * @returns {object} - { visible: Array, hidden: Array }
+ */
+export function applyDigestHistory(items, history, options = {}) {
+  const settings = { ...DEFAULT_HISTORY_OPTIONS, ...options };
+  const visible = [];
+  const hidden = [];
+
+  items.forEach(item => {
+    const ids = itemIds(item);
+    const timesShown = Math.max(0, ...ids.map(id => history.shownCounts.get(id) || 0));
+    const selected = ids.some(id => history.selectedIds.has(id));
+    const lastShown = ids.map(id => history.lastShown.get(id)).filter(Boolean).sort().pop() || null;
+
+    const annotated = {
+      ...item,
+      score: Math.max(0, item.score - timesShown * settings.demotePerShow),
+      history: {
+        timesShown,
+        lastShown,
+        selected,
+        // Nothing to compare against on the very first digest
+        isNew: history.digestCount > 0 && timesShown === 0 && !selected
+      }
+    };
+
+    const shouldHide = (settings.hideSelected && selected) ||
+      (settings.hideAfterShown > 0 && timesShown >= settings.hideAfterShown);
+
+    if (shouldHide) {
+      hidden.push(annotated);
+    } else {
+      visible.push(annotated);
+    }
+  });
+
+  visible.sort((a, b) => b.score - a.score);
+
+  return { visible, hidden };
+}
@@ -0,0 +1,163 @@
+/**
+ * http.js - Shared HTTP helpers for discovery fetchers
+ *
+ * Thin wrappers around fetch() that every source uses so that
+ * non-2xx responses become errors (instead of JSON parse failures
+ * or silently empty pages) and abort signals are always passed through.
+ *
+ * Pass `cache: { ttlMinutes }` to go through the on-disk cache:
+ * - Fresh entry (younger than the TTL): served from disk, no request
+ * - Stale entry with ETag/Last-Modified: conditional request, 304 reuses the body
+ * - Otherwise: normal request, successful responses are stored
+ *
+ * DAILY_VOICE_FIXTURES=record|replay routes every request through the
+ * recorded fixtures instead (see replay.js).
+ */
+
+import { getCacheKey, readCacheEntry, writeCacheEntry, isFresh } from './cache.js';
+import { getReplayMode, replayRequest, recordRequest } from './replay.js';
+
+/**
+ * Build a Response from a cached body
+ * @param {object} entry - Cache entry
+ * @returns {Response}
+ */
+function responseFromCache(entry) {
+  return new Response(entry.body, {
+    status: 200,
+    headers: {
+      'Content-Type': entry.contentType || 'text/plain',
+      'X-Daily-Voice-Cache': 'hit'
+    }
+  });
+}
+
+/**
+ * Store a cache entry without failing the request
+ * The response is already in hand, so a full disk or read-only cache dir
+ * only costs the next run a download - it mustn't use up a retry.
+ * @param {string} key - Cache key
+ * @param {object} entry - Cache entry
+ */
+async function storeCacheEntry(key, entry) {
+  try {
+    await writeCacheEntry(key, entry);
+  } catch (error) {
+    // Unwritable cache - serve the response uncached
+  }
+}
+
+/**
+ * Perform a request through the on-disk cache
+ * @param {string} url - Request URL
+ * @param {object} init - fetch() options
+ * @param {object} cache - { ttlMinutes }
+ * @returns {Promise<Response>}
+ */
+async function cachedRequest(url, init, cache) {
+  const key = getCacheKey(url, init);
+  const entry = await readCacheEntry(key);
+  const method = (init.method || 'GET').toUpperCase();
+
+  if (entry && isFresh(entry, cache.ttlMinutes ?? 60)) {
+    return responseFromCache(entry);
+  }
+
+  // Revalidate stale GET entries instead of downloading them again
+  const headers = { ...(init.headers || {}) };
+  if (entry && method === 'GET') {
+    if (entry.etag) headers['If-None-Match'] = entry.etag;
+    if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+  }
+
+  const response = await fetch(url, { ...init, headers });
+
+  if (response.status === 304 && entry) {
+    await storeCacheEntry(key, { ...entry, storedAt: new Date().toISOString() });
+    return responseFromCache(entry);
+  }
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} ${response.statusText} for ${url}`);
+  }
+
+  const body = await response.text();
+  const stored = {
+    url,
+    method,
+    body,
+    contentType: response.headers.get('content-type'),
+    etag: response.headers.get('etag'),
+    lastModified: response.headers.get('last-modified'),
+    storedAt: new Date().toISOString()
+  };
+  await storeCacheEntry(key, stored);
+
+  return new Response(body, {
+    status: response.status,
+    headers: { 'Content-Type': stored.contentType || 'text/plain' }
+  });
+}
+
+/**
+ * Check whether a response was served from the on-disk cache
+ * @param {Response} response - Response returned by request()
+ * @returns {boolean}
+ */
+export function isCacheHit(response) {
+  return response.headers.get('X-Daily-Voice-Cache') === 'hit';
+}
+
+/**
+ * Perform a request and fail on non-2xx responses
+ * @param {string} url - Request URL
+ * @param {object} init - fetch() options (method, headers, body, signal)
+ * @param {object} init.cache - Optional { ttlMinutes } to use the on-disk cache
+ * @returns {Promise<Response>} - The successful response
+ * @throws {Error} on network errors, aborts and non-2xx statuses
+ */
+export async function request(url, init = {}) {
+  const { cache, ...fetchInit } = init;
+  const replayMode = getReplayMode();
+
+  if (cache && !replayMode) {
+    return cachedRequest(url, fetchInit, cache);
+  }
+
+  let response;
+  if (replayMode === 'replay') {
+    response = await replayRequest(url, fetchInit);
+  } else if (replayMode === 'record') {
+    response = await recordRequest(url, fetchInit);
+  } else {
+    response = await fetch(url, fetchInit);
+  }
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} ${response.statusText} for ${url}`);
+  }
+
+  return response;
+}
+
+/**
+ * Fetch a URL and parse the body as JSON
+ * @param {string} url - Request URL
+ * @param {object} init - fetch() options (plus optional cache)
+ * @returns {Promise<*>} - Parsed JSON body
+ */
+export async function fetchJSON(url, init = {}) {
+  const response = await request(url, init);
+  return response.json();
+}
+
+/**
+ * Fetch a URL and return the body as text
+ * @param {string} url - Request URL
+ * @param {object} init - fetch() options (plus optional cache)
+ * @returns {Promise<string>} - Response body
+ */
+export async function fetchText(url, init = {}) {
+  const response = await request(url, init);
+  return response.text();
+}
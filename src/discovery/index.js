@@ -1,110 +1,175 @@
 import ora from 'ora';
 import chalk from 'chalk';
 
-// Import all discovery sources
-import { fetchDevTo, fetchDevToEducational } from './sources/devto.js';
-import { fetchHackerNews } from './sources/hackernews.js';
-import { fetchGitHubTrending } from './sources/github.js';
-import { fetchLobsters } from './sources/lobsters.js';
-import { fetchHashnode } from './sources/hashnode.js';
-import { fetchFreeCodeCamp } from './sources/freecodecamp.js';
-import { fetchDailyDev } from './sources/dailydev.js';
+// Register all built-in discovery sources
+import './sources/index.js';
+import {
+  getEnabledSources,
+  getSource,
+  getDiscoveryPolicy,
+  getSourceEmoji,
+  loadSourceConfig
+} from './registry.js';
+import { DEFAULT_POLICY, mapWithConcurrency, fetchSourceWithPolicy, summarizeOutcome } from './runner.js';
+import { recordSourceHealth } from './health.js';
+import { getReplayMode } from './replay.js';
 
 /**
- * Main discovery function that fetches content from all sources
+ * Format a duration in milliseconds as seconds
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - e.g. '1.4s'
  */
-export async function discoverContent() {
-  // Separate sources by type
-  const trendingSources = [
-    { name: 'Dev.to', fetch: fetchDevTo, emoji: '📝' },
-    { name: 'HackerNews', fetch: fetchHackerNews, emoji: '🔥' },
-    { name: 'GitHub', fetch: fetchGitHubTrending, emoji: '⭐' },
-    { name: 'Lobsters', fetch: fetchLobsters, emoji: '🦞' },
-    { name: 'Hashnode', fetch: fetchHashnode, emoji: '#️⃣' }
-  ];
+function formatDuration(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Main discovery function that fetches content from all enabled sources
+ *
+ * Sources are fetched concurrently through a bounded pool, each attempt
+ * with its own timeout, and failed attempts are retried with backoff.
+ *
+ * @param {object} options - Policy overrides (concurrency, timeoutMs, retries, backoffMs)
+ * @param {boolean} options.quiet - No spinner or progress output (headless runs)
+ * @returns {Promise<object>} - Items keyed by source id (e.g. { devto: [...] })
+ */
+export async function discoverContent(options = {}) {
+  const { results } = await discoverContentWithReport(options);
+  return results;
+}
+
+/**
+ * Same as discoverContent(), plus how each source did
+ * @param {object} options - See discoverContent()
+ * @param {boolean} options.health - Record the run in the source health log (default: true)
+ * @returns {Promise<object>} - { results, sources: [{ id, name, status, items, attempts, duration, error }], alerts }
+ */
+export async function discoverContentWithReport(options = {}) {
+  await loadSourceConfig();
 
-  const educationalSources = [
-    { name: 'DevTo-Edu', fetch: fetchDevToEducational, emoji: '📚' },
-    { name: 'FreeCodeCamp', fetch: fetchFreeCodeCamp, emoji: '🎓' },
-    { name: 'DailyDev', fetch: fetchDailyDev, emoji: '📖' }
+  const { quiet = false, health = true, ...overrides } = options;
+  const policy = { ...DEFAULT_POLICY, ...getDiscoveryPolicy(), ...overrides };
+
+  // Trending sources first, then educational
+  const allSources = [
+    ...getEnabledSources('trending'),
+    ...getEnabledSources('educational')
   ];
 
-  const allSources = [...trendingSources, ...educationalSources];
+  if (!quiet) {
+    console.log(chalk.blue.bold('\n📡 Discovering content from multiple sources...\n'));
+  }
+
+  let completed = 0;
+
+  const spinner = quiet
+    ? null
+    : ora(`Fetching from ${allSources.length} sources (${policy.concurrency} at a time)...`).start();
+
+  // Print a finished source above the shared spinner
+  const report = (line) => {
+    if (!spinner) return;
+    spinner.clear();
+    console.log(line);
+    spinner.text = `Fetching... ${completed}/${allSources.length} sources done`;
+    spinner.render();
+  };
+
+  const outcomes = await mapWithConcurrency(allSources, policy.concurrency, async (source) => {
+    const outcome = await fetchSourceWithPolicy(source, policy);
+    completed++;
+
+    const duration = formatDuration(outcome.duration);
+    const retried = outcome.attempts > 1 ? chalk.gray(` after ${outcome.attempts} attempts`) : '';
+
+    if (outcome.status === 'success') {
+      report(`${source.emoji} ${chalk.green('✔')} ${chalk.green(`${source.name} - ${chalk.bold(outcome.items.length)} items (${duration})`)}${retried}`);
+    } else if (outcome.status === 'timeout') {
+      report(`${source.emoji} ${chalk.yellow('⏱')} ${chalk.yellow(`${source.name} timed out (${duration})`)}${retried}`);
+    } else {
+      report(`${source.emoji} ${chalk.red('✖')} ${chalk.red(`${source.name} failed: ${outcome.error.message}`)}${retried}`);
+    }
+
+    return outcome;
+  });
 
-  console.log(chalk.blue.bold('\n📡 Discovering content from multiple sources...\n'));
+  spinner?.stop();
 
+  // Keyed in registry order regardless of which source finished first
   const results = {};
-  let successCount = 0;
-  let totalItems = 0;
-  let educationalCount = 0;
-  let trendingCount = 0;
-
-  // Fetch from each source
-  for (const source of allSources) {
-    const spinner = ora({
-      text: `Fetching from ${source.name}...`,
-      prefixText: source.emoji
-    }).start();
+  outcomes.forEach(outcome => {
+    results[outcome.source.id] = outcome.items;
+  });
 
-    try {
-      const startTime = Date.now();
-      const items = await source.fetch();
-      const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+  const successCount = outcomes.filter(o => o.status === 'success').length;
+  const timeoutCount = outcomes.filter(o => o.status === 'timeout').length;
+  const failedCount = outcomes.filter(o => o.status === 'failed').length;
+  const totalItems = outcomes.reduce((sum, o) => sum + o.items.length, 0);
 
-      results[source.name.toLowerCase()] = items;
-      successCount++;
-      totalItems += items.length;
+  const sources = outcomes.map(summarizeOutcome);
 
-      spinner.succeed(
-        chalk.green(`${source.name} - ${chalk.bold(items.length)} items (${duration}s)`)
-      );
+  // Recorded fixtures say nothing about the live sites, so replays aren't logged
+  let alerts = [];
+  if (health && !getReplayMode()) {
+    try {
+      ({ alerts } = await recordSourceHealth(outcomes));
     } catch (error) {
-      spinner.fail(
-        chalk.red(`${source.name} failed: ${error.message}`)
-      );
-      results[source.name.toLowerCase()] = [];
+      if (!quiet) {
+        console.log(chalk.gray(`Could not update the source health log: ${error.message}`));
+      }
     }
   }
 
+  if (quiet) {
+    return { results, sources, alerts };
+  }
+
   // Summary
   console.log(chalk.cyan('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━'));
   console.log(
     chalk.blue.bold('📊 Discovery Summary: ') +
     chalk.green(`${successCount}/${allSources.length} sources`) +
+    (timeoutCount > 0 ? chalk.gray(' | ') + chalk.yellow(`${timeoutCount} timed out`) : '') +
+    (failedCount > 0 ? chalk.gray(' | ') + chalk.red(`${failedCount} failed`) : '') +
     chalk.gray(' | ') +
     chalk.yellow(`${totalItems} total items`)
   );
   console.log(chalk.cyan('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n'));
 
-  return results;
+  if (alerts.length > 0) {
+    console.log(chalk.yellow.bold('⚠️  Sources returning less than usual (their page layout or API may have changed):'));
+    alerts.forEach(alert => console.log(chalk.yellow(`   ${getSourceEmoji(alert.id)} ${alert.message}`)));
+    console.log();
+  }
+
+  return { results, sources, alerts };
 }
 
 /**
  * Fetches content from a specific source
+ * @param {string} sourceName - Source id ('devto') or display name ('Dev.to')
+ * @param {object} options - Policy overrides (timeoutMs, retries, backoffMs)
+ * @returns {Promise<Array>} - Raw items from that source
  */
-export async function discoverFromSource(sourceName) {
-  const sourceMap = {
-    'devto': fetchDevTo,
-    'hackernews': fetchHackerNews,
-    'github': fetchGitHubTrending,
-    'lobsters': fetchLobsters,
-    'hashnode': fetchHashnode
-  };
+export async function discoverFromSource(sourceName, options = {}) {
+  await loadSourceConfig();
 
-  const fetcher = sourceMap[sourceName.toLowerCase()];
+  const source = getSource(sourceName);
 
-  if (!fetcher) {
+  if (!source) {
     throw new Error(`Unknown source: ${sourceName}`);
   }
 
-  const spinner = ora(`Fetching from ${sourceName}...`).start();
+  const spinner = ora(`Fetching from ${source.name}...`).start();
+
+  const policy = { ...DEFAULT_POLICY, ...getDiscoveryPolicy(), ...options };
+  const outcome = await fetchSourceWithPolicy(source, policy);
 
-  try {
-    const items = await fetcher();
-    spinner.succeed(`Found ${items.length} items from ${sourceName}`);
-    return items;
-  } catch (error) {
-    spinner.fail(`Failed to fetch from ${sourceName}: ${error.message}`);
-    throw error;
+  if (outcome.status !== 'success') {
+    spinner.fail(`Failed to fetch from ${source.name}: ${outcome.error.message}`);
+    throw outcome.error;
   }
-}
\ No newline at end of file
+
+  spinner.succeed(`Found ${outcome.items.length} items from ${source.name}`);
+  return outcome.items;
+}
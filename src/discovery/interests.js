@@ -0,0 +1,275 @@
+/**
+ * interests.js - Adaptive interest model learned from picks and skips
+ *
+ * Every digest records which items were shown and which were picked.
+ * Tags, sources and authors accumulate shown/picked counts, which turn
+ * into weights: features you pick more often than average go up,
+ * features you keep skipping go down. The next digest is re-ranked with
+ * those weights and split into "sweet spots" (what the model thinks you
+ * like) and "wildcards" (popular items it wouldn't have picked for you).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { DATA_DIR, loadConfig } from '../core/config.js';
+
+const PREFERENCES_FILE = path.join(DATA_DIR, 'preferences.json');
+
+export const DEFAULT_INTEREST_OPTIONS = {
+  enabled: true,
+  exploit: 0.7,         // Share of each section filled with sweet spots (rest are wildcards)
+  minDigests: 3,        // Keep the digest broad until this many digests have been recorded
+  strength: 20,         // Score points per unit of affinity
+  decay: 0.95,          // Old picks/skips fade by this factor every recorded digest
+  prior: 5,             // Pseudo-observations pulling rarely-seen features towards neutral
+  maxWeight: 2,         // Clamp on a single feature's weight (log2 of its pick-rate lift)
+  featureWeights: {     // How much each kind of feature contributes to affinity
+    tag: 1,
+    source: 0.5,
+    author: 0.3
+  }
+};
+
+/**
+ * Load interest options from config/digest.json
+ * @returns {Promise<object>} - Interest options
+ */
+export async function loadInterestOptions() {
+  const config = await loadConfig('digest', { interests: DEFAULT_INTEREST_OPTIONS });
+  return { ...DEFAULT_INTEREST_OPTIONS, ...config.interests };
+}
+
+/**
+ * Create an empty preference model
+ * @returns {object}
+ */
+export function createModel() {
+  return {
+    version: 1,
+    updatedAt: null,
+    digests: 0,
+    shown: 0,
+    picked: 0,
+    features: {}
+  };
+}
+
+/**
+ * Load the preference model from data/preferences.json
+ * @returns {Promise<object>} - Model (empty if nothing recorded yet)
+ */
+export async function loadModel() {
+  try {
+    const content = await fs.readFile(PREFERENCES_FILE, 'utf-8');
+    return { ...createModel(), ...JSON.parse(content) };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return createModel();
+    }
+    throw new Error(`Error loading preferences: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Save the preference model to data/preferences.json
+ * @param {object} model - Preference model
+ */
+export async function saveModel(model) {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  await fs.writeFile(PREFERENCES_FILE, JSON.stringify(model, null, 2), 'utf-8');
+}
+
+/**
+ * Features of an item the model learns about
+ * @param {object} item - Normalized item
+ * @returns {string[]} - Keys like 'tag:rust', 'source:hackernews', 'author:mitchellh'
+ */
+export function getItemFeatures(item) {
+  const features = new Set();
+
+  (item.tags || []).forEach(tag => {
+    if (typeof tag === 'string' && tag.trim()) {
+      features.add(`tag:${tag.trim().toLowerCase()}`);
+    }
+  });
+
+  (item.sources || [item.source]).forEach(source => {
+    if (source) features.add(`source:${source}`);
+  });
+
+  if (typeof item.author === 'string' && item.author && item.author !== 'Unknown') {
+    features.add(`author:${item.author.toLowerCase()}`);
+  }
+
+  return Array.from(features);
+}
+
+/**
+ * Weight of one feature: log2 of how much more (or less) often it gets
+ * picked than the average item, smoothed towards 0 by `prior`
+ * @param {object} stats - { shown, picked }
+ * @param {number} baseRate - Overall pick rate
+ * @param {object} options - Interest options
+ * @returns {number}
+ */
+function featureWeight(stats, baseRate, options) {
+  if (!stats || baseRate <= 0) return 0;
+
+  const rate = (stats.picked + options.prior * baseRate) / (stats.shown + options.prior);
+  const weight = Math.log2(rate / baseRate);
+
+  return Math.max(-options.maxWeight, Math.min(options.maxWeight, weight));
+}
+
+// Keep preferences.json readable
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Record one digest: what was shown and what was picked
+ * Skipped items are the shown ones that weren't picked.
+ * @param {object} model - Preference model (updated in place)
+ * @param {Array} shownItems - Items on screen
+ * @param {Array} pickedItems - Items the user selected
+ * @param {object} options - Interest options
+ * @returns {object} - The updated model
+ */
+export function recordDigest(model, shownItems, pickedItems, options = {}) {
+  const settings = { ...DEFAULT_INTEREST_OPTIONS, ...options };
+  const pickedIds = new Set(pickedItems.map(item => item.id));
+
+  // Let older behaviour fade so interests can drift
+  model.shown *= settings.decay;
+  model.picked *= settings.decay;
+  Object.values(model.features).forEach(stats => {
+    stats.shown *= settings.decay;
+    stats.picked *= settings.decay;
+  });
+
+  shownItems.forEach(item => {
+    const picked = pickedIds.has(item.id);
+    model.shown += 1;
+    if (picked) model.picked += 1;
+
+    getItemFeatures(item).forEach(feature => {
+      const stats = model.features[feature] || (model.features[feature] = { shown: 0, picked: 0, weight: 0 });
+      stats.shown += 1;
+      if (picked) stats.picked += 1;
+    });
+  });
+
+  // Store weights alongside the counts so preferences.json is readable on its own
+  const baseRate = model.shown > 0 ? model.picked / model.shown : 0;
+  Object.entries(model.features).forEach(([feature, stats]) => {
+    // Drop features that have faded to nothing
+    if (stats.shown < 0.05) {
+      delete model.features[feature];
+      return;
+    }
+    stats.shown = round(stats.shown);
+    stats.picked = round(stats.picked);
+    stats.weight = round(featureWeight(stats, baseRate, settings));
+  });
+
+  model.shown = round(model.shown);
+  model.picked = round(model.picked);
+  model.digests += 1;
+  model.updatedAt = new Date().toISOString();
+
+  return model;
+}
+
+/**
+ * How much the model expects you to like an item
+ * @param {object} item - Normalized item
+ * @param {object} model - Preference model
+ * @param {object} options - Interest options
+ * @returns {number} - Positive for sweet spots, negative for noise, 0 if unknown
+ */
+export function scoreAffinity(item, model, options = {}) {
+  const settings = { ...DEFAULT_INTEREST_OPTIONS, ...options };
+  const featureWeights = { ...DEFAULT_INTEREST_OPTIONS.featureWeights, ...settings.featureWeights };
+  const baseRate = model.shown > 0 ? model.picked / model.shown : 0;
+
+  // Average per kind, so an item with five tags doesn't outweigh one with a single tag
+  const byKind = {};
+  getItemFeatures(item).forEach(feature => {
+    const stats = model.features[feature];
+    if (!stats) return;
+
+    const kind = feature.slice(0, feature.indexOf(':'));
+    (byKind[kind] || (byKind[kind] = [])).push(featureWeight(stats, baseRate, settings));
+  });
+
+  return Object.entries(byKind).reduce((sum, [kind, weights]) => {
+    const mean = weights.reduce((a, b) => a + b, 0) / weights.length;
+    return sum + mean * (featureWeights[kind] ?? 0);
+  }, 0);
+}
+
+/**
+ * Pick the items for one digest section with an explore/exploit split
+ *
+ * Sweet spots are the best items after re-ranking by affinity; wildcards
+ * fill the remaining slots from the most popular items the model did not
+ * choose. Until `minDigests` digests are recorded, items keep their plain
+ * popularity order.
+ *
+ * Each returned item gets `interest: { affinity, slot }`, where slot is
+ * 'sweet', 'wildcard' or 'cold' (model not trained yet).
+ *
+ * @param {Array} items - Normalized items, any order
+ * @param {number} count - Number of slots
+ * @param {object} model - Preference model
+ * @param {object} options - Interest options
+ * @returns {Array} - Selected items, sweet spots first
+ */
+export function selectWithInterests(items, count, model, options = {}) {
+  const settings = { ...DEFAULT_INTEREST_OPTIONS, ...options };
+  const byPopularity = [...items].sort((a, b) => b.score - a.score);
+
+  if (!settings.enabled || model.digests < settings.minDigests) {
+    return byPopularity
+      .slice(0, count)
+      .map(item => ({ ...item, interest: { affinity: 0, slot: 'cold' } }));
+  }
+
+  const ranked = byPopularity
+    .map(item => {
+      const affinity = round(scoreAffinity(item, model, settings));
+      return { item, affinity, rank: item.score + affinity * settings.strength };
+    })
+    .sort((a, b) => b.rank - a.rank);
+
+  const sweetCount = Math.min(count, Math.round(count * settings.exploit));
+  const sweet = ranked.slice(0, sweetCount);
+  const chosen = new Set(sweet.map(entry => entry.item));
+
+  // Wildcards: what's popular right now, regardless of what the model thinks
+  const wildcards = ranked
+    .filter(entry => !chosen.has(entry.item))
+    .sort((a, b) => b.item.score - a.item.score)
+    .slice(0, count - sweet.length);
+
+  return [
+    ...sweet.map(({ item, affinity }) => ({ ...item, interest: { affinity, slot: 'sweet' } })),
+    ...wildcards.map(({ item, affinity }) => ({ ...item, interest: { affinity, slot: 'wildcard' } }))
+  ];
+}
+
+/**
+ * Strongest likes and dislikes, for display
+ * @param {object} model - Preference model
+ * @param {number} count - How many of each
+ * @returns {object} - { likes: [[feature, weight]], dislikes: [[feature, weight]] }
+ */
+export function getTopInterests(model, count = 5) {
+  const entries = Object.entries(model.features)
+    .map(([feature, stats]) => [feature, stats.weight]);
+
+  return {
+    likes: entries.filter(([, weight]) => weight > 0).sort((a, b) => b[1] - a[1]).slice(0, count),
+    dislikes: entries.filter(([, weight]) => weight < 0).sort((a, b) => a[1] - b[1]).slice(0, count)
+  };
+}
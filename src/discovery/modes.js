@@ -0,0 +1,153 @@
+/**
+ * modes.js - Focus mode and explore mode for the digest
+ *
+ * Focus mode ("system design week") fills a configurable share of each
+ * digest section with items matching a set of topics, by tag or keyword.
+ * Explore mode favors sources and tags the interest model has rarely
+ * shown, so the digest reaches beyond the usual suspects.
+ */
+
+import { loadConfig } from '../core/config.js';
+import { getItemFeatures } from './interests.js';
+import { matchesKeyword } from './tags.js';
+
+export const DEFAULT_MODE_OPTIONS = {
+  focusShare: 0.8,      // Share of each section reserved for focused items
+  focusBoost: 15,       // Score points per extra focus topic an item matches
+  exploreBoost: 40,     // Score points for an item made entirely of unseen tags/sources
+  explorePrior: 3,      // How many showings it takes for a feature to stop feeling new
+  // Keywords per focus topic, matched against tags, titles and descriptions.
+  // Topics not listed here match on their own name.
+  topics: {
+    systemdesign: ['system design', 'distributed', 'scalability', 'architecture', 'microservices', 'load balancing', 'caching', 'sharding', 'consensus'],
+    ai: ['ai', 'llm', 'llms', 'machine learning', 'ml', 'gpt', 'claude', 'openai', 'anthropic', 'neural', 'deep learning', 'rag', 'agents'],
+    security: ['security', 'vulnerability', 'cve', 'exploit', 'auth', 'encryption', 'cryptography'],
+    devops: ['devops', 'kubernetes', 'docker', 'ci', 'terraform', 'observability', 'sre'],
+    databases: ['database', 'databases', 'sql', 'postgres', 'postgresql', 'mysql', 'sqlite', 'redis', 'mongodb'],
+    frontend: ['frontend', 'react', 'vue', 'svelte', 'css', 'html', 'javascript', 'typescript']
+  }
+};
+
+/**
+ * Load mode options from config/digest.json
+ * @returns {Promise<object>} - Mode options
+ */
+export async function loadModeOptions() {
+  const config = await loadConfig('digest', { modes: DEFAULT_MODE_OPTIONS });
+  return { ...DEFAULT_MODE_OPTIONS, ...config.modes };
+}
+
+/**
+ * Reduce a topic or tag to a comparable key ('System-Design' → 'systemdesign')
+ * @param {string} value
+ * @returns {string}
+ */
+function topicKey(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Parse a --focus value into topic keys
+ * @param {string|string[]} focus - e.g. 'systemdesign,ai'
+ * @returns {string[]}
+ */
+export function parseFocusTopics(focus) {
+  if (!focus) return [];
+
+  const values = Array.isArray(focus) ? focus : String(focus).split(',');
+  return Array.from(new Set(values.map(topicKey).filter(Boolean)));
+}
+
+/**
+ * Which focus topics an item matches
+ * @param {object} item - Normalized item
+ * @param {string[]} topics - Topic keys from parseFocusTopics()
+ * @param {object} options - Mode options
+ * @returns {string[]} - Matched topics
+ */
+export function matchFocusTopics(item, topics, options = {}) {
+  const keywordsByTopic = { ...DEFAULT_MODE_OPTIONS.topics, ...options.topics };
+  const tags = new Set((item.tags || []).map(topicKey));
+  const text = `${item.title || ''} ${item.description || ''}`.toLowerCase();
+
+  return topics.filter(topic => {
+    const keywords = keywordsByTopic[topic] || [topic];
+
+    if (tags.has(topic) || keywords.some(keyword => tags.has(topicKey(keyword)))) {
+      return true;
+    }
+
+    return keywords.some(keyword => matchesKeyword(text, keyword));
+  });
+}
+
+/**
+ * Re-rank items so rarely seen sources and tags come first
+ *
+ * Novelty is the average over an item's features of prior / (prior + times shown),
+ * using the counts kept by the interest model: 1 for never seen, towards 0 for
+ * features seen every day.
+ *
+ * @param {Array} items - Normalized items
+ * @param {object} model - Preference model (see interests.js)
+ * @param {object} options - Mode options
+ * @returns {Array} - Items with `explore: { novelty, rank }`, best first
+ */
+export function rankForExploration(items, model, options = {}) {
+  const settings = { ...DEFAULT_MODE_OPTIONS, ...options };
+
+  return items
+    .map(item => {
+      const features = getItemFeatures(item);
+      const novelty = features.length === 0
+        ? 1
+        : features.reduce((sum, feature) => {
+          const shown = model.features[feature]?.shown || 0;
+          return sum + settings.explorePrior / (settings.explorePrior + shown);
+        }, 0) / features.length;
+
+      return {
+        ...item,
+        explore: {
+          novelty: Math.round(novelty * 100) / 100,
+          rank: item.score + novelty * settings.exploreBoost
+        }
+      };
+    })
+    .sort((a, b) => b.explore.rank - a.explore.rank);
+}
+
+/**
+ * Pick the focused part of a digest section
+ *
+ * Matching items are ranked by score (or exploration rank) plus `focusBoost`
+ * per extra topic they match, and `focusShare` of the slots are filled with
+ * them. The caller fills the remaining slots however it ranks the rest.
+ *
+ * @param {Array} items - Candidate items
+ * @param {number} count - Section size
+ * @param {string[]} topics - Focus topics
+ * @param {object} options - Mode options
+ * @returns {object} - { focused: Array (each with `focus: [topics]`), rest: Array }
+ */
+export function selectFocused(items, count, topics, options = {}) {
+  const settings = { ...DEFAULT_MODE_OPTIONS, ...options };
+  const slots = Math.min(count, Math.round(count * settings.focusShare));
+
+  const matches = items
+    .map(item => ({ item, matched: matchFocusTopics(item, topics, settings) }))
+    .filter(entry => entry.matched.length > 0)
+    .map(entry => ({
+      ...entry,
+      rank: (entry.item.explore?.rank ?? entry.item.score) + (entry.matched.length - 1) * settings.focusBoost
+    }))
+    .sort((a, b) => b.rank - a.rank)
+    .slice(0, slots);
+
+  const chosen = new Set(matches.map(entry => entry.item));
+
+  return {
+    focused: matches.map(({ item, matched }) => ({ ...item, focus: matched })),
+    rest: items.filter(item => !chosen.has(item))
+  };
+}
@@ -1,4 +1,8 @@
+import crypto from 'crypto';
 import { format } from 'date-fns';
+import { dedupeItems, canonicalizeUrl } from './dedupe.js';
+import { DEFAULT_TAXONOMY, normalizeTags } from './tags.js';
+import { DEFAULT_EDUCATIONAL_RULES, classifyItem } from './classifier.js';
 
 /**
  * Normalizes scores from different sources to 0-100 scale
@@ -40,16 +44,81 @@ function normalizeScore(source, item) {
       // Daily.dev curated content
       return item.isEducational ? 70 : 60;
 
+    case 'reddit':
+      // Reddit: upvotes span several orders of magnitude, so log scale
+      // (100 → 60, 1k → 90, 2k+ → 100)
+      return Math.min(100, Math.round(Math.log10((item.score || 0) + 1) * 30));
+
+    case 'producthunt':
+      // Product Hunt: Based on votes (the public feed has none)
+      return item.votes === undefined ? 60 : Math.min(100, Math.round(item.votes / 5));
+
+    case 'paperswithcode':
+      // Trending papers: research is educational, upvotes add on top
+      return Math.min(100, 40 + Math.round((item.upvotes || 0) / 2));
+
     default:
+      // User-defined RSS/Atom/JSON feeds carry no engagement numbers
+      if (item.feedFormat) {
+        return item.isEducational ? 70 : 55;
+      }
       return 50; // Default middle score
   }
 }
 
 /**
- * Generates a unique ID for each item
+ * Raw engagement number a source reports for an item
+ * Percentile normalization (percentile.js) ranks items against these.
+ * @param {string} source - Source id
+ * @param {object} item - Raw item
+ * @returns {number|null} - null for sources without engagement numbers
  */
-function generateId(source, index) {
-  return `${source}_${Date.now()}_${index}_${Math.random().toString(36).substr(2, 9)}`;
+export function getEngagement(source, item) {
+  let value;
+  switch(source) {
+    case 'devto':
+    case 'devto-edu':
+    case 'hashnode':
+      value = item.reactions;
+      break;
+    case 'hackernews':
+    case 'lobsters':
+    case 'reddit':
+      value = item.score;
+      break;
+    case 'github':
+      value = item.starsToday || 0;
+      break;
+    case 'producthunt':
+      value = item.votes;
+      break;
+    case 'paperswithcode':
+      value = item.upvotes || 0;
+      break;
+    default:
+      // FreeCodeCamp, daily.dev and user feeds
+      return null;
+  }
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Generates a stable, content-addressed ID for an item
+ *
+ * Derived from the canonical URL, so the same story gets the same ID
+ * every day and from every source. Items without a usable URL fall
+ * back to their source + title.
+ *
+ * @param {string} source - Source id
+ * @param {object} item - Raw item ({ url, title/name })
+ * @returns {string} - e.g. 'item_3f9a2c4b1d0e8f7a'
+ */
+export function generateItemId(source, item) {
+  const canonicalUrl = canonicalizeUrl(item.url || item.hnUrl);
+  const key = canonicalUrl || `${source}:${(item.title || item.name || '').trim().toLowerCase()}`;
+
+  const hash = crypto.createHash('sha256').update(key).digest('hex').substring(0, 16);
+  return `item_${hash}`;
 }
 
 /**
@@ -61,9 +130,10 @@ function extractTags(source, item) {
     case 'devto-edu':
       return item.tags || [];
     case 'hackernews':
-      return ['tech', 'news']; // HN doesn't have tags
+      return []; // HN doesn't have tags - inferred from the title (tags.js)
     case 'github':
-      return item.language ? [item.language.toLowerCase()] : ['code'];
+      // 'Unknown' is the scraper's placeholder, not a language
+      return item.language && item.language !== 'Unknown' ? [item.language] : [];
     case 'lobsters':
       return item.tags || [];
     case 'hashnode':
@@ -72,39 +142,79 @@ function extractTags(source, item) {
       return item.tags || ['tutorial', 'learning'];
     case 'dailydev':
       return item.tags || ['curated'];
+    case 'reddit':
+      return [item.subreddit, item.flair]
+        .filter(Boolean)
+        .map(tag => tag.toLowerCase());
+    case 'producthunt':
+      return item.topics?.length ? item.topics.map(topic => topic.toLowerCase()) : ['product', 'launch'];
+    case 'paperswithcode':
+      return ['research', 'paper', ...(item.keywords || []).slice(0, 4).map(keyword => keyword.toLowerCase())];
     default:
-      return [];
+      // User-defined feeds: categories from the feed plus configured tags
+      return item.feedFormat ? item.tags || [] : [];
   }
 }
 
+/**
+ * Normalizes when an item was published to a UTC ISO string
+ * Fetchers call it publishedAt, createdAt or time and use different
+ * offsets (Lobste.rs reports -06:00); epoch seconds/ms are accepted too.
+ * Scraped sources (GitHub trending, FreeCodeCamp) have no date → null.
+ * @param {object} item - Raw item
+ * @param {Date} now - Dates in the future (clock skew) are clamped to this
+ * @returns {string|null}
+ */
+export function extractPublishedAt(item, now = new Date()) {
+  const value = item.publishedAt || item.createdAt || item.time || null;
+  if (value === null) return null;
+
+  const date = typeof value === 'number'
+    ? new Date(value < 1e12 ? value * 1000 : value)
+    : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+
+  return (date > now ? now : date).toISOString();
+}
+
 /**
  * Normalizes all data from different sources into a unified format
+ * Duplicates across sources are merged (see dedupe.js).
+ * @param {object} rawData - Raw items keyed by source id
+ * @param {object} options - Normalization options
+ * @param {object|boolean} options.dedupe - Dedupe option overrides, or false to keep duplicates
+ * @param {object|boolean} options.taxonomy - Tag taxonomy (see tags.js), or false to keep raw tags
+ * @param {object|boolean} options.classifier - Educational rules (see classifier.js), or false to trust the fetchers' flag
+ * @returns {Array} - Normalized items sorted by score
  */
-export function normalizeAll(rawData) {
+export function normalizeAll(rawData, options = {}) {
   const normalized = [];
-  let globalIndex = 0;
+  const rules = options.classifier === false ? null : options.classifier || DEFAULT_EDUCATIONAL_RULES;
 
   for (const [source, items] of Object.entries(rawData)) {
     if (!Array.isArray(items)) continue;
 
-    items.forEach((item, index) => {
+    items.forEach(item => {
       // Skip invalid items
       if (!item || (!item.title && !item.name)) return;
 
       const normalizedItem = {
-        id: generateId(source, globalIndex++),
+        id: generateItemId(source, item),
         title: item.title || item.name || 'Untitled',
         url: item.url || item.hnUrl || '',
         source: source.toLowerCase(),
         score: normalizeScore(source.toLowerCase(), item),
-        tags: extractTags(source.toLowerCase(), item),
+        tags: options.taxonomy === false
+          ? extractTags(source.toLowerCase(), item)
+          : normalizeTags(extractTags(source.toLowerCase(), item), item, options.taxonomy || DEFAULT_TAXONOMY),
         timestamp: new Date().toISOString(),
+        publishedAt: extractPublishedAt(item),
 
         // Common metadata
         author: item.author || item.user || item.submitter_user || 'Unknown',
         description: item.description || item.brief || '',
 
-        // Educational flag for categorization
+        // Educational flag for categorization (refined by the classifier below)
         isEducational: item.isEducational || false,
 
         // Source-specific metadata preserved
@@ -114,6 +224,13 @@ export function normalizeAll(rawData) {
         }
       };
 
+      // Title, tags and reading time can override where the fetcher put it
+      if (rules?.enabled) {
+        const { isEducational, confidence, signals } = classifyItem(item, normalizedItem.tags, rules);
+        normalizedItem.isEducational = isEducational;
+        normalizedItem.educational = { confidence, signals };
+      }
+
       // Add engagement metrics
       if (item.comments !== undefined) {
         normalizedItem.engagement = {
@@ -131,8 +248,25 @@ export function normalizeAll(rawData) {
     });
   }
 
+  // Merge the same story appearing from several sources
+  const unique = options.dedupe === false
+    ? normalized
+    : dedupeItems(normalized, options.dedupe || {});
+
   // Sort by score (highest first)
-  return normalized.sort((a, b) => b.score - a.score);
+  return unique.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Find an item by ID, including IDs it was merged under
+ * @param {Array} normalizedItems - Normalized items (e.g. from a saved digest)
+ * @param {string} id - Item ID
+ * @returns {object|null} - Matching item or null
+ */
+export function findItemById(normalizedItems, id) {
+  return normalizedItems.find(item =>
+    item.id === id || (item.aliases || []).includes(id)
+  ) || null;
 }
 
 /**
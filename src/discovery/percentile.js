@@ -0,0 +1,156 @@
+/**
+ * percentile.js - Percentile-based score normalization
+ *
+ * normalizeScore() turns each source's engagement into 0-100 with a fixed
+ * divisor (reactions/10, points/5, stars/3...), which says little about
+ * whether 40 Lobsters points beat 200 HN points. In percentile mode an
+ * item scores by where its engagement falls among that source's items
+ * from recent digests, so the best story of the day lands near 100
+ * whichever site it came from.
+ */
+
+import { format, subDays } from 'date-fns';
+import { loadConfig } from '../core/config.js';
+import { getEngagement } from './normalizer.js';
+import { listDatedFiles, readDataFile } from './history.js';
+import { DEFAULT_DEDUPE_OPTIONS } from './dedupe.js';
+
+export const NORMALIZATION_MODES = ['fixed', 'percentile'];
+
+export const DEFAULT_NORMALIZATION_OPTIONS = {
+  mode: 'fixed',      // 'fixed' (per-source divisors) or 'percentile'
+  days: 14,           // Past digests that make up the rolling window
+  minSamples: 20      // Fewer items than this from a source → keep the fixed score
+};
+
+/**
+ * Load normalization options from config/digest.json
+ * @returns {Promise<object>} - Normalization options
+ */
+export async function loadNormalizationOptions() {
+  const config = await loadConfig('digest', { normalization: DEFAULT_NORMALIZATION_OPTIONS });
+  return { ...DEFAULT_NORMALIZATION_OPTIONS, ...config.normalization };
+}
+
+/**
+ * Add items' engagement to a per-source window, once per item ID
+ * @param {Map} window - source → Map(id → engagement)
+ * @param {Array} items - Normalized items (raw fields under `metadata`)
+ */
+function addToWindow(window, items) {
+  items.forEach(item => {
+    const engagement = getEngagement(item.source, item.metadata || {});
+    if (engagement === null) return;
+
+    if (!window.has(item.source)) {
+      window.set(item.source, new Map());
+    }
+    // Stories stay on a site for days - count each one once, at its latest value
+    window.get(item.source).set(item.id, engagement);
+  });
+}
+
+/**
+ * Collect engagement per source from the digests of the last few days
+ * Today's digest is skipped so re-running on the same day doesn't count items twice.
+ * @param {object} options - { days }
+ * @param {Date} today - Reference date (default: now)
+ * @returns {Promise<Map>} - source → Map(item id → engagement)
+ */
+export async function loadEngagementWindow(options = {}, today = new Date()) {
+  const days = options.days ?? DEFAULT_NORMALIZATION_OPTIONS.days;
+  const before = format(today, 'yyyy-MM-dd');
+  const from = format(subDays(today, days), 'yyyy-MM-dd');
+
+  const window = new Map();
+  const files = await listDatedFiles('digest', from, before);
+
+  for (const file of files) {
+    const digest = await readDataFile(file);
+    if (!digest) continue;
+    addToWindow(window, digest.items || []);
+  }
+
+  return window;
+}
+
+/**
+ * Percentile of a value within a sample (midrank, so ties share a score)
+ * @param {number} value
+ * @param {number[]} sample
+ * @returns {number} - 0-100
+ */
+export function percentileOf(value, sample) {
+  if (sample.length === 0) return 50;
+
+  let below = 0;
+  let equal = 0;
+  sample.forEach(other => {
+    if (other < value) below++;
+    else if (other === value) equal++;
+  });
+
+  return Math.round(((below + equal / 2) / sample.length) * 100);
+}
+
+/**
+ * Replace fixed-divisor scores with each item's percentile within its source
+ *
+ * Today's items join the window before ranking, so a source with a short
+ * history is still compared with itself. Stories merged from several
+ * sources get dedupe's multi-source boost on top of their percentile,
+ * as they did on top of their fixed score.
+ *
+ * Items whose source has no engagement numbers (FreeCodeCamp, daily.dev,
+ * feeds) or fewer than `minSamples` items keep their fixed score. Both
+ * scales run 0-100 and the result is sorted on them together: a fixed
+ * score is the best estimate there is for those items, so they compete
+ * with percentile-scored ones rather than being ranked separately. Only
+ * re-scored items carry `percentile`, so the two can be told apart.
+ *
+ * @param {Array} items - Normalized items (from normalizeAll())
+ * @param {Map} window - From loadEngagementWindow()
+ * @param {object} options - Normalization options
+ * @param {object} dedupeOptions - Dedupe options normalizeAll() used (for multiSourceBoost)
+ * @returns {Array} - New items, best first; re-scored ones carry `percentile: { engagement, samples, boost }`
+ */
+export function applyPercentileScores(items, window, options = DEFAULT_NORMALIZATION_OPTIONS, dedupeOptions = {}) {
+  const combined = new Map([...window].map(([source, values]) => [source, new Map(values)]));
+  addToWindow(combined, items);
+
+  const samples = new Map([...combined].map(([source, values]) => [source, [...values.values()]]));
+  const minSamples = options.minSamples ?? DEFAULT_NORMALIZATION_OPTIONS.minSamples;
+  const multiSourceBoost = dedupeOptions.multiSourceBoost ?? DEFAULT_DEDUPE_OPTIONS.multiSourceBoost;
+
+  return items
+    .map(item => {
+      const engagement = getEngagement(item.source, item.metadata || {});
+      const sample = samples.get(item.source) || [];
+      if (engagement === null || sample.length < minSamples) return item;
+
+      const boost = multiSourceBoost * Math.max(0, (item.sources?.length || 1) - 1);
+      return {
+        ...item,
+        score: Math.min(100, percentileOf(engagement, sample) + boost),
+        percentile: { engagement, samples: sample.length, boost }
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Normalize scores the configured way
+ * @param {Array} items - Normalized items (from normalizeAll())
+ * @param {object} options - Normalization options (default: config/digest.json)
+ * @returns {Promise<Array>} - Items unchanged in 'fixed' mode, percentile-scored otherwise
+ */
+export async function normalizeScores(items, options) {
+  const settings = options || await loadNormalizationOptions();
+
+  if (!NORMALIZATION_MODES.includes(settings.mode)) {
+    throw new Error(`Unknown normalization mode: ${settings.mode} (use ${NORMALIZATION_MODES.join(', ')})`);
+  }
+  if (settings.mode === 'fixed') return items;
+
+  return applyPercentileScores(items, await loadEngagementWindow(settings), settings);
+}
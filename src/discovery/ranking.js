@@ -0,0 +1,118 @@
+/**
+ * ranking.js - Freshness-aware ranking after normalization
+ *
+ * normalizeScore() only knows about engagement, so a week-old Dev.to post
+ * with lots of reactions outranks this morning's story. This stage decays
+ * each item's engagement score by age (with a separate half-life per
+ * category - tutorials age slower than news), applies per-source weights,
+ * and keeps the parts on `item.scoreBreakdown` so the ranking can be
+ * explained.
+ */
+
+import { loadConfig } from '../core/config.js';
+
+export const DEFAULT_RANKING_OPTIONS = {
+  enabled: true,
+  // Hours after which an item's recency factor has halved
+  halfLifeHours: {
+    trending: 24,
+    educational: 336     // Two weeks
+  },
+  // Recency never drops below this, so old but great items can still show up
+  minRecency: {
+    trending: 0.2,
+    educational: 0.5
+  },
+  undatedRecency: 0.8,   // Items without a date (GitHub trending, FreeCodeCamp)
+  sourceWeights: {}      // e.g. { "hackernews": 1.1, "dailydev": 0.9 } (default 1)
+};
+
+/**
+ * Load ranking options from config/digest.json
+ * @returns {Promise<object>} - Ranking options
+ */
+export async function loadRankingOptions() {
+  const config = await loadConfig('digest', { ranking: DEFAULT_RANKING_OPTIONS });
+  return config.ranking;
+}
+
+/**
+ * Which decay settings apply to an item
+ * @param {object} item - Normalized item
+ * @returns {string} - 'educational' or 'trending'
+ */
+export function getItemCategory(item) {
+  return item.isEducational ? 'educational' : 'trending';
+}
+
+/**
+ * Age of an item in hours
+ * @param {object} item - Normalized item (publishedAt from the normalizer)
+ * @param {Date} now - Reference time
+ * @returns {number|null} - Hours since publication, null if undated
+ */
+export function getAgeHours(item, now = new Date()) {
+  if (!item.publishedAt) return null;
+
+  const published = new Date(item.publishedAt).getTime();
+  if (Number.isNaN(published)) return null;
+
+  return Math.max(0, (now.getTime() - published) / (60 * 60 * 1000));
+}
+
+/**
+ * Recency factor for an age: 1 when brand new, halving every half-life, floored
+ * @param {number|null} ageHours - From getAgeHours()
+ * @param {string} category - 'educational' or 'trending'
+ * @param {object} options - Ranking options
+ * @returns {number} - 0-1
+ */
+export function recencyFactor(ageHours, category, options = DEFAULT_RANKING_OPTIONS) {
+  if (ageHours === null) return options.undatedRecency;
+
+  const halfLife = options.halfLifeHours[category] ?? DEFAULT_RANKING_OPTIONS.halfLifeHours[category];
+  const floor = options.minRecency[category] ?? DEFAULT_RANKING_OPTIONS.minRecency[category];
+  const decayed = Math.pow(0.5, ageHours / halfLife);
+
+  return floor + (1 - floor) * decayed;
+}
+
+/**
+ * Decompose an item's ranking score
+ * @param {object} item - Normalized item
+ * @param {object} options - Ranking options
+ * @param {Date} now - Reference time
+ * @returns {object} - { engagement, recency, sourceWeight, ageHours, score }
+ */
+export function scoreItem(item, options = DEFAULT_RANKING_OPTIONS, now = new Date()) {
+  const engagement = item.scoreBreakdown?.engagement ?? item.score;
+  const ageHours = getAgeHours(item, now);
+  const recency = recencyFactor(ageHours, getItemCategory(item), options);
+  const sourceWeight = options.sourceWeights?.[item.source] ?? 1;
+
+  return {
+    engagement,
+    recency: Math.round(recency * 100) / 100,
+    sourceWeight,
+    ageHours: ageHours === null ? null : Math.round(ageHours * 10) / 10,
+    score: Math.min(100, Math.round(engagement * recency * sourceWeight))
+  };
+}
+
+/**
+ * Re-score and re-sort normalized items by engagement × recency × source weight
+ * @param {Array} items - Normalized items (from normalizeAll())
+ * @param {object} options - Ranking options
+ * @param {Date} now - Reference time
+ * @returns {Array} - New items with `score` and `scoreBreakdown`, best first
+ */
+export function rankItems(items, options = DEFAULT_RANKING_OPTIONS, now = new Date()) {
+  if (!options.enabled) return items;
+
+  return items
+    .map(item => {
+      const { score, ...scoreBreakdown } = scoreItem(item, options, now);
+      return { ...item, score, scoreBreakdown };
+    })
+    .sort((a, b) => b.score - a.score);
+}
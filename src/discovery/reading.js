@@ -0,0 +1,175 @@
+/**
+ * reading.js - "Read later" pipeline for selected digest items
+ *
+ * Fetches each selected URL, extracts the article text (extract.js) and
+ * stores it under data/reading/ - a JSON record plus a Markdown copy to
+ * read offline. With `summarize` on, each article also gets a short AI
+ * summary and key points.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { DATA_DIR, loadConfig } from '../core/config.js';
+import { fetchText } from './http.js';
+import { extractArticle } from './extract.js';
+import { getSourceEmoji } from './registry.js';
+
+const READING_DIR = path.join(DATA_DIR, 'reading');
+
+export const DEFAULT_READING_OPTIONS = {
+  summarize: false,      // Ask the model for a summary and key points (see config/llm.json)
+  timeoutMs: 15000,      // Per-article fetch timeout
+  minWords: 80,          // Less text than this is reported as "nothing to extract"
+  maxSummaryChars: 12000 // Article text sent for summarizing
+};
+
+/**
+ * Load reading options from config/digest.json
+ * @returns {Promise<object>} - Reading options
+ */
+export async function loadReadingOptions() {
+  const config = await loadConfig('digest', { reading: DEFAULT_READING_OPTIONS });
+  return { ...DEFAULT_READING_OPTIONS, ...config.reading };
+}
+
+/**
+ * Where an item's reading entry is stored
+ * @param {object} item - Normalized item
+ * @param {string} extension - 'json' or 'md'
+ * @returns {string} - Absolute path
+ */
+export function getReadingPath(item, extension = 'json') {
+  return path.join(READING_DIR, `${item.id}.${extension}`);
+}
+
+/**
+ * Fetch and extract one item's article
+ * @param {object} item - Normalized item
+ * @param {object} options - { timeoutMs }
+ * @returns {Promise<object>} - extractArticle() result
+ * @throws {Error} when the page can't be fetched or has no readable text
+ */
+export async function fetchArticle(item, options = DEFAULT_READING_OPTIONS) {
+  if (!item.url) {
+    throw new Error('Item has no URL');
+  }
+
+  const html = await fetchText(item.url, {
+    headers: { 'User-Agent': 'daily-voice/1.0 (read later)', Accept: 'text/html' },
+    signal: AbortSignal.timeout(options.timeoutMs ?? DEFAULT_READING_OPTIONS.timeoutMs)
+  });
+  const article = extractArticle(html, item.url);
+
+  if (article.wordCount < (options.minWords ?? DEFAULT_READING_OPTIONS.minWords)) {
+    throw new Error(`No article text found (${article.wordCount} words)`);
+  }
+
+  return article;
+}
+
+/**
+ * Render a reading entry as Markdown
+ * @param {object} entry - { item, article, summary, savedAt }
+ * @returns {string}
+ */
+export function renderReadingEntry(entry) {
+  const { item, article, summary } = entry;
+  const lines = [`# ${article.title || item.title}`, ''];
+
+  const meta = [
+    `${getSourceEmoji(item.source)} ${article.siteName || item.source}`,
+    article.byline && `by ${article.byline}`,
+    article.publishedAt && article.publishedAt.slice(0, 10),
+    `${article.readingMinutes} min read`
+  ].filter(Boolean).join(' · ');
+  lines.push(meta, '', `<${item.url}>`, '');
+
+  if (summary) {
+    lines.push('## Summary', '', summary.summary, '');
+    if (summary.keyPoints.length > 0) {
+      lines.push('**Key points**', '', ...summary.keyPoints.map(point => `- ${point}`), '');
+    }
+    lines.push('---', '');
+  }
+
+  lines.push(article.text, '');
+  return lines.join('\n');
+}
+
+/**
+ * Store a reading entry under data/reading/
+ * @param {object} entry - { item, article, summary, savedAt }
+ * @returns {Promise<string>} - Path of the Markdown copy
+ */
+export async function saveReadingEntry(entry) {
+  await fs.mkdir(READING_DIR, { recursive: true });
+
+  await fs.writeFile(getReadingPath(entry.item, 'json'), JSON.stringify(entry, null, 2), 'utf-8');
+  const markdownFile = getReadingPath(entry.item, 'md');
+  await fs.writeFile(markdownFile, renderReadingEntry(entry), 'utf-8');
+
+  return markdownFile;
+}
+
+/**
+ * Fetch, extract (and optionally summarize) selected items for later reading
+ *
+ * Items are processed one at a time; a failing page or summary doesn't stop
+ * the rest - it's reported in `failed` (a failed summary still saves the text).
+ *
+ * @param {Array} items - Selected normalized items
+ * @param {object} options - Reading options (default: config/digest.json)
+ * @param {Function} options.summarizer - (article, options) → { summary, keyPoints } (default: Claude)
+ * @param {Function} options.onProgress - Called with each result as it finishes
+ * @returns {Promise<object>} - { saved: [{ item, file, summarized }], failed: [{ item, error }] }
+ */
+export async function saveForReading(items, options) {
+  const settings = { ...(await loadReadingOptions()), ...options };
+  const saved = [];
+  const failed = [];
+
+  let summarizer = settings.summarizer;
+  if (settings.summarize && !summarizer) {
+    // Loaded on demand - plain extraction doesn't need the API client
+    ({ summarizeArticle: summarizer } = await import('../core/generator.js'));
+  }
+
+  for (const item of items) {
+    let article;
+    try {
+      article = await fetchArticle(item, settings);
+    } catch (error) {
+      const result = { item, error: error.message };
+      failed.push(result);
+      settings.onProgress?.(result);
+      continue;
+    }
+
+    let summary = null;
+    let summaryError = null;
+    if (settings.summarize) {
+      try {
+        summary = await summarizer(article, { maxChars: settings.maxSummaryChars });
+      } catch (error) {
+        summaryError = error.message;
+      }
+    }
+
+    const { metadata, ...itemFields } = item;
+    const file = await saveReadingEntry({
+      item: itemFields,
+      article,
+      summary,
+      savedAt: new Date().toISOString()
+    });
+
+    const result = { item, file, summarized: Boolean(summary) };
+    saved.push(result);
+    if (summaryError) {
+      failed.push({ item, error: summaryError });
+    }
+    settings.onProgress?.(summaryError ? { ...result, error: summaryError } : result);
+  }
+
+  return { saved, failed };
+}
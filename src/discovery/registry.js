@@ -0,0 +1,243 @@
+/**
+ * registry.js - Discovery Source Registry
+ *
+ * Single source of truth for which discovery sources exist.
+ * Each fetcher registers its id, display name, category, emoji,
+ * default limit and options here. config/sources.json can then
+ * enable/disable sources and tune limits without touching code.
+ */
+
+import { loadConfig } from '../core/config.js';
+
+const CATEGORIES = ['trending', 'educational'];
+
+const sources = new Map();
+
+// Source types config/sources.json can instantiate (e.g. "type": "feed")
+const sourceTypes = new Map();
+
+// Ids of sources created from config, replaced on every loadSourceConfig()
+const configSourceIds = new Set();
+
+// Global fetch policy overrides, set from config/sources.json by loadSourceConfig()
+let discoveryPolicy = {};
+
+/**
+ * Register a discovery source
+ * @param {object} definition - Source definition
+ * @param {string} definition.id - Stable key used in results and normalization (e.g. 'devto')
+ * @param {string} definition.name - Display name (e.g. 'Dev.to')
+ * @param {Function} definition.fetch - Fetcher, called with { limit, ...options }
+ * @param {string} definition.category - 'trending' or 'educational' (default: 'trending')
+ * @param {string} definition.emoji - Emoji shown in spinners and the digest
+ * @param {number} definition.limit - Default max items to fetch
+ * @param {object} definition.options - Default fetcher options
+ * @param {number} definition.timeoutMs - Optional per-attempt timeout (overrides the global policy)
+ * @param {number} definition.retries - Optional retry count (overrides the global policy)
+ * @param {number} definition.cacheTtlMinutes - Optional cache TTL (overrides the global policy)
+ * @returns {object} - The registered source
+ */
+export function registerSource(definition) {
+  const { id, name, fetch } = definition || {};
+
+  if (!id || !name || typeof fetch !== 'function') {
+    throw new Error('Source definition requires id, name and a fetch function');
+  }
+
+  const category = definition.category || 'trending';
+  if (!CATEGORIES.includes(category)) {
+    throw new Error(`Unknown category for ${id}: ${category}. Available: ${CATEGORIES.join(', ')}`);
+  }
+
+  const source = {
+    id: id.toLowerCase(),
+    name,
+    fetch,
+    category,
+    emoji: definition.emoji || '📄',
+    limit: definition.limit || 15,
+    options: definition.options || {},
+    enabled: definition.enabled !== false,
+    timeoutMs: definition.timeoutMs,
+    retries: definition.retries,
+    cacheTtlMinutes: definition.cacheTtlMinutes,
+    defaults: {
+      emoji: definition.emoji || '📄',
+      limit: definition.limit || 15,
+      options: definition.options || {},
+      enabled: definition.enabled !== false,
+      timeoutMs: definition.timeoutMs,
+      retries: definition.retries,
+      cacheTtlMinutes: definition.cacheTtlMinutes
+    }
+  };
+
+  sources.set(source.id, source);
+  return source;
+}
+
+/**
+ * Register a source type that config/sources.json can instantiate many times
+ *
+ * The factory turns one config entry into the type-specific part of a
+ * source definition (fetch and options); id, name, category, emoji, limit
+ * and the policy overrides come from the entry itself.
+ *
+ * @param {string} type - Type name used as "type" in config (e.g. 'feed')
+ * @param {Function} factory - (id, entry) => ({ fetch, options })
+ */
+export function registerSourceType(type, factory) {
+  if (!type || typeof factory !== 'function') {
+    throw new Error('Source type requires a name and a factory function');
+  }
+  sourceTypes.set(type, factory);
+}
+
+/**
+ * Create a source from a typed config entry
+ * @param {string} id - Source id (the key in config/sources.json)
+ * @param {object} entry - Config entry with "type"
+ * @returns {object} - The registered source
+ */
+function registerConfigSource(id, entry) {
+  const factory = sourceTypes.get(entry.type);
+
+  if (!factory) {
+    throw new Error(`config/sources.json: unknown type "${entry.type}" for source "${id}". Available: ${Array.from(sourceTypes.keys()).join(', ')}`);
+  }
+
+  const source = registerSource({
+    id,
+    name: entry.name || id,
+    category: entry.category,
+    emoji: entry.emoji,
+    limit: entry.limit,
+    enabled: entry.enabled,
+    timeoutMs: entry.timeoutMs,
+    retries: entry.retries,
+    cacheTtlMinutes: entry.cacheTtlMinutes,
+    ...factory(id.toLowerCase(), entry)
+  });
+
+  source.type = entry.type;
+  configSourceIds.add(source.id);
+  return source;
+}
+
+/**
+ * Get a registered source by id or display name (case-insensitive)
+ * @param {string} idOrName - Source id ('devto') or name ('Dev.to')
+ * @returns {object|null} - Source or null if not registered
+ */
+export function getSource(idOrName) {
+  if (!idOrName) return null;
+
+  const key = idOrName.toLowerCase();
+  if (sources.has(key)) {
+    return sources.get(key);
+  }
+
+  for (const source of sources.values()) {
+    if (source.name.toLowerCase() === key) {
+      return source;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get all registered sources in registration order
+ * @returns {Array} - Array of sources
+ */
+export function getAllSources() {
+  return Array.from(sources.values());
+}
+
+/**
+ * Get enabled sources, optionally for a single category
+ * @param {string} category - Optional 'trending' or 'educational'
+ * @returns {Array} - Array of enabled sources
+ */
+export function getEnabledSources(category) {
+  return getAllSources().filter(source =>
+    source.enabled && (!category || source.category === category)
+  );
+}
+
+/**
+ * Get the display emoji for a source id
+ * @param {string} id - Source id
+ * @returns {string} - Emoji (falls back to 📄)
+ */
+export function getSourceEmoji(id) {
+  return getSource(id)?.emoji || '📄';
+}
+
+/**
+ * Build the fetcher arguments for a source
+ * @param {object} source - Registered source
+ * @returns {object} - { limit, ...options }
+ */
+export function getFetchOptions(source) {
+  return { limit: source.limit, ...source.options };
+}
+
+/**
+ * Get the configured discovery policy (concurrency, timeouts, retries)
+ * Only holds what config/sources.json sets - merge over DEFAULT_POLICY from runner.js.
+ * @returns {object} - Policy overrides
+ */
+export function getDiscoveryPolicy() {
+  return discoveryPolicy;
+}
+
+/**
+ * Apply config/sources.json on top of the registered defaults
+ *
+ * Config format:
+ * {
+ *   "discovery": { "concurrency": 4, "timeoutMs": 15000, "retries": 1, "cacheTtlMinutes": 60 },
+ *   "sources": {
+ *     "github": { "enabled": false },
+ *     "devto": { "limit": 20, "options": { "top": 7 }, "timeoutMs": 5000, "cacheTtlMinutes": 30 },
+ *     "netflix": { "type": "feed", "name": "Netflix TechBlog", "url": "https://netflixtechblog.com/feed" }
+ *   }
+ * }
+ *
+ * Entries with a "type" create new sources of a registered source type.
+ *
+ * @returns {Promise<Array>} - All sources with config applied
+ */
+export async function loadSourceConfig() {
+  const config = await loadConfig('sources', { discovery: {}, sources: {} });
+
+  discoveryPolicy = config.discovery || {};
+
+  // Sources created from a previous load may have been removed from config since
+  configSourceIds.forEach(id => sources.delete(id));
+  configSourceIds.clear();
+
+  for (const [id, overrides] of Object.entries(config.sources || {})) {
+    if (overrides.type && !sources.has(id.toLowerCase())) {
+      registerConfigSource(id, overrides);
+    }
+
+    const source = getSource(id);
+
+    if (!source) {
+      console.warn(`config/sources.json: unknown source "${id}" ignored`);
+      continue;
+    }
+
+    source.enabled = overrides.enabled ?? source.defaults.enabled;
+    source.limit = overrides.limit ?? source.defaults.limit;
+    source.emoji = overrides.emoji ?? source.defaults.emoji;
+    source.options = { ...source.defaults.options, ...(overrides.options || {}) };
+    source.timeoutMs = overrides.timeoutMs ?? source.defaults.timeoutMs;
+    source.retries = overrides.retries ?? source.defaults.retries;
+    source.cacheTtlMinutes = overrides.cacheTtlMinutes ?? source.defaults.cacheTtlMinutes;
+  }
+
+  return getAllSources();
+}
@@ -0,0 +1,290 @@
+/**
+ * render.js - Headless digest output (Markdown, HTML, JSON)
+ *
+ * Renders the educational/trending sections of a digest so it can be
+ * read in a browser, mailed, or piped into other tools without the
+ * interactive prompts.
+ */
+
+import { getSource, getSourceEmoji } from './registry.js';
+
+export const DIGEST_FORMATS = ['md', 'html', 'json'];
+
+// Other names accepted for a format (--format markdown)
+export const DIGEST_FORMAT_ALIASES = { markdown: 'md' };
+
+const SECTIONS = [
+  { key: 'educational', title: '📚 Learn Today' },
+  { key: 'trending', title: '🔥 Trending Now' }
+];
+
+/**
+ * Display name of a source id ('hackernews' → 'HackerNews')
+ * @param {string} id - Source id
+ * @returns {string}
+ */
+function sourceName(id) {
+  return getSource(id)?.name || id;
+}
+
+/**
+ * The fields of an item worth showing outside the app
+ * @param {object} item - Normalized item
+ * @returns {object}
+ */
+function toDigestEntry(item) {
+  return {
+    id: item.id,
+    title: item.title,
+    url: item.url,
+    source: item.source,
+    sources: item.sources || [item.source],
+    score: item.score,
+    tags: item.tags || [],
+    description: item.description || '',
+    author: item.author && item.author !== 'Unknown' ? item.author : null,
+    isNew: Boolean(item.history?.isNew),
+    publishedAt: item.publishedAt || null,
+    ...(item.scoreBreakdown && { scoreBreakdown: item.scoreBreakdown }),
+    ...(item.percentile && { percentile: item.percentile }),
+    ...(item.educational && { educational: item.educational }),
+    ...(item.focus && { focus: item.focus })
+  };
+}
+
+/**
+ * Collapse whitespace and cut a description down to size
+ * @param {string} text
+ * @param {number} max - Maximum length
+ * @returns {string}
+ */
+function summarize(text, max = 280) {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > max ? `${clean.substring(0, max - 3)}...` : clean;
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Whether a URL is safe to make clickable (http or https only)
+ * Anything else (javascript:, data:, ...) is shown as text instead.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isWebUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Escape the characters that would break a Markdown link label
+ * Raw HTML (<img onerror>, <script>) is turned into entities, since
+ * most Markdown viewers would render it.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/([\\[\]*_`])/g, '\\$1');
+}
+
+/**
+ * Make a URL safe inside a Markdown link target
+ * @param {string} url
+ * @returns {string}
+ */
+function markdownUrl(url) {
+  return String(url ?? '').replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+/**
+ * Render a digest as Markdown
+ * @param {object} digest - { date, educational, trending, focusTopics, explore, alerts }
+ * @returns {string}
+ */
+export function renderMarkdown(digest) {
+  const lines = [`# Daily Digest - ${digest.date}`, ''];
+
+  if (digest.focusTopics?.length > 0) {
+    lines.push(`_Focus: ${digest.focusTopics.join(', ')}_`, '');
+  }
+
+  if (digest.alerts?.length > 0) {
+    lines.push('> ⚠️ Some sources returned less than usual:');
+    digest.alerts.forEach(alert => lines.push(`> - ${escapeMarkdown(alert.message)}`));
+    lines.push('');
+  }
+
+  SECTIONS.forEach(({ key, title }) => {
+    const items = digest[key] || [];
+    if (items.length === 0) return;
+
+    lines.push(`## ${title}`, '');
+
+    items.map(toDigestEntry).forEach((item, index) => {
+      const badge = item.isNew ? ' `NEW`' : '';
+      const title = isWebUrl(item.url)
+        ? `**[${escapeMarkdown(item.title)}](${markdownUrl(item.url)})**`
+        : `**${escapeMarkdown(item.title)}** \`${String(item.url ?? '').replace(/`/g, '')}\``;
+      lines.push(`${index + 1}. ${title}${badge}`);
+
+      const meta = [
+        item.sources.map(id => `${getSourceEmoji(id)} ${sourceName(id)}`).join(', '),
+        `score ${item.score}`,
+        item.author && `by ${item.author}`
+      ].filter(Boolean).join(' · ');
+      lines.push(`   ${meta}`);
+
+      if (item.tags.length > 0) {
+        lines.push(`   ${item.tags.map(tag => `\`#${tag}\``).join(' ')}`);
+      }
+
+      const description = summarize(item.description);
+      if (description) {
+        lines.push(`   > ${escapeMarkdown(description)}`);
+      }
+
+      lines.push('');
+    });
+  });
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+/**
+ * Render a digest as a standalone HTML page
+ * @param {object} digest - { date, educational, trending, focusTopics, explore, alerts }
+ * @returns {string}
+ */
+export function renderHTML(digest) {
+  const sections = SECTIONS.map(({ key, title }) => {
+    const items = digest[key] || [];
+    if (items.length === 0) return '';
+
+    const entries = items.map(toDigestEntry).map(item => {
+      const sources = item.sources
+        .map(id => `${getSourceEmoji(id)} ${escapeHtml(sourceName(id))}`)
+        .join(', ');
+      const tags = item.tags.map(tag => `<span class="tag">#${escapeHtml(tag)}</span>`).join(' ');
+      const description = summarize(item.description);
+      const link = isWebUrl(item.url)
+        ? `<a href="${escapeHtml(item.url)}">${escapeHtml(item.title)}</a>`
+        : `<strong>${escapeHtml(item.title)}</strong> <code>${escapeHtml(item.url)}</code>`;
+
+      return [
+        '      <li>',
+        `        ${link}${item.isNew ? ' <span class="new">NEW</span>' : ''}`,
+        `        <div class="meta">${sources} · score ${item.score}${item.author ? ` · by ${escapeHtml(item.author)}` : ''}</div>`,
+        tags && `        <div class="tags">${tags}</div>`,
+        description && `        <p>${escapeHtml(description)}</p>`,
+        '      </li>'
+      ].filter(Boolean).join('\n');
+    }).join('\n');
+
+    return `    <h2>${title}</h2>
+    <ol>
+${entries}
+    </ol>`;
+  }).filter(Boolean).join('\n');
+
+  const focus = digest.focusTopics?.length > 0
+    ? `\n    <p class="meta">Focus: ${escapeHtml(digest.focusTopics.join(', '))}</p>`
+    : '';
+
+  const alerts = digest.alerts?.length > 0
+    ? `\n    <div class="alerts">⚠️ Some sources returned less than usual:<ul>${digest.alerts.map(alert => `<li>${escapeHtml(alert.message)}</li>`).join('')}</ul></div>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Daily Digest - ${escapeHtml(digest.date)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 760px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; color: #222; }
+    h1 { margin-bottom: 0.25rem; }
+    h2 { margin-top: 2rem; border-bottom: 1px solid #ddd; padding-bottom: 0.25rem; }
+    li { margin-bottom: 1.25rem; }
+    a { font-weight: 600; color: #0b57d0; text-decoration: none; }
+    .meta { color: #666; font-size: 0.9rem; }
+    .tag { background: #f1f3f4; border-radius: 4px; padding: 0 0.35rem; font-size: 0.8rem; color: #444; }
+    .new { background: #1e8e3e; color: #fff; border-radius: 4px; padding: 0 0.35rem; font-size: 0.75rem; }
+    p { margin: 0.35rem 0 0; color: #333; }
+    .alerts { background: #fef7e0; border-left: 4px solid #f9ab00; padding: 0.5rem 1rem; margin-top: 1rem; font-size: 0.9rem; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>Daily Digest - ${escapeHtml(digest.date)}</h1>${focus}${alerts}
+${sections}
+  </main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a digest as JSON
+ * @param {object} digest - { date, educational, trending, focusTopics, explore, alerts }
+ * @returns {string}
+ */
+export function renderJSON(digest) {
+  return `${JSON.stringify({
+    date: digest.date,
+    generatedAt: digest.generatedAt || new Date().toISOString(),
+    ...(digest.focusTopics?.length > 0 && { focus: digest.focusTopics }),
+    ...(digest.explore && { explore: true }),
+    ...(digest.alerts?.length > 0 && {
+      alerts: digest.alerts.map(({ id, kind, field, current, baseline, message }) => ({ id, kind, field, current, baseline, message }))
+    }),
+    educational: (digest.educational || []).map(toDigestEntry),
+    trending: (digest.trending || []).map(toDigestEntry)
+  }, null, 2)}\n`;
+}
+
+/**
+ * Canonical name of a digest format ('markdown' → 'md')
+ * @param {string} format - Format as given on the command line or in config
+ * @returns {string} - One of DIGEST_FORMATS, or the input unchanged if unknown
+ */
+export function normalizeDigestFormat(format) {
+  return DIGEST_FORMAT_ALIASES[format] || format;
+}
+
+/**
+ * Render a digest in the requested format
+ * @param {object} digest - { date, educational, trending, focusTopics, explore, alerts }
+ * @param {string} format - 'md' (or 'markdown'), 'html' or 'json'
+ * @returns {string}
+ */
+export function renderDigest(digest, format = 'md') {
+  switch (normalizeDigestFormat(format)) {
+    case 'md':
+      return renderMarkdown(digest);
+    case 'html':
+      return renderHTML(digest);
+    case 'json':
+      return renderJSON(digest);
+    default:
+      throw new Error(`Unknown digest format: ${format} (use ${DIGEST_FORMATS.join(', ')})`);
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * replay.js - Record/replay of discovery HTTP traffic
+ *
+ * Lets every source run without the network. With
+ * DAILY_VOICE_FIXTURES=record, http.js performs real requests and saves
+ * each raw response under tests/fixtures/sources/recorded/<host>/.
+ * With DAILY_VOICE_FIXTURES=replay, responses are served from those
+ * files and a request with no recording fails instead of going online.
+ * Both modes bypass the on-disk cache.
+ *
+ * Only the response is stored (never request headers), so tokens such
+ * as PRODUCT_HUNT_TOKEN don't end up in fixtures.
+ *
+ * The fixtures checked in today were written by hand in each site's
+ * response format, not captured live: they carry "handWritten": true and
+ * no recordedAt. A real recording replaces the file and drops the flag.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getCacheKey } from './cache.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Recorded responses (2 levels up from src/discovery)
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../tests/fixtures/sources/recorded');
+
+export const REPLAY_MODES = ['record', 'replay'];
+
+/**
+ * Current record/replay mode
+ * Read on every request so tests can switch modes at runtime.
+ * @returns {string|null} - 'record', 'replay' or null (normal network access)
+ */
+export function getReplayMode() {
+  const mode = (process.env.DAILY_VOICE_FIXTURES || '').trim().toLowerCase();
+  if (!mode || mode === 'off') return null;
+
+  if (!REPLAY_MODES.includes(mode)) {
+    throw new Error(`Unknown DAILY_VOICE_FIXTURES mode "${mode}" (expected ${REPLAY_MODES.join(' or ')})`);
+  }
+  return mode;
+}
+
+/**
+ * Where the recording for a request lives
+ * Readable host/path prefix plus the cache key, so GraphQL POSTs with
+ * different queries get different files.
+ * @param {string} url - Request URL
+ * @param {object} init - fetch() options
+ * @returns {string} - e.g. .../recorded/lobste.rs/hottest.json-3f9a2c4b.json
+ */
+export function getFixturePath(url, init = {}) {
+  const { hostname, pathname, search } = new URL(url);
+  const slug = `${pathname}${search}`
+    .replace(/[^a-zA-Z0-9._-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 60) || 'index';
+
+  const dir = process.env.DAILY_VOICE_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+  return path.join(dir, hostname, `${slug}-${getCacheKey(url, init).substring(0, 8)}.json`);
+}
+
+/**
+ * Serve a request from its recording
+ * @param {string} url - Request URL
+ * @param {object} init - fetch() options
+ * @returns {Promise<Response>}
+ * @throws {Error} if nothing was recorded for the request
+ */
+export async function replayRequest(url, init = {}) {
+  const fixturePath = getFixturePath(url, init);
+
+  let recording;
+  try {
+    recording = JSON.parse(await fs.readFile(fixturePath, 'utf-8'));
+  } catch (error) {
+    const method = (init.method || 'GET').toUpperCase();
+    throw new Error(`No recorded response for ${method} ${url} (record it with DAILY_VOICE_FIXTURES=record)`, { cause: error });
+  }
+
+  const body = recording.json !== undefined ? JSON.stringify(recording.json) : recording.body;
+
+  return new Response(body, {
+    status: recording.status,
+    statusText: recording.statusText || '',
+    headers: {
+      'Content-Type': recording.contentType || 'text/plain',
+      'X-Daily-Voice-Replay': path.basename(fixturePath)
+    }
+  });
+}
+
+/**
+ * Perform a real request and save the raw response as a recording
+ * Error responses are recorded too, so replay reproduces them.
+ * @param {string} url - Request URL
+ * @param {object} init - fetch() options
+ * @returns {Promise<Response>}
+ */
+export async function recordRequest(url, init = {}) {
+  const response = await fetch(url, init);
+  const body = await response.text();
+  const contentType = response.headers.get('content-type');
+
+  const recording = {
+    url,
+    method: (init.method || 'GET').toUpperCase(),
+    status: response.status,
+    statusText: response.statusText,
+    contentType,
+    recordedAt: new Date().toISOString()
+  };
+
+  // JSON bodies are stored as JSON so fixtures stay readable in diffs
+  try {
+    recording.json = /json/i.test(contentType || '') ? JSON.parse(body) : undefined;
+  } catch (error) {
+    recording.json = undefined;
+  }
+  if (recording.json === undefined) {
+    recording.body = body;
+  }
+
+  const fixturePath = getFixturePath(url, init);
+  await fs.mkdir(path.dirname(fixturePath), { recursive: true });
+  await fs.writeFile(fixturePath, `${JSON.stringify(recording, null, 2)}\n`);
+
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: { 'Content-Type': contentType || 'text/plain' }
+  });
+}
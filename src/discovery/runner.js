@@ -0,0 +1,166 @@
+/**
+ * runner.js - Concurrent source fetching with timeouts and retries
+ *
+ * Runs discovery sources through a bounded pool so one slow scrape
+ * doesn't hold up the whole digest. Each attempt gets its own
+ * AbortController that fires after the source's timeout, and failed
+ * attempts are retried with exponential backoff.
+ */
+
+import { getFetchOptions } from './registry.js';
+
+/**
+ * Default retry/timeout policy (overridable in config/sources.json under "discovery")
+ */
+export const DEFAULT_POLICY = {
+  concurrency: 4,       // Sources fetched at the same time
+  timeoutMs: 15000,     // Per attempt
+  retries: 1,           // Extra attempts after the first failure
+  backoffMs: 500,       // Delay before the first retry
+  backoffFactor: 2,     // Multiplier for each further retry
+  retryOnTimeout: true, // Also retry attempts that timed out
+  cache: true,          // Use the on-disk HTTP cache (data/cache/http)
+  cacheTtlMinutes: 60   // How long cached responses are served without revalidating
+};
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Map over items with at most `limit` calls in flight
+ * Results keep the order of the input array.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Max concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} - Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
+
+/**
+ * Run one fetch attempt with a timeout
+ * The fetcher receives an AbortSignal; the attempt also rejects on
+ * timeout even if the fetcher ignores the signal.
+ * @param {object} source - Registered source
+ * @param {number} timeoutMs - Timeout for this attempt
+ * @param {object} cache - Cache settings passed to the fetcher ({ ttlMinutes } or undefined)
+ * @returns {Promise<Array>} - Items from the source
+ */
+async function attemptFetch(source, timeoutMs, cache) {
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Timed out after ${(timeoutMs / 1000).toFixed(1)}s`);
+      error.name = 'TimeoutError';
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+
+  try {
+    const items = await Promise.race([
+      source.fetch({ ...getFetchOptions(source), signal: controller.signal, cache }),
+      timeout
+    ]);
+    return Array.isArray(items) ? items : [];
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Fetch a source with its timeout and retry policy
+ *
+ * Never throws - the outcome is reported in the result:
+ * - status 'success': items fetched
+ * - status 'timeout': the last attempt timed out
+ * - status 'failed': the last attempt threw an error
+ *
+ * @param {object} source - Registered source (may set timeoutMs/retries/cacheTtlMinutes)
+ * @param {object} policy - Global policy (see DEFAULT_POLICY)
+ * @returns {Promise<object>} - { source, status, items, attempts, duration, error }
+ */
+export async function fetchSourceWithPolicy(source, policy = DEFAULT_POLICY) {
+  const timeoutMs = source.timeoutMs ?? policy.timeoutMs;
+  const retries = source.retries ?? policy.retries;
+  const cache = policy.cache
+    ? { ttlMinutes: source.cacheTtlMinutes ?? policy.cacheTtlMinutes }
+    : undefined;
+  const startTime = Date.now();
+
+  let attempts = 0;
+  let lastError = null;
+
+  while (attempts <= retries) {
+    attempts++;
+
+    try {
+      const items = await attemptFetch(source, timeoutMs, cache);
+      return {
+        source,
+        status: 'success',
+        items,
+        attempts,
+        duration: Date.now() - startTime,
+        error: null
+      };
+    } catch (error) {
+      lastError = error;
+
+      const timedOut = error.name === 'TimeoutError';
+      if (attempts > retries || (timedOut && !policy.retryOnTimeout)) {
+        break;
+      }
+
+      await sleep(policy.backoffMs * Math.pow(policy.backoffFactor, attempts - 1));
+    }
+  }
+
+  return {
+    source,
+    status: lastError?.name === 'TimeoutError' ? 'timeout' : 'failed',
+    items: [],
+    attempts,
+    duration: Date.now() - startTime,
+    error: lastError
+  };
+}
+
+/**
+ * Reduce a fetch outcome to plain data for logs and reports
+ * @param {object} outcome - Result of fetchSourceWithPolicy()
+ * @returns {object} - { id, name, status, items, attempts, duration, error }
+ */
+export function summarizeOutcome(outcome) {
+  return {
+    id: outcome.source.id,
+    name: outcome.source.name,
+    status: outcome.status,
+    items: outcome.items.length,
+    attempts: outcome.attempts,
+    duration: outcome.duration,
+    error: outcome.error ? outcome.error.message : null
+  };
+}
@@ -1,15 +1,21 @@
+import { fetchJSON, request, isCacheHit } from '../http.js';
+
 /**
  * Fetches trending articles from Dev.to
  * No authentication required - uses public API
+ * @param {object} options - Fetch options
+ * @param {number} options.limit - Max articles to fetch (default: 40)
+ * @param {number} options.top - Trending window in days (default: 1)
+ * @param {AbortSignal} options.signal - Aborts the request (timeouts)
+ * @param {object} options.cache - On-disk cache settings ({ ttlMinutes }), omit to bypass
  */
-export async function fetchDevTo() {
+export async function fetchDevTo({ limit = 40, top = 1, signal, cache } = {}) {
   try {
     const url = new URL('https://dev.to/api/articles');
-    url.searchParams.append('per_page', '40'); // Increased from 20
-    url.searchParams.append('top', '1'); // Get trending articles from last day
+    url.searchParams.append('per_page', String(limit));
+    url.searchParams.append('top', String(top)); // Get trending articles from last day
 
-    const response = await fetch(url.toString());
-    const data = await response.json();
+    const data = await fetchJSON(url.toString(), { signal, cache });
 
     return data.map(article => ({
       title: article.title,
@@ -24,38 +30,53 @@ export async function fetchDevTo() {
       coverImage: article.cover_image
     }));
   } catch (error) {
-    console.error('Error fetching Dev.to articles:', error.message);
-    return [];
+    throw new Error(`Error fetching Dev.to articles: ${error.message}`, { cause: error });
   }
 }
 
+const EDUCATIONAL_TAGS = [
+  'tutorial',
+  'beginners',
+  'systemdesign',
+  'architecture',
+  'ai',
+  'machinelearning',
+  'explainlikeimfive',
+  'learning'
+];
+
 /**
  * Fetches educational/tutorial articles from Dev.to
  * Focuses on learning content rather than news
+ * @param {object} options - Fetch options
+ * @param {number} options.limit - Max articles to return (default: 20)
+ * @param {string[]} options.tags - Educational tags to query
+ * @param {number} options.maxTags - How many of those tags to query (default: 4)
+ * @param {number} options.perTag - Articles per tag (default: 5)
+ * @param {number} options.top - Top window in days (default: 7)
+ * @param {AbortSignal} options.signal - Aborts the requests (timeouts)
+ * @param {object} options.cache - On-disk cache settings ({ ttlMinutes }), omit to bypass
  */
-export async function fetchDevToEducational() {
+export async function fetchDevToEducational({
+  limit = 20,
+  tags = EDUCATIONAL_TAGS,
+  maxTags = 4,
+  perTag = 5,
+  top = 7,
+  signal,
+  cache
+} = {}) {
   try {
-    const educationalTags = [
-      'tutorial',
-      'beginners',
-      'systemdesign',
-      'architecture',
-      'ai',
-      'machinelearning',
-      'explainlikeimfive',
-      'learning'
-    ];
-
     const allArticles = [];
 
     // Fetch top articles for each educational tag
-    for (const tag of educationalTags.slice(0, 4)) { // Limit to 4 tags to avoid too many requests
+    for (const tag of tags.slice(0, maxTags)) { // Limit tags to avoid too many requests
       const url = new URL('https://dev.to/api/articles');
       url.searchParams.append('tag', tag);
-      url.searchParams.append('per_page', '5');
-      url.searchParams.append('top', '7'); // Last week's top educational content
+      url.searchParams.append('per_page', String(perTag));
+      url.searchParams.append('top', String(top)); // Last week's top educational content
 
-      const response = await fetch(url.toString());
+      const response = await request(url.toString(), { signal, cache });
       const articles = await response.json();
 
       allArticles.push(...articles.map(article => ({
@@ -63,8 +84,10 @@ export async function fetchDevToEducational() {
         educationalTag: tag // Mark which educational tag it came from
       })));
 
-      // Small delay to be respectful to the API
-      await new Promise(resolve => setTimeout(resolve, 200));
+      // Small delay to be respectful to the API (not needed when served from cache)
+      if (!isCacheHit(response)) {
+        await new Promise(resolve => setTimeout(resolve, 200));
+      }
     }
 
     // Remove duplicates and format
@@ -72,7 +95,7 @@ export async function fetchDevToEducational() {
       new Map(allArticles.map(item => [item.id, item])).values()
     );
 
-    return uniqueArticles.map(article => ({
+    return uniqueArticles.slice(0, limit).map(article => ({
       title: article.title,
       url: article.url,
       description: article.description,
@@ -87,7 +110,6 @@ export async function fetchDevToEducational() {
       isEducational: true // Flag to identify educational content
     }));
   } catch (error) {
-    console.error('Error fetching Dev.to educational articles:', error.message);
-    return [];
+    throw new Error(`Error fetching Dev.to educational articles: ${error.message}`, { cause: error });
   }
 }
\ No newline at end of file
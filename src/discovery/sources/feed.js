@@ -0,0 +1,330 @@
+import { load } from 'cheerio';
+import { fetchText } from '../http.js';
+
+/**
+ * feed.js - Generic RSS 2.0 / RSS 1.0 / Atom / JSON Feed source
+ *
+ * One fetcher, instantiated once per feed in config/sources.json
+ * ("type": "feed"), so engineering blogs and newsletters can sit next
+ * to the built-in sources. Handles CDATA, HTML entities, namespaced
+ * elements (dc:creator, content:encoded, media:content), enclosures
+ * and the usual date formats.
+ */
+
+// Tags that mark a feed entry as tutorial-style content
+const EDUCATIONAL_TAGS = ['tutorial', 'guide', 'course', 'learning', 'beginner', 'howto'];
+
+/**
+ * Decode entities in plain text (RSS titles, author names) without treating "<T>" as a tag
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeText(value) {
+  if (!value) return '';
+  return load(value.replace(/</g, '&lt;'), null, false).text().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Turn an HTML fragment (descriptions, content:encoded, Atom type="html") into plain text
+ * @param {string} value
+ * @returns {string}
+ */
+function htmlToText(value) {
+  if (!value) return '';
+  return load(value, null, false).text().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse a feed date (RFC 822, ISO 8601, ...) into an ISO string
+ * @param {string} value
+ * @returns {string|null} - ISO date, or null if missing/unparseable
+ */
+export function parseFeedDate(value) {
+  if (!value) return null;
+
+  const date = new Date(value.trim());
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Resolve a link from a feed, keeping only http(s) URLs
+ * Feeds are user-configured, so javascript:, data: and the like are
+ * dropped here, before render, reading or the post CLI ever see them.
+ * @param {string} value - URL as written in the feed (may be relative)
+ * @param {string} baseUrl - Feed URL, for relative links
+ * @returns {string} - Absolute URL, or '' if missing or not http(s)
+ */
+export function toWebUrl(value, baseUrl) {
+  if (typeof value !== 'string' || !value.trim()) return '';
+
+  try {
+    const url = new URL(value.trim(), baseUrl);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : '';
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Child elements of an XML node keyed by local name (namespace prefix dropped)
+ * @param {Function} $ - Cheerio root
+ * @param {object} node - Element
+ * @returns {Map<string, Array>} - e.g. 'creator' → [<dc:creator>]
+ */
+function childrenByName($, node) {
+  const children = new Map();
+
+  $(node).children().each((_, child) => {
+    const name = child.name.toLowerCase();
+    const local = name.includes(':') ? name.slice(name.indexOf(':') + 1) : name;
+
+    new Set([name, local]).forEach(key => {
+      if (!children.has(key)) children.set(key, []);
+      children.get(key).push(child);
+    });
+  });
+
+  return children;
+}
+
+/**
+ * Text of the first non-empty child with one of the given names
+ *
+ * Empty elements are skipped, so an <atom:link rel="self"/> sharing the
+ * 'link' bucket doesn't hide the item's real <link>.
+ * @param {Function} $ - Cheerio root
+ * @param {Map} children - From childrenByName()
+ * @param {...string} names - Names to try in order ('content:encoded', 'description')
+ * @returns {string}
+ */
+function firstText($, children, ...names) {
+  for (const name of names) {
+    for (const element of children.get(name) || []) {
+      const text = $(element).text().trim();
+      if (text) return text;
+    }
+  }
+  return '';
+}
+
+/**
+ * Parse an RSS 2.0 or RSS 1.0 (RDF) document
+ * @param {Function} $ - Cheerio root
+ * @returns {object} - { title, items }
+ */
+function parseRss($) {
+  const channel = $('channel').first();
+
+  const items = $('item').toArray().map(node => {
+    const children = childrenByName($, node);
+
+    const enclosures = [
+      ...(children.get('enclosure') || []),
+      ...(children.get('media:content') || [])
+    ]
+      .map(element => ({
+        url: $(element).attr('url'),
+        type: $(element).attr('type') || $(element).attr('medium') || null,
+        length: Number($(element).attr('length') || $(element).attr('filesize')) || null
+      }))
+      .filter(enclosure => enclosure.url);
+
+    // <guid isPermaLink="true"> doubles as the link when <link> is missing
+    const guid = children.get('guid')?.[0];
+    const guidLink = guid && $(guid).attr('isPermaLink') !== 'false' ? $(guid).text().trim() : '';
+
+    return {
+      title: decodeText(firstText($, children, 'title')),
+      url: firstText($, children, 'link') || $(node).attr('rdf:about') || guidLink,
+      description: htmlToText(firstText($, children, 'description', 'content:encoded', 'summary')),
+      publishedAt: parseFeedDate(firstText($, children, 'pubdate', 'dc:date', 'published', 'updated')),
+      author: decodeText(firstText($, children, 'dc:creator', 'author')),
+      tags: (children.get('category') || [])
+        .map(element => decodeText($(element).text()))
+        .filter(Boolean),
+      enclosures
+    };
+  });
+
+  return {
+    title: decodeText(channel.children('title').first().text()),
+    items
+  };
+}
+
+/**
+ * Parse an Atom document
+ * @param {Function} $ - Cheerio root
+ * @returns {object} - { title, items }
+ */
+function parseAtom($) {
+  const feed = $('feed').first();
+
+  // Atom text constructs can be text, html or xhtml
+  const textConstruct = element => {
+    if (!element) return '';
+    const type = $(element).attr('type');
+    return type === 'html' || type === 'xhtml'
+      ? htmlToText(type === 'xhtml' ? $(element).html() : $(element).text())
+      : decodeText($(element).text());
+  };
+
+  const items = feed.children('entry').toArray().map(node => {
+    const children = childrenByName($, node);
+    const links = (children.get('link') || []).map(element => ({
+      href: $(element).attr('href'),
+      rel: $(element).attr('rel') || 'alternate',
+      type: $(element).attr('type') || null,
+      length: Number($(element).attr('length')) || null
+    }));
+
+    const authorNode = children.get('author')?.[0];
+
+    return {
+      title: textConstruct(children.get('title')?.[0]),
+      url: links.find(link => link.rel === 'alternate')?.href || links[0]?.href || '',
+      description: textConstruct(children.get('summary')?.[0] || children.get('content')?.[0]),
+      publishedAt: parseFeedDate(firstText($, children, 'published', 'updated')),
+      author: authorNode ? decodeText($(authorNode).children('name').first().text() || $(authorNode).text()) : '',
+      tags: (children.get('category') || [])
+        .map(element => decodeText($(element).attr('label') || $(element).attr('term') || ''))
+        .filter(Boolean),
+      enclosures: links
+        .filter(link => link.rel === 'enclosure' && link.href)
+        .map(link => ({ url: link.href, type: link.type, length: link.length }))
+    };
+  });
+
+  return {
+    title: textConstruct(feed.children('title').first()[0]),
+    items
+  };
+}
+
+/**
+ * Parse a JSON Feed (https://jsonfeed.org, versions 1 and 1.1)
+ * @param {object} data - Parsed JSON
+ * @returns {object} - { title, items }
+ */
+function parseJsonFeed(data) {
+  const items = (data.items || []).map(entry => {
+    const authors = entry.authors || (entry.author ? [entry.author] : []);
+
+    return {
+      title: decodeText(entry.title || ''),
+      url: entry.url || entry.external_url || (typeof entry.id === 'string' && /^https?:/.test(entry.id) ? entry.id : ''),
+      description: entry.summary || entry.content_text || htmlToText(entry.content_html),
+      publishedAt: parseFeedDate(entry.date_published || entry.date_modified),
+      author: authors.map(author => author.name).filter(Boolean).join(', '),
+      tags: Array.isArray(entry.tags) ? entry.tags : [],
+      enclosures: (entry.attachments || []).map(attachment => ({
+        url: attachment.url,
+        type: attachment.mime_type || null,
+        length: attachment.size_in_bytes || null
+      }))
+    };
+  });
+
+  return { title: data.title || '', items };
+}
+
+/**
+ * Check every item and enclosure URL (see toWebUrl)
+ * @param {object} feed - { format, title, items }
+ * @param {string} baseUrl - Feed URL, for relative links
+ * @returns {object} - Same feed; bad item URLs blanked, bad enclosures dropped
+ */
+function withWebUrls(feed, baseUrl) {
+  return {
+    ...feed,
+    items: feed.items.map(item => ({
+      ...item,
+      url: toWebUrl(item.url, baseUrl),
+      enclosures: item.enclosures
+        .map(enclosure => ({ ...enclosure, url: toWebUrl(enclosure.url, baseUrl) }))
+        .filter(enclosure => enclosure.url)
+    }))
+  };
+}
+
+/**
+ * Parse an RSS, Atom or JSON Feed document
+ * @param {string} text - Raw feed body
+ * @param {string} baseUrl - Feed URL, to resolve relative links (without it they are dropped)
+ * @returns {object} - { format: 'rss'|'atom'|'json', title, items: [{ title, url, description, publishedAt, author, tags, enclosures }] }
+ */
+export function parseFeed(text, baseUrl) {
+  const body = (text || '').replace(/^\uFEFF/, '').trim();
+
+  if (body.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch (error) {
+      throw new Error(`Invalid JSON Feed: ${error.message}`, { cause: error });
+    }
+    if (!String(data.version || '').includes('jsonfeed.org')) {
+      throw new Error('Not a JSON Feed (missing jsonfeed.org version)');
+    }
+    return withWebUrls({ format: 'json', ...parseJsonFeed(data) }, baseUrl);
+  }
+
+  const $ = load(body, { xmlMode: true });
+
+  if ($('feed').length > 0) {
+    return withWebUrls({ format: 'atom', ...parseAtom($) }, baseUrl);
+  }
+
+  if ($('rss').length > 0 || $('rdf\\:RDF').length > 0 || $('channel').length > 0) {
+    return withWebUrls({ format: 'rss', ...parseRss($) }, baseUrl);
+  }
+
+  throw new Error('Unrecognized feed format (expected RSS, Atom or JSON Feed)');
+}
+
+/**
+ * Fetches entries from an RSS/Atom/JSON feed
+ * @param {object} options - Fetch options (from the feed's entry in config/sources.json)
+ * @param {string} options.url - Feed URL
+ * @param {string} options.source - Source id the items are reported under
+ * @param {number} options.limit - Max entries to return (default: 15)
+ * @param {string[]} options.tags - Extra tags added to every entry (e.g. ['engineering'])
+ * @param {boolean} options.educational - Treat every entry as educational (default: only tutorial-tagged ones)
+ * @param {AbortSignal} options.signal - Aborts the request (timeouts)
+ * @param {object} options.cache - On-disk cache settings ({ ttlMinutes }), omit to bypass
+ */
+export async function fetchFeed({ url, source = 'feed', limit = 15, tags = [], educational, signal, cache } = {}) {
+  if (!url) {
+    throw new Error(`Feed source ${source} has no url`);
+  }
+
+  try {
+    const text = await fetchText(url, {
+      headers: { Accept: 'application/rss+xml, application/atom+xml, application/feed+json, application/xml;q=0.9, */*;q=0.8' },
+      signal,
+      cache
+    });
+
+    const feed = parseFeed(text, url);
+
+    return feed.items
+      .filter(item => item.title && item.url)
+      .slice(0, limit)
+      .map(item => {
+        const itemTags = Array.from(new Set([...item.tags.map(tag => tag.toLowerCase()), ...tags]));
+
+        return {
+          ...item,
+          description: item.description.substring(0, 300),
+          author: item.author || undefined,
+          tags: itemTags,
+          feedTitle: feed.title,
+          feedFormat: feed.format,
+          source,
+          isEducational: educational ?? itemTags.some(tag => EDUCATIONAL_TAGS.includes(tag))
+        };
+      });
+  } catch (error) {
+    throw new Error(`Error fetching feed ${source}: ${error.message}`, { cause: error });
+  }
+}
@@ -1,21 +1,25 @@
 import * as cheerio from 'cheerio';
+import { fetchText } from '../http.js';
 
 /**
  * Fetches latest tutorials and educational articles from FreeCodeCamp
  * Scrapes their news page for learning content
+ * @param {object} options - Fetch options
+ * @param {number} options.limit - Max articles to return (default: 15)
+ * @param {AbortSignal} options.signal - Aborts the request (timeouts)
+ * @param {object} options.cache - On-disk cache settings ({ ttlMinutes }), omit to bypass
  */
-export async function fetchFreeCodeCamp() {
+export async function fetchFreeCodeCamp({ limit = 15, signal, cache } = {}) {
   try {
     // FreeCodeCamp's news feed - all tutorials and guides
-    const response = await fetch('https://www.freecodecamp.org/news/');
-    const html = await response.text();
+    const html = await fetchText('https://www.freecodecamp.org/news/', { signal, cache });
 
     const $ = cheerio.load(html);
     const articles = [];
 
     // Select article elements - updated selector
     $('article').each((i, elem) => {
-      if (i >= 15) return; // Limit to 15 articles
+      if (i >= limit) return; // Limit to N articles
 
       const $elem = $(elem);
 
@@ -33,7 +37,8 @@ export async function fetchFreeCodeCamp() {
                      $elem.find('.post-card-excerpt').text().trim();
 
       // Try to get author
-      const author = $elem.find('.author-name').text().trim() ||
+      const author = $elem.find('.meta-content .meta-item').first().text().trim() ||
+                    $elem.find('.author-name').text().trim() ||
                     $elem.find('.post-card-author').text().trim() ||
                     'FreeCodeCamp';
 
@@ -53,7 +58,6 @@ export async function fetchFreeCodeCamp() {
 
     return articles;
   } catch (error) {
-    console.error('Error fetching FreeCodeCamp articles:', error.message);
-    return [];
+    throw new Error(`Error fetching FreeCodeCamp articles: ${error.message}`, { cause: error });
   }
 }
\ No newline at end of file
@@ -1,22 +1,30 @@
 import * as cheerio from 'cheerio';
+import { fetchText } from '../http.js';
 
 /**
  * Scrapes trending repositories from GitHub
  * No API key needed - uses public trending page
+ * @param {object} options - Fetch options
+ * @param {number} options.limit - Max repos to return (default: 15)
+ * @param {string} options.spokenLanguage - Spoken language filter (default: 'en')
+ * @param {string} options.since - 'daily', 'weekly' or 'monthly' (default: 'daily')
+ * @param {AbortSignal} options.signal - Aborts the request (timeouts)
+ * @param {object} options.cache - On-disk cache settings ({ ttlMinutes }), omit to bypass
  */
-export async function fetchGitHubTrending() {
+export async function fetchGitHubTrending({ limit = 15, spokenLanguage = 'en', since = 'daily', signal, cache } = {}) {
   try {
     // Fetch the trending page HTML
-    const url = 'https://github.com/trending?spoken_language_code=en';
-    const response = await fetch(url);
-    const data = await response.text();
+    const url = new URL('https://github.com/trending');
+    url.searchParams.append('spoken_language_code', spokenLanguage);
+    url.searchParams.append('since', since);
+    const data = await fetchText(url.toString(), { signal, cache });
 
     const $ = cheerio.load(data);
     const repos = [];
 
     // Parse each repository article
     $('article.Box-row').each((i, elem) => {
-      if (i >= 15) return; // Limit to top 15 repos
+      if (i >= limit) return; // Limit to top N repos
 
       const $elem = $(elem);
 
@@ -38,9 +46,9 @@ export async function fetchGitHubTrending() {
         .replace(/,/g, '')
         .match(/\d+/);
 
-      // Extract total stars
-      const totalStars = $elem.find('svg.octicon-star')
-        .parent()
+      // Extract total stars (the Star button and "stars today" use the same icon)
+      const totalStars = $elem.find('a[href$="/stargazers"]')
+        .first()
         .text()
         .trim()
         .replace(/,/g, '');
@@ -60,7 +68,6 @@ export async function fetchGitHubTrending() {
 
     return repos;
   } catch (error) {
-    console.error('Error fetching GitHub trending:', error.message);
-    return [];
+    throw new Error(`Error fetching GitHub trending: ${error.message}`, { cause: error });
   }
 }
\ No newline at end of file
@@ -1,18 +1,22 @@
+import { fetchJSON } from '../http.js';
+
 /**
  * Fetches top stories from HackerNews
  * Uses the official Firebase API - no auth required
+ * @param {object} options - Fetch options
+ * @param {number} options.limit - Number of top stories to fetch (default: 20)
+ * @param {AbortSignal} options.signal - Aborts the requests (timeouts)
+ * @param {object} options.cache - On-disk cache settings ({ ttlMinutes }), omit to bypass
  */
-export async function fetchHackerNews() {
+export async function fetchHackerNews({ limit = 20, signal, cache } = {}) {
   try {
     // Get top story IDs
     const topStoriesUrl = 'https://hacker-news.firebaseio.com/v0/topstories.json';
-    const response = await fetch(topStoriesUrl);
-    const storyIds = (await response.json()).slice(0, 20); // Get top 20 stories
+    const storyIds = (await fetchJSON(topStoriesUrl, { signal, cache })).slice(0, limit); // Get top N stories
 
     // Fetch details for each story
     const storyPromises = storyIds.map(id =>
-      fetch(`https://hacker-news.firebaseio.com/v0/item/${id}.json`)
-        .then(res => res.json())
+      fetchJSON(`https://hacker-news.firebaseio.com/v0/item/${id}.json`, { signal, cache })
     );
 
     const stories = await Promise.all(storyPromises);
@@ -31,7 +35,6 @@ export async function fetchHackerNews() {
         hnUrl: `https://news.ycombinator.com/item?id=${story.id}`
       }));
   } catch (error) {
-    console.error('Error fetching HackerNews stories:', error.message);
-    return [];
+    throw new Error(`Error fetching HackerNews stories: ${error.message}`, { cause: error });
   }
 }
\ No newline at end of file
@@ -1,13 +1,19 @@
+import { fetchJSON } from '../http.js';
+
 /**
  * Fetches featured articles from Hashnode using GraphQL
  * No authentication required for public queries
+ * @param {object} options - Fetch options
+ * @param {number} options.limit - Max articles to fetch (default: 15)
+ * @param {AbortSignal} options.signal - Aborts the request (timeouts)
+ * @param {object} options.cache - On-disk cache settings ({ ttlMinutes }), omit to bypass
  */
-export async function fetchHashnode() {
+export async function fetchHashnode({ limit = 15, signal, cache } = {}) {
   try {
     // GraphQL query to fetch featured articles
     const query = `
       query GetFeaturedArticles {
-        feed(first: 15, filter: {type: FEATURED}) {
+        feed(first: ${limit}, filter: {type: FEATURED}) {
           edges {
             node {
               id
@@ -37,16 +43,16 @@ export async function fetchHashnode() {
     `;
 
     // Make GraphQL request
-    const response = await fetch('https://gql.hashnode.com', {
+    const data = await fetchJSON('https://gql.hashnode.com', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({ query })
+      body: JSON.stringify({ query }),
+      signal,
+      cache
     });
 
-    const data = await response.json();
-
     // Extract and map articles
     const articles = data.data.feed.edges.map(edge => edge.node);
 
@@ -63,7 +69,6 @@ export async function fetchHashnode() {
       publishedAt: article.publishedAt
     }));
   } catch (error) {
-    console.error('Error fetching Hashnode articles:', error.message);
-    return [];
+    throw new Error(`Error fetching Hashnode articles: ${error.message}`, { cause: error });
   }
 }
\ No newline at end of file
@@ -0,0 +1,139 @@
+/**
+ * Built-in discovery sources
+ *
+ * Registers every bundled fetcher with the source registry.
+ * Order here is the order sources are fetched and displayed.
+ * Tune limits/options or disable sources in config/sources.json,
+ * or add your own RSS/Atom/JSON feeds there with "type": "feed".
+ */
+
+import { registerSource, registerSourceType } from '../registry.js';
+import { fetchDevTo, fetchDevToEducational } from './devto.js';
+import { fetchHackerNews } from './hackernews.js';
+import { fetchGitHubTrending } from './github.js';
+import { fetchLobsters } from './lobsters.js';
+import { fetchHashnode } from './hashnode.js';
+import { fetchFreeCodeCamp } from './freecodecamp.js';
+import { fetchDailyDev } from './dailydev.js';
+import { fetchReddit } from './reddit.js';
+import { fetchProductHunt } from './producthunt.js';
+import { fetchPapersWithCode } from './paperswithcode.js';
+import { fetchFeed } from './feed.js';
+
+// Trending sources
+registerSource({
+  id: 'devto',
+  name: 'Dev.to',
+  fetch: fetchDevTo,
+  category: 'trending',
+  emoji: '📝',
+  limit: 40,
+  options: { top: 1 }
+});
+
+registerSource({
+  id: 'hackernews',
+  name: 'HackerNews',
+  fetch: fetchHackerNews,
+  category: 'trending',
+  emoji: '🔥',
+  limit: 20
+});
+
+registerSource({
+  id: 'github',
+  name: 'GitHub',
+  fetch: fetchGitHubTrending,
+  category: 'trending',
+  emoji: '⭐',
+  limit: 15,
+  options: { spokenLanguage: 'en', since: 'daily' }
+});
+
+registerSource({
+  id: 'lobsters',
+  name: 'Lobsters',
+  fetch: fetchLobsters,
+  category: 'trending',
+  emoji: '🦞',
+  limit: 15
+});
+
+registerSource({
+  id: 'hashnode',
+  name: 'Hashnode',
+  fetch: fetchHashnode,
+  category: 'trending',
+  emoji: '#️⃣',
+  limit: 15
+});
+
+registerSource({
+  id: 'reddit',
+  name: 'Reddit',
+  fetch: fetchReddit,
+  category: 'trending',
+  emoji: '👽',
+  limit: 20,
+  options: { subreddits: ['programming', 'MachineLearning'], time: 'day' }
+});
+
+registerSource({
+  id: 'producthunt',
+  name: 'Product Hunt',
+  fetch: fetchProductHunt,
+  category: 'trending',
+  emoji: '🚀',
+  limit: 10
+});
+
+// Educational sources
+registerSource({
+  id: 'devto-edu',
+  name: 'DevTo-Edu',
+  fetch: fetchDevToEducational,
+  category: 'educational',
+  emoji: '📚',
+  limit: 20,
+  options: { maxTags: 4, perTag: 5, top: 7 }
+});
+
+registerSource({
+  id: 'freecodecamp',
+  name: 'FreeCodeCamp',
+  fetch: fetchFreeCodeCamp,
+  category: 'educational',
+  emoji: '🎓',
+  limit: 15
+});
+
+registerSource({
+  id: 'dailydev',
+  name: 'DailyDev',
+  fetch: fetchDailyDev,
+  category: 'educational',
+  emoji: '📖',
+  limit: 15
+});
+
+registerSource({
+  id: 'paperswithcode',
+  name: 'Papers with Code',
+  fetch: fetchPapersWithCode,
+  category: 'educational',
+  emoji: '📄',
+  limit: 10
+});
+
+// User-defined feeds: any number of "type": "feed" entries in config/sources.json
+registerSourceType('feed', (id, entry) => ({
+  fetch: fetchFeed,
+  emoji: entry.emoji || '📰',
+  options: {
+    url: entry.url,
+    source: id,
+    ...(entry.tags && { tags: entry.tags }),
+    ...(entry.educational !== undefined && { educational: entry.educational }),
+    ...entry.options
+  }
+}));
@@ -1,17 +1,22 @@
+import { fetchJSON } from '../http.js';
+
 /**
  * Fetches hottest stories from Lobste.rs
  * Completely open API - no authentication needed
+ * @param {object} options - Fetch options
+ * @param {number} options.limit - Max stories to return (default: 15)
+ * @param {AbortSignal} options.signal - Aborts the request (timeouts)
+ * @param {object} options.cache - On-disk cache settings ({ ttlMinutes }), omit to bypass
  */
-export async function fetchLobsters() {
+export async function fetchLobsters({ limit = 15, signal, cache } = {}) {
   try {
     // Fetch hottest stories from Lobste.rs
-    const response = await fetch('https://lobste.rs/hottest.json');
-    const data = await response.json();
+    const data = await fetchJSON('https://lobste.rs/hottest.json', { signal, cache });
 
-    // Map and filter the top 15 stories
-    return data.slice(0, 15).map(story => ({
+    // Map and filter the top N stories
+    return data.slice(0, limit).map(story => ({
       title: story.title,
-      url: story.url,
+      url: story.url || story.comments_url, // Text posts link to their discussion
       shortUrl: story.short_id_url,
       score: story.score,
       comments: story.comment_count,
@@ -22,7 +27,6 @@ export async function fetchLobsters() {
       commentsUrl: story.comments_url
     }));
   } catch (error) {
-    console.error('Error fetching Lobste.rs stories:', error.message);
-    return [];
+    throw new Error(`Error fetching Lobste.rs stories: ${error.message}`, { cause: error });
   }
 }
\ No newline at end of file
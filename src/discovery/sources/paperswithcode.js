@@ -0,0 +1,55 @@
+import { fetchJSON } from '../http.js';
+
+// Papers with Code now redirects to Hugging Face's daily papers,
+// which serves the same trending-research listing as JSON
+const DEFAULT_URL = 'https://huggingface.co/api/daily_papers';
+
+/**
+ * Map a daily papers response to raw items
+ * @param {Array} entries - Parsed response ([{ paper, title, numComments, ... }])
+ * @returns {Array} - Raw paper items
+ */
+export function parsePapers(entries) {
+  if (!Array.isArray(entries)) {
+    throw new Error('Unexpected papers response (expected an array)');
+  }
+
+  return entries
+    .map(entry => ({ ...entry.paper, numComments: entry.numComments, entryTitle: entry.title }))
+    .filter(paper => paper.id && (paper.title || paper.entryTitle))
+    .map(paper => ({
+      title: (paper.title || paper.entryTitle).replace(/\s+/g, ' ').trim(),
+      url: `https://huggingface.co/papers/${paper.id}`,
+      arxivUrl: `https://arxiv.org/abs/${paper.id}`,
+      description: (paper.summary || '').replace(/\s+/g, ' ').trim().substring(0, 300),
+      upvotes: paper.upvotes || 0,
+      comments: paper.numComments || 0,
+      author: (paper.authors || []).map(author => author.name).filter(Boolean).slice(0, 3).join(', ') || undefined,
+      keywords: paper.ai_keywords || [],
+      repository: paper.githubRepo || null,
+      repositoryStars: paper.githubStars || 0,
+      publishedAt: paper.publishedAt,
+      isEducational: true
+    }));
+}
+
+/**
+ * Fetches today's trending ML papers (with code where available)
+ * No authentication required
+ * @param {object} options - Fetch options
+ * @param {number} options.limit - Max papers to return (default: 10)
+ * @param {string} options.url - Listing endpoint (default: Hugging Face daily papers)
+ * @param {AbortSignal} options.signal - Aborts the request (timeouts)
+ * @param {object} options.cache - On-disk cache settings ({ ttlMinutes }), omit to bypass
+ */
+export async function fetchPapersWithCode({ limit = 10, url = DEFAULT_URL, signal, cache } = {}) {
+  try {
+    const entries = await fetchJSON(`${url}?limit=${limit}`, { signal, cache });
+
+    return parsePapers(entries)
+      .sort((a, b) => b.upvotes - a.upvotes)
+      .slice(0, limit);
+  } catch (error) {
+    throw new Error(`Error fetching Papers with Code: ${error.message}`, { cause: error });
+  }
+}
@@ -0,0 +1,116 @@
+import { fetchJSON, fetchText } from '../http.js';
+import { parseFeed } from './feed.js';
+
+const GRAPHQL_URL = 'https://api.producthunt.com/v2/api/graphql';
+const FEED_URL = 'https://www.producthunt.com/feed';
+
+/**
+ * Map a Product Hunt GraphQL `posts` response to raw items
+ * @param {object} data - Parsed GraphQL response
+ * @returns {Array} - Raw Product Hunt items
+ */
+export function parseProductHuntPosts(data) {
+  if (data?.errors?.length) {
+    throw new Error(`Product Hunt API error: ${data.errors[0].message}`);
+  }
+
+  return (data?.data?.posts?.edges || []).map(({ node: post }) => ({
+    title: `${post.name} - ${post.tagline}`,
+    name: post.name,
+    tagline: post.tagline,
+    url: post.website || post.url,
+    productHuntUrl: post.url,
+    description: (post.description || post.tagline || '').substring(0, 300),
+    votes: post.votesCount,
+    comments: post.commentsCount,
+    topics: (post.topics?.edges || []).map(edge => edge.node.name),
+    createdAt: post.createdAt
+  }));
+}
+
+/**
+ * Map the public Product Hunt Atom feed to raw items
+ * The feed carries no vote counts, so `votes` stays undefined.
+ * @param {string} text - Raw Atom feed
+ * @returns {Array} - Raw Product Hunt items
+ */
+export function parseProductHuntFeed(text) {
+  return parseFeed(text).items
+    .filter(item => item.title && item.url)
+    .map(item => {
+      // Entry content is the tagline followed by "Discussion | Link"
+      const tagline = item.description.replace(/\s*Discussion\s*\|\s*Link\s*$/, '');
+
+      return {
+        title: tagline ? `${item.title} - ${tagline}` : item.title,
+        name: item.title,
+        tagline,
+        url: item.url,
+        productHuntUrl: item.url,
+        description: tagline.substring(0, 300),
+        author: item.author || undefined,
+        topics: item.tags,
+        createdAt: item.publishedAt
+      };
+    });
+}
+
+/**
+ * Fetches today's top launches from Product Hunt
+ * Uses the GraphQL API (ranked, with vote counts) when PRODUCT_HUNT_TOKEN is set,
+ * otherwise the public feed of featured launches.
+ * @param {object} options - Fetch options
+ * @param {number} options.limit - Max launches to return (default: 15)
+ * @param {string} options.token - Developer token (default: PRODUCT_HUNT_TOKEN env var)
+ * @param {AbortSignal} options.signal - Aborts the request (timeouts)
+ * @param {object} options.cache - On-disk cache settings ({ ttlMinutes }), omit to bypass
+ */
+export async function fetchProductHunt({ limit = 15, token = process.env.PRODUCT_HUNT_TOKEN, signal, cache } = {}) {
+  try {
+    if (!token) {
+      const text = await fetchText(FEED_URL, { signal, cache });
+      return parseProductHuntFeed(text).slice(0, limit);
+    }
+
+    const query = `
+      query TopLaunches {
+        posts(first: ${limit}, order: VOTES, featured: true) {
+          edges {
+            node {
+              name
+              tagline
+              description
+              url
+              website
+              votesCount
+              commentsCount
+              createdAt
+              topics(first: 5) {
+                edges {
+                  node {
+                    name
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    `;
+
+    const data = await fetchJSON(GRAPHQL_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`
+      },
+      body: JSON.stringify({ query }),
+      signal,
+      cache
+    });
+
+    return parseProductHuntPosts(data).slice(0, limit);
+  } catch (error) {
+    throw new Error(`Error fetching Product Hunt launches: ${error.message}`, { cause: error });
+  }
+}
@@ -0,0 +1,63 @@
+import { fetchJSON } from '../http.js';
+
+/**
+ * Map a Reddit listing (the JSON behind any /r/.../top page) to raw items
+ * Skips stickied, NSFW and removed posts.
+ * @param {object} listing - Parsed listing ({ data: { children: [{ data }] } })
+ * @returns {Array} - Raw Reddit items
+ */
+export function parseRedditListing(listing) {
+  return (listing?.data?.children || [])
+    .map(child => child.data)
+    .filter(post => post && post.title && !post.stickied && !post.over_18 && !post.removed_by_category)
+    .map(post => {
+      const permalink = `https://www.reddit.com${post.permalink}`;
+
+      return {
+        title: post.title,
+        // Self posts have no external link - the discussion is the content
+        url: post.is_self ? permalink : (post.url_overridden_by_dest || post.url),
+        commentsUrl: permalink,
+        score: post.score,
+        comments: post.num_comments,
+        author: post.author,
+        subreddit: post.subreddit,
+        flair: post.link_flair_text || null,
+        description: (post.selftext || '').substring(0, 300),
+        createdAt: new Date(post.created_utc * 1000).toISOString(),
+        isSelf: Boolean(post.is_self)
+      };
+    });
+}
+
+/**
+ * Fetches today's top posts from programming subreddits
+ * Uses the public JSON listings - no auth needed, but Reddit requires a descriptive User-Agent
+ * @param {object} options - Fetch options
+ * @param {number} options.limit - Max posts to return (default: 20)
+ * @param {string[]} options.subreddits - Subreddits to combine (default: programming, MachineLearning)
+ * @param {string} options.time - Top posts of 'hour', 'day', 'week', ... (default: 'day')
+ * @param {AbortSignal} options.signal - Aborts the request (timeouts)
+ * @param {object} options.cache - On-disk cache settings ({ ttlMinutes }), omit to bypass
+ */
+export async function fetchReddit({
+  limit = 20,
+  subreddits = ['programming', 'MachineLearning'],
+  time = 'day',
+  signal,
+  cache
+} = {}) {
+  try {
+    // r/a+b combines several subreddits into one listing
+    const url = `https://www.reddit.com/r/${subreddits.join('+')}/top.json?t=${time}&limit=${limit}&raw_json=1`;
+    const listing = await fetchJSON(url, {
+      headers: { 'User-Agent': 'daily-voice/1.0 (content discovery)' },
+      signal,
+      cache
+    });
+
+    return parseRedditListing(listing).slice(0, limit);
+  } catch (error) {
+    throw new Error(`Error fetching Reddit posts: ${error.message}`, { cause: error });
+  }
+}
@@ -0,0 +1,216 @@
+/**
+ * tags.js - Tag taxonomy: synonyms, hierarchy and keyword inference
+ *
+ * Sources tag differently - Dev.to says "javascript", Hashnode "JavaScript",
+ * Reddit "js", and HackerNews doesn't tag at all. Every item's tags go
+ * through one vocabulary: spelled the same way (lowercase, hyphenated),
+ * merged through a synonym map, expanded with their parents (react →
+ * frontend → web) and, for items that arrive untagged, inferred from
+ * keywords in the title and description.
+ */
+
+import { loadConfig } from '../core/config.js';
+
+export const DEFAULT_TAXONOMY = {
+  // Alternative spelling → canonical tag
+  synonyms: {
+    js: 'javascript',
+    ecmascript: 'javascript',
+    ts: 'typescript',
+    reactjs: 'react',
+    'react-js': 'react',
+    vuejs: 'vue',
+    nextjs: 'next',
+    'next-js': 'next',
+    nodejs: 'node',
+    'node-js': 'node',
+    golang: 'go',
+    rustlang: 'rust',
+    py: 'python',
+    python3: 'python',
+    'c++': 'cpp',
+    'c#': 'csharp',
+    postgresql: 'postgres',
+    mongo: 'mongodb',
+    k8s: 'kubernetes',
+    ml: 'machine-learning',
+    machinelearning: 'machine-learning',
+    'artificial-intelligence': 'ai',
+    artificialintelligence: 'ai',
+    llms: 'llm',
+    'large-language-models': 'llm',
+    genai: 'ai',
+    'deep-learning': 'machine-learning',
+    deeplearning: 'machine-learning',
+    webdev: 'web',
+    'web-development': 'web',
+    'web-dev': 'web',
+    'front-end': 'frontend',
+    'back-end': 'backend',
+    infosec: 'security',
+    cybersecurity: 'security',
+    netsec: 'security',
+    database: 'databases',
+    db: 'databases',
+    'distributed-systems': 'distributed',
+    'system-design': 'systemdesign',
+    'open-source': 'opensource'
+  },
+  // Tag → broader tag
+  parents: {
+    react: 'frontend',
+    vue: 'frontend',
+    svelte: 'frontend',
+    angular: 'frontend',
+    next: 'react',
+    css: 'frontend',
+    html: 'frontend',
+    frontend: 'web',
+    backend: 'web',
+    node: 'backend',
+    django: 'python',
+    flask: 'python',
+    rails: 'ruby',
+    postgres: 'databases',
+    mysql: 'databases',
+    sqlite: 'databases',
+    mongodb: 'databases',
+    redis: 'databases',
+    kubernetes: 'devops',
+    docker: 'devops',
+    terraform: 'devops',
+    llm: 'ai',
+    'machine-learning': 'ai',
+    pytorch: 'machine-learning',
+    tensorflow: 'machine-learning'
+  },
+  // Tag → words in the title/description that imply it (untagged items only)
+  keywords: {
+    javascript: ['javascript', 'js', 'npm', 'deno', 'bun'],
+    typescript: ['typescript'],
+    react: ['react', 'jsx'],
+    node: ['node.js', 'nodejs'],
+    css: ['css'],
+    python: ['python', 'pip', 'pypi'],
+    rust: ['rust', 'cargo'],
+    go: ['golang'],
+    java: ['java', 'jvm'],
+    cpp: ['c++'],
+    postgres: ['postgres', 'postgresql'],
+    sqlite: ['sqlite'],
+    databases: ['database', 'databases', 'sql'],
+    kubernetes: ['kubernetes', 'k8s'],
+    docker: ['docker', 'dockerfile'],
+    llm: ['llm', 'llms', 'gpt', 'chatgpt', 'claude', 'gemini', 'language model', 'language models'],
+    ai: ['ai', 'openai', 'anthropic', 'ai agents'],
+    'machine-learning': ['machine learning', 'neural', 'deep learning', 'pytorch'],
+    security: ['security', 'vulnerability', 'cve', 'exploit', 'malware', 'encryption', 'breach'],
+    linux: ['linux', 'kernel'],
+    distributed: ['distributed', 'consensus', 'raft'],
+    compilers: ['compiler', 'compilers', 'llvm'],
+    opensource: ['open source', 'open-source']
+  }
+};
+
+/**
+ * Load the tag taxonomy from config/tags.json (merged over the defaults)
+ * @returns {Promise<object>} - { synonyms, parents, keywords }
+ */
+export async function loadTaxonomy() {
+  return loadConfig('tags', DEFAULT_TAXONOMY);
+}
+
+/**
+ * Spell a tag the canonical way ('Web Development' → 'web', 'JS' → 'javascript')
+ * @param {string} tag - Raw tag from a source
+ * @param {object} taxonomy - { synonyms }
+ * @returns {string|null} - Canonical tag, null when nothing is left
+ */
+export function normalizeTag(tag, taxonomy = DEFAULT_TAXONOMY) {
+  const slug = String(tag ?? '')
+    .toLowerCase()
+    .trim()
+    .replace(/^#+/, '')
+    .replace(/[\s_/]+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+  if (!slug) return null;
+
+  const synonyms = taxonomy.synonyms || {};
+  // 'React.js' and 'reactjs' are the same tag
+  return synonyms[slug] || synonyms[slug.replace(/\./g, '')] || synonyms[slug.replace(/[^a-z0-9+#]/g, '')] || slug;
+}
+
+/**
+ * A tag followed by its broader tags (react → frontend → web)
+ * @param {string} tag - Canonical tag
+ * @param {object} taxonomy - { parents }
+ * @returns {string[]}
+ */
+export function getTagAncestors(tag, taxonomy = DEFAULT_TAXONOMY) {
+  const parents = taxonomy.parents || {};
+  const chain = [];
+  let current = parents[tag];
+
+  // A misconfigured cycle (a → b → a) stops where it started
+  while (current && current !== tag && !chain.includes(current)) {
+    chain.push(current);
+    current = parents[current];
+  }
+  return chain;
+}
+
+/**
+ * Escape a keyword for use inside a RegExp
+ * @param {string} keyword
+ * @returns {string}
+ */
+function escapeRegExp(keyword) {
+  return keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whether a keyword appears in a text as a whole word
+ * 'rust' matches "Rust 1.80" but not "trusted", and 'c' doesn't match "C++".
+ * @param {string} text - Lowercased text to search
+ * @param {string} keyword - Keyword (any case)
+ * @returns {boolean}
+ */
+export function matchesKeyword(text, keyword) {
+  return new RegExp(`(^|[^a-z0-9])${escapeRegExp(keyword.toLowerCase())}($|[^a-z0-9+#])`).test(text);
+}
+
+/**
+ * Tags implied by keywords in a text
+ * @param {string} text - Title and description
+ * @param {object} taxonomy - { keywords }
+ * @returns {string[]} - Matching tags, in taxonomy order
+ */
+export function inferTags(text, taxonomy = DEFAULT_TAXONOMY) {
+  const haystack = String(text || '').toLowerCase();
+  if (!haystack.trim()) return [];
+
+  return Object.entries(taxonomy.keywords || {})
+    .filter(([, keywords]) => keywords.some(keyword => matchesKeyword(haystack, keyword)))
+    .map(([tag]) => tag);
+}
+
+/**
+ * Run an item's raw tags through the taxonomy
+ * Untagged items get tags inferred from their title and description.
+ * @param {string[]} tags - Tags from the source
+ * @param {object} item - Raw item ({ title/name, description/brief })
+ * @param {object} taxonomy - { synonyms, parents, keywords }
+ * @returns {string[]} - Canonical tags first, then their ancestors, each once
+ */
+export function normalizeTags(tags, item = {}, taxonomy = DEFAULT_TAXONOMY) {
+  let canonical = (tags || []).map(tag => normalizeTag(tag, taxonomy)).filter(Boolean);
+
+  if (canonical.length === 0) {
+    const text = `${item.title || item.name || ''} ${item.description || item.brief || ''}`;
+    canonical = inferTags(text, taxonomy).map(tag => normalizeTag(tag, taxonomy));
+  }
+
+  const ancestors = canonical.flatMap(tag => getTagAncestors(tag, taxonomy));
+  return Array.from(new Set([...canonical, ...ancestors]));
+}
@@ -0,0 +1,21 @@
+/**
+ * args.js - Minimal command-line flag parsing shared by the CLIs
+ */
+
+/**
+ * Reads the value of a `--name value` or `--name=value` CLI flag
+ * @param {string[]} args - Command-line arguments
+ * @param {string} name - Flag name including dashes
+ * @returns {string|undefined}
+ */
+export function getArgValue(args, name) {
+  const inline = args.find(arg => arg.startsWith(`${name}=`));
+  if (inline) {
+    return inline.slice(name.length + 1);
+  }
+
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] && !args[index + 1].startsWith('--')
+    ? args[index + 1]
+    : undefined;
+}
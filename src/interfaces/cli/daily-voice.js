@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * daily-voice.js - Command dispatcher for Daily Voice
+ *
+ * Usage:
+ *   daily-voice schedule [--cron "0 7 * * *"] [--format md|html|json] [--now]
+ *   daily-voice schedule --once     Run the scheduled digest once and exit
+ *   daily-voice runs                Show the latest scheduled runs
+ *   daily-voice health              Show how each source did recently
+ */
+
+import 'dotenv/config';
+import chalk from 'chalk';
+import { startScheduler, runScheduledDigest, loadScheduleOptions, readRunLog } from '../../schedule.js';
+import { loadHealthOptions, readHealthLog, getSourceBaseline, detectDrift, HEALTH_FIELDS } from '../../discovery/health.js';
+import { getArgValue } from './args.js';
+
+/**
+ * Schedule options given on the command line
+ * @param {string[]} args - Command-line arguments
+ * @returns {object}
+ */
+function parseScheduleArgs(args) {
+  const options = {};
+
+  const cronExpression = getArgValue(args, '--cron');
+  const outputFormat = getArgValue(args, '--format');
+  const focus = getArgValue(args, '--focus');
+
+  if (cronExpression) options.cron = cronExpression;
+  if (outputFormat) options.format = outputFormat;
+  if (focus) options.focus = focus;
+  if (args.includes('--explore')) options.explore = true;
+  if (args.includes('--now')) options.runOnStart = true;
+
+  return options;
+}
+
+/**
+ * `daily-voice schedule` - run the digest on a schedule (or once)
+ * @param {string[]} args - Arguments after the command
+ */
+async function schedule(args) {
+  const options = parseScheduleArgs(args);
+
+  if (args.includes('--once')) {
+    const run = await runScheduledDigest({ ...(await loadScheduleOptions()), ...options });
+    console.log(run.status === 'success'
+      ? chalk.green(`✅ Digest written to ${run.outFile}`)
+      : chalk.red(`❌ Digest failed: ${run.error}`));
+    process.exitCode = run.status === 'success' ? 0 : 1;
+    return;
+  }
+
+  const task = await startScheduler(options);
+
+  const stop = () => {
+    task.stop();
+    console.log(chalk.gray('\n👋 Scheduler stopped.'));
+    process.exit(0);
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+/**
+ * `daily-voice runs` - show the latest scheduled runs
+ * @param {string[]} args - Arguments after the command
+ */
+async function runs(args) {
+  const limit = Number(getArgValue(args, '--limit')) || 10;
+  const entries = await readRunLog(limit);
+
+  if (entries.length === 0) {
+    console.log(chalk.yellow('No scheduled runs yet. Start one with: daily-voice schedule --once'));
+    return;
+  }
+
+  entries.forEach(run => {
+    const ok = run.sources.filter(source => source.status === 'success').length;
+    const status = run.status === 'success' ? chalk.green('✔') : chalk.red('✖');
+    console.log(`${status} ${run.startedAt}  ${run.educational + run.trending} items  ${ok}/${run.sources.length} sources${run.error ? chalk.red(`  ${run.error}`) : ''}`);
+
+    run.sources
+      .filter(source => source.status !== 'success')
+      .forEach(source => console.log(chalk.gray(`    ${source.id}: ${source.status}${source.error ? ` - ${source.error}` : ''}`)));
+  });
+}
+
+/**
+ * `daily-voice health` - latest discovery run per source vs. its usual numbers
+ * @param {string[]} args - Arguments after the command
+ */
+async function health(args) {
+  const options = await loadHealthOptions();
+  const window = Number(getArgValue(args, '--window')) || options.window;
+  const history = await readHealthLog(window + 1);
+
+  if (history.length === 0) {
+    console.log(chalk.yellow('No discovery runs recorded yet. Run: npm run digest'));
+    return;
+  }
+
+  const latest = history[history.length - 1];
+  const previous = history.slice(0, -1);
+  const flagged = new Set(detectDrift(latest.sources, previous, options).map(alert => alert.id));
+
+  console.log(chalk.bold(`Source health - ${latest.recordedAt} (vs. ${previous.length} earlier runs)\n`));
+
+  latest.sources.forEach(record => {
+    const baseline = getSourceBaseline(record.id, previous);
+    const status = record.status !== 'success'
+      ? chalk.red('✖')
+      : flagged.has(record.id) ? chalk.yellow('⚠') : chalk.green('✔');
+    const usual = baseline.items !== null ? chalk.gray(` (usually ${Math.round(baseline.items)})`) : '';
+    const fields = record.completeness
+      ? HEALTH_FIELDS.map(field => `${field} ${Math.round(record.completeness[field] * 100)}%`).join(' · ')
+      : chalk.gray(record.status === 'success' ? 'no items' : record.status);
+
+    console.log(`${status} ${record.id.padEnd(16)} ${String(record.items).padStart(3)} items${usual}  ${fields}  ${chalk.gray(`${(record.latency / 1000).toFixed(1)}s`)}`);
+  });
+}
+
+const COMMANDS = { schedule, runs, health };
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!COMMANDS[command]) {
+    console.log(chalk.bold('Usage: daily-voice <command> [options]\n'));
+    console.log('  schedule   Run the digest every day (config/schedule.json)');
+    console.log('             --cron "<expr>" --format md|html|json --focus <topics> --explore --now --once');
+    console.log('  runs       Show the latest scheduled runs (--limit <n>)');
+    console.log('  health     Show how each source did in the last discovery run (--window <runs>)');
+    process.exitCode = command ? 1 : 0;
+    return;
+  }
+
+  await COMMANDS[command](args);
+}
+
+main().catch(error => {
+  console.error(chalk.red('❌ Error:'), error.message);
+  process.exit(1);
+});
@@ -16,6 +16,8 @@ import { spawn } from 'child_process';
 import { generatePost, quickRefine, refinePost, parsePlatformIntent } from '../../core/generator.js';
 import { saveNote, savePost, loadPost, markAsPublished, loadAllDrafts } from '../../core/storage.js';
 import { validateHumanFeel } from '../../core/humanize.js';
+import { parseTaskFlags, setTaskOverrides } from '../../core/llm.js';
+import { loadSelectedItems } from '../../discovery/history.js';
 import {
   detectFactCheckRequest,
   extractClaims,
@@ -28,11 +30,11 @@ console.log(chalk.bold.cyan('\n📝 Daily Voice - Transform Thoughts into Posts\
 /**
  * Display a generated post with formatting
  */
-function displayPost(platform, content, validation, isThread = false) {
+function displayPost(platform, content, validation, isThread = false, partial = false) {
   const platformName = platform === 'twitter' ? 'Twitter' : 'LinkedIn';
   const emoji = platform === 'twitter' ? '🐦' : '💼';
 
-  console.log(chalk.bold.blue(`\n${emoji} ${platformName.toUpperCase()} ${isThread ? 'THREAD' : 'POST'}:`));
+  console.log(chalk.bold.blue(`\n${emoji} ${platformName.toUpperCase()} ${isThread ? 'THREAD' : 'POST'}${partial ? ' (PARTIAL)' : ''}:`));
   console.log(chalk.gray('─'.repeat(70)));
 
   // Handle both array (thread) and string (single tweet) formats
@@ -59,6 +61,79 @@ function displayPost(platform, content, validation, isThread = false) {
   console.log();
 }
 
+/**
+ * Generate posts, printing each platform's text as it streams in
+ * Platforms generate in parallel but print one at a time: the rest
+ * buffer and catch up once the one on screen finishes. Ctrl+C stops
+ * generation and keeps what has arrived as a partial draft.
+ * @param {string} thought - Thought to generate from
+ * @param {string[]} platforms - Platforms to generate for
+ * @param {object|null} sourceItem - Discovered item the thought reacts to
+ * @param {string} label - Spinner text until the first words arrive
+ * @returns {Promise<object>} - Same as generatePost(); cancelled platforms have partial: true
+ */
+async function generateLive(thought, platforms, sourceItem, label) {
+  const spinner = ora(`${label} ${chalk.gray('(Ctrl+C keeps what has arrived)')}`).start();
+  const controller = new AbortController();
+  const streamed = Object.fromEntries(platforms.map(platform => [platform, '']));
+  const finished = new Set();
+  let current = 0; // Index of the platform on screen
+  let shown = -1;  // Characters of it printed so far (-1: header not printed yet)
+
+  const flush = () => {
+    while (current < platforms.length) {
+      const platform = platforms[current];
+      if (shown === -1) {
+        const name = platform === 'twitter' ? 'Twitter' : 'LinkedIn';
+        console.log(chalk.bold.gray(`\n${platform === 'twitter' ? '🐦' : '💼'} ${name} (live):`));
+        shown = 0;
+      }
+      process.stdout.write(chalk.gray(streamed[platform].slice(shown)));
+      shown = streamed[platform].length;
+      if (!finished.has(platform)) return;
+
+      process.stdout.write('\n');
+      current++;
+      shown = -1;
+    }
+  };
+
+  const onInterrupt = () => {
+    spinner.stop();
+    controller.abort();
+    console.log(chalk.yellow('\n\n⏹  Stopping - keeping what has been written so far'));
+  };
+  process.once('SIGINT', onInterrupt);
+
+  try {
+    const generated = await Promise.all(platforms.map(async platform => {
+      const result = await generatePost(thought, {
+        platforms: [platform],
+        source: sourceItem,
+        signal: controller.signal,
+        onText: (_, delta, snapshot) => {
+          spinner.stop();
+          streamed[platform] = snapshot;
+          flush();
+        }
+      });
+      finished.add(platform);
+      if (!spinner.isSpinning) flush();
+      return [platform, result[platform]];
+    }));
+
+    const results = Object.fromEntries(generated);
+    if (controller.signal.aborted) {
+      spinner.warn('Generation stopped - partial drafts kept');
+    } else {
+      spinner.succeed('Posts generated!');
+    }
+    return results;
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+  }
+}
+
 /**
  * Display fact-check results
  */
@@ -160,6 +235,78 @@ function formatDate(timestamp) {
   return date.toLocaleString();
 }
 
+/**
+ * Check that a thought has enough to work with (inquirer validator)
+ * @param {string} input - What the user typed
+ * @returns {boolean|string} - true, or the message to show
+ */
+function validateThought(input) {
+  if (!input || input.trim().length === 0) {
+    return 'Please enter a thought or idea';
+  }
+  if (input.trim().length < 10) {
+    return 'Please provide more context (at least 10 characters)';
+  }
+  return true;
+}
+
+/**
+ * The parts of a digest item kept on notes and drafts
+ * @param {object} item - Selected digest item
+ * @returns {object} - { id, title, url, source, description }
+ */
+function toSourceItem(item) {
+  return {
+    id: item.id,
+    title: item.title,
+    url: item.url,
+    source: item.source,
+    description: item.description || ''
+  };
+}
+
+/**
+ * Pick an item saved from a digest and ask for the user's take on it
+ * @returns {Promise<object|null>} - { item, thought }, or null when nothing was saved
+ */
+async function pickSelection() {
+  const items = await loadSelectedItems();
+
+  if (items.length === 0) {
+    console.log(chalk.yellow('\nNo saved selections yet. Run npm run digest and choose "💾 Save for later".\n'));
+    return null;
+  }
+
+  const { item } = await inquirer.prompt([{
+    type: 'list',
+    name: 'item',
+    message: 'Which item do you want to post about?',
+    pageSize: 15,
+    loop: false,
+    choices: items.map(selection => ({
+      name: `${selection.title} ${chalk.gray(`(${selection.source}, ${selection.selectedOn})`)}`,
+      value: selection,
+      short: selection.title.substring(0, 50)
+    }))
+  }]);
+
+  console.log(chalk.bold(`\n${item.title}`));
+  console.log(chalk.blue(item.url));
+  if (item.description) {
+    console.log(chalk.gray(item.description.replace(/\s+/g, ' ').trim().substring(0, 280)));
+  }
+  console.log();
+
+  const { thought } = await inquirer.prompt([{
+    type: 'input',
+    name: 'thought',
+    message: 'What\'s your take on it?',
+    validate: validateThought
+  }]);
+
+  return { item, thought };
+}
+
 /**
  * Publish a draft post to specified platforms
  * @param {string} postId - The draft post ID
@@ -290,18 +437,29 @@ async function publishExistingDraft() {
  * Main CLI flow
  */
 async function main() {
+  // --model, --temperature and --max-tokens override config/llm.json for this run
+  try {
+    setTaskOverrides(await parseTaskFlags(process.argv.slice(2)));
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+
   try {
-    // Main menu
-    const { mode } = await inquirer.prompt([{
-      type: 'list',
-      name: 'mode',
-      message: 'What would you like to do?',
-      choices: [
-        { name: '📝 Create new post', value: 'create' },
-        { name: '🚀 Publish existing draft', value: 'publish' },
-        { name: '❌ Exit', value: 'exit' }
-      ]
-    }]);
+    // Main menu (npm run create-post goes straight to the selections)
+    const { mode } = process.argv.includes('--from-selection')
+      ? { mode: 'selection' }
+      : await inquirer.prompt([{
+        type: 'list',
+        name: 'mode',
+        message: 'What would you like to do?',
+        choices: [
+          { name: '📝 Create new post', value: 'create' },
+          { name: '📰 Create post from selection', value: 'selection' },
+          { name: '🚀 Publish existing draft', value: 'publish' },
+          { name: '❌ Exit', value: 'exit' }
+        ]
+      }]);
 
     if (mode === 'exit') {
       console.log(chalk.yellow('\n👋 Goodbye!\n'));
@@ -313,27 +471,30 @@ async function main() {
       return;
     }
 
-    // mode === 'create' - Continue with post creation flow
-    // Step 1: Get user's thought
-    const { thought } = await inquirer.prompt([
-      {
-        type: 'input',
-        name: 'thought',
-        message: 'What\'s on your mind?',
-        validate: (input) => {
-          if (!input || input.trim().length === 0) {
-            return 'Please enter a thought or idea';
-          }
-          if (input.trim().length < 10) {
-            return 'Please provide more context (at least 10 characters)';
-          }
-          return true;
+    // mode === 'create' or 'selection' - Continue with post creation flow
+    // Step 1: Get user's thought (and the digest item it's about)
+    let thought;
+    let sourceItem = null;
+
+    if (mode === 'selection') {
+      const picked = await pickSelection();
+      if (!picked) return;
+
+      thought = picked.thought;
+      sourceItem = toSourceItem(picked.item);
+    } else {
+      ({ thought } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'thought',
+          message: 'What\'s on your mind?',
+          validate: validateThought
         }
-      }
-    ]);
+      ]));
+    }
 
     // Save the thought as a note
-    const note = await saveNote(thought, 'tech', ['post']);
+    const note = await saveNote(thought, 'tech', ['post'], sourceItem);
     console.log(chalk.green(`\n✅ Note saved (ID: ${note.id})`));
 
     // NEW: Fact-check flow (if requested)
@@ -456,19 +617,16 @@ async function main() {
       }
     ]);
 
-    // Step 3: Generate posts
-    const spinner = ora('Generating posts with Claude...').start();
-
+    // Step 3: Generate posts, streaming them to the terminal
     let results;
     try {
-      results = await generatePost(finalThought, { platforms });
-      spinner.succeed('Posts generated!');
+      results = await generateLive(finalThought, platforms, sourceItem, 'Generating posts with Claude...');
     } catch (error) {
-      spinner.fail('Failed to generate posts');
+      console.error(chalk.red('\n✖ Failed to generate posts'));
       console.error(chalk.red('\nError:'), error.message);
 
-      if (error.message.includes('ANTHROPIC_API_KEY')) {
-        console.log(chalk.yellow('\n💡 Make sure your ANTHROPIC_API_KEY is set in .env file'));
+      if (error.message.includes('environment variable is not set')) {
+        console.log(chalk.yellow('\n💡 Make sure the API key for your provider (config/llm.json) is set in .env file'));
       }
 
       process.exit(1);
@@ -477,7 +635,7 @@ async function main() {
     // Step 4: Display generated posts
     for (const platform of platforms) {
       if (results[platform] && results[platform].content) {
-        displayPost(platform, results[platform].content, results[platform].validation, results[platform].isThread);
+        displayPost(platform, results[platform].content, results[platform].validation, results[platform].isThread, results[platform].partial);
       }
     }
 
@@ -506,6 +664,8 @@ async function main() {
         // Save posts as drafts
         const postData = {
           noteId: note.id,
+          sourceItemId: note.sourceItemId,
+          ...(sourceItem && { sourceItem }),
           thought,
           content: {},
           platforms
@@ -685,21 +845,18 @@ async function main() {
 
       } else if (action === 'regenerate') {
         // Regenerate from scratch
-        const regenSpinner = ora('Regenerating posts...').start();
-
         try {
-          currentResults = await generatePost(thought, { platforms });
-          regenSpinner.succeed('Posts regenerated!');
+          currentResults = await generateLive(thought, platforms, sourceItem, 'Regenerating posts...');
 
           // Display new posts
           for (const platform of platforms) {
             if (currentResults[platform]?.content) {
-              displayPost(platform, currentResults[platform].content, currentResults[platform].validation, currentResults[platform].isThread);
+              displayPost(platform, currentResults[platform].content, currentResults[platform].validation, currentResults[platform].isThread, currentResults[platform].partial);
             }
           }
 
         } catch (error) {
-          regenSpinner.fail('Regeneration failed');
+          console.error(chalk.red('\n✖ Regeneration failed'));
           console.error(chalk.red('\nError:'), error.message);
         }
 
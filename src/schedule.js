@@ -0,0 +1,241 @@
+/**
+ * schedule.js - Scheduled daily digest
+ *
+ * Runs discovery on a cron schedule, writes the digest in headless form,
+ * leaves a short notification file for whatever you use to read it, and
+ * keeps a run log with how every source did.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import cron from 'node-cron';
+import chalk from 'chalk';
+import { format } from 'date-fns';
+import { generateDigest } from './digest.js';
+import { normalizeDigestFormat, DIGEST_FORMATS } from './discovery/render.js';
+import { DATA_DIR, loadConfig } from './core/config.js';
+
+// Same data directory the digest writes to, wherever the command runs from
+const SCHEDULE_DIR = path.join(DATA_DIR, 'schedule');
+const RUN_LOG_FILE = path.join(SCHEDULE_DIR, 'runs.jsonl');
+const NOTIFICATION_FILE = path.join(SCHEDULE_DIR, 'latest.txt');
+
+export const DEFAULT_SCHEDULE_OPTIONS = {
+  cron: '0 7 * * *',    // Every day at 07:00
+  timezone: null,       // e.g. 'Europe/Berlin' (default: system time zone)
+  format: 'html',       // md, html or json
+  outDir: 'digests',    // Relative to data/
+  runOnStart: false,    // Also run once as soon as the scheduler starts
+  notify: true,         // Write data/schedule/latest.txt after every run
+  notifyTop: 3,         // Items listed in the notification
+  focus: null,          // Focus topics, as with --focus
+  explore: false        // Explore mode, as with --explore
+};
+
+/**
+ * Load schedule options from config/schedule.json
+ * @returns {Promise<object>} - Schedule options
+ */
+export async function loadScheduleOptions() {
+  return loadConfig('schedule', DEFAULT_SCHEDULE_OPTIONS);
+}
+
+/**
+ * Append one run to data/schedule/runs.jsonl
+ * @param {object} entry - Run record
+ */
+export async function appendRunLog(entry) {
+  await fs.mkdir(SCHEDULE_DIR, { recursive: true });
+  await fs.appendFile(RUN_LOG_FILE, `${JSON.stringify(entry)}\n`, 'utf-8');
+}
+
+/**
+ * Read the most recent scheduled runs
+ * @param {number} limit - How many runs to return
+ * @returns {Promise<Array>} - Runs, newest last
+ */
+export async function readRunLog(limit = 10) {
+  let content;
+  try {
+    content = await fs.readFile(RUN_LOG_FILE, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  return content
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null; // Half-written line from a crash
+      }
+    })
+    .filter(Boolean)
+    .slice(-limit);
+}
+
+/**
+ * Plain-text summary of a run, readable in any notifier or just `cat`
+ * @param {object} run - Run record
+ * @param {object} digest - Headless digest result (null if the run failed)
+ * @param {number} top - Items to list
+ * @returns {string}
+ */
+export function formatNotification(run, digest, top = 3) {
+  const failedSources = run.sources.filter(source => source.status !== 'success');
+  const sourceLine = `${run.sources.length - failedSources.length}/${run.sources.length} sources ok` +
+    (failedSources.length > 0 ? ` (${failedSources.map(source => `${source.id} ${source.status}`).join(', ')})` : '');
+
+  if (run.status !== 'success') {
+    return [
+      `Daily digest FAILED - ${run.date}`,
+      run.error,
+      sourceLine
+    ].join('\n') + '\n';
+  }
+
+  const highlights = [...digest.educational.slice(0, top), ...digest.trending.slice(0, top)]
+    .map(item => `- ${item.title}\n  ${item.url}`);
+
+  return [
+    `Daily digest ready - ${run.date}`,
+    `${run.educational} to learn · ${run.trending} trending · ${sourceLine}`,
+    ...(run.alerts || []).map(alert => `Warning: ${alert.message}`),
+    '',
+    ...highlights,
+    '',
+    `Open: ${run.outFile}`
+  ].join('\n') + '\n';
+}
+
+/**
+ * Run one scheduled digest: generate, write, notify, log
+ *
+ * Never throws - failures end up in the run log and the notification.
+ *
+ * @param {object} options - Schedule options
+ * @returns {Promise<object>} - Run record
+ */
+export async function runScheduledDigest(options = {}) {
+  const settings = { ...DEFAULT_SCHEDULE_OPTIONS, ...options };
+  settings.format = normalizeDigestFormat(settings.format);
+  const startedAt = new Date();
+  const date = format(startedAt, 'yyyy-MM-dd');
+  const outFile = path.join(DATA_DIR, settings.outDir, `digest-${date}.${settings.format}`);
+
+  const run = {
+    date,
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    status: 'success',
+    outFile,
+    educational: 0,
+    trending: 0,
+    sources: [],
+    alerts: [],
+    error: null
+  };
+
+  let digest = null;
+
+  try {
+    digest = await generateDigest({
+      interactive: false,
+      format: settings.format,
+      out: outFile,
+      focus: settings.focus || undefined,
+      explore: settings.explore
+    });
+
+    run.educational = digest.educational.length;
+    run.trending = digest.trending.length;
+    run.sources = digest.sources;
+    run.alerts = digest.alerts || [];
+  } catch (error) {
+    run.status = 'failed';
+    run.outFile = null;
+    run.error = error.message;
+    run.sources = error.sources || [];
+  }
+
+  run.finishedAt = new Date().toISOString();
+
+  await appendRunLog(run);
+
+  if (settings.notify) {
+    await fs.mkdir(SCHEDULE_DIR, { recursive: true });
+    await fs.writeFile(NOTIFICATION_FILE, formatNotification(run, digest, settings.notifyTop), 'utf-8');
+  }
+
+  return run;
+}
+
+/**
+ * Start the long-running scheduler
+ * @param {object} options - Overrides for config/schedule.json
+ * @returns {Promise<object>} - The node-cron task
+ */
+export async function startScheduler(options = {}) {
+  const settings = { ...(await loadScheduleOptions()), ...options };
+  settings.format = normalizeDigestFormat(settings.format);
+
+  if (!cron.validate(settings.cron)) {
+    throw new Error(`Invalid cron expression: ${settings.cron}`);
+  }
+
+  if (!DIGEST_FORMATS.includes(settings.format)) {
+    throw new Error(`Unknown digest format: ${settings.format} (use ${DIGEST_FORMATS.join(', ')})`);
+  }
+
+  let running = false;
+
+  const tick = async () => {
+    // A slow run shouldn't pile up behind itself
+    if (running) {
+      console.log(chalk.yellow('⏭  Previous digest still running, skipping this one'));
+      return;
+    }
+
+    running = true;
+    console.log(chalk.blue(`\n⏰ ${new Date().toLocaleString()} - generating digest...`));
+
+    try {
+      const run = await runScheduledDigest(settings);
+      const failed = run.sources.filter(source => source.status !== 'success');
+
+      if (run.status === 'success') {
+        console.log(chalk.green(`✅ ${run.educational + run.trending} items → ${run.outFile}`));
+      } else {
+        console.log(chalk.red(`❌ Digest failed: ${run.error}`));
+      }
+      failed.forEach(source => {
+        console.log(chalk.yellow(`   ⚠️  ${source.name}: ${source.status}${source.error ? ` (${source.error})` : ''}`));
+      });
+    } catch (error) {
+      // Couldn't even write the run log - keep the scheduler alive for tomorrow
+      console.error(chalk.red(`❌ Scheduled run crashed: ${error.message}`));
+    } finally {
+      running = false;
+    }
+  };
+
+  const task = cron.schedule(settings.cron, tick, {
+    ...(settings.timezone && { timezone: settings.timezone })
+  });
+
+  console.log(chalk.cyan(`📅 Daily digest scheduled: "${settings.cron}"${settings.timezone ? ` (${settings.timezone})` : ''}`));
+  console.log(chalk.gray(`   Output: ${path.join(DATA_DIR, settings.outDir)} (${settings.format})`));
+  console.log(chalk.gray(`   Run log: ${RUN_LOG_FILE}`));
+  console.log(chalk.gray('   Press Ctrl+C to stop.\n'));
+
+  if (settings.runOnStart) {
+    await tick();
+  }
+
+  return task;
+}
@@ -1,7 +1,11 @@
-import { generatePost } from './src/core/generator.js';
+import { generatePost } from '../../src/core/generator.js';
+import { startMockLLMIfRequested } from '../support/mock-llm-server.js';
 import 'dotenv/config';
 import chalk from 'chalk';
 
+// --mock-llm (or DAILY_VOICE_MOCK_LLM=1) runs against tests/support/mock-llm-server.js
+await startMockLLMIfRequested();
+
 const testCases = [
   {
     name: 'EDGE CASE 1: Very Short (should be single tweet)',
@@ -1,7 +1,11 @@
-import { generatePost } from './src/core/generator.js';
+import { generatePost } from '../../src/core/generator.js';
+import { startMockLLMIfRequested } from '../support/mock-llm-server.js';
 import 'dotenv/config';
 import chalk from 'chalk';
 
+// --mock-llm (or DAILY_VOICE_MOCK_LLM=1) runs against tests/support/mock-llm-server.js
+await startMockLLMIfRequested();
+
 const thought = `Been trying MoltBot for content automation. The promise is good - AI-powered social posting. But the execution feels half-baked. 
 
 The posts it generates read like they were written by someone who learned English from LinkedIn inspirational quotes. Too polished, zero personality.
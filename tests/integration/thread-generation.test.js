@@ -1,6 +1,10 @@
-import { generatePost } from './src/core/generator.js';
+import { generatePost } from '../../src/core/generator.js';
+import { startMockLLMIfRequested } from '../support/mock-llm-server.js';
 import 'dotenv/config';
 
+// --mock-llm (or DAILY_VOICE_MOCK_LLM=1) runs against tests/support/mock-llm-server.js
+await startMockLLMIfRequested();
+
 // Test thought (medium complexity - should be ~3-4 tweets)
 const testThought = `I've been using Claude Code for a week now and it's genuinely replaced my workflow. 
 Not the "AI writes all my code" hype - more like "AI handles the boring refactors while I focus on architecture".
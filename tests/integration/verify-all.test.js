@@ -1,7 +1,11 @@
-import { generatePost } from './src/core/generator.js';
+import { generatePost } from '../../src/core/generator.js';
+import { startMockLLMIfRequested } from '../support/mock-llm-server.js';
 import 'dotenv/config';
 import chalk from 'chalk';
 
+// --mock-llm (or DAILY_VOICE_MOCK_LLM=1) runs against tests/support/mock-llm-server.js
+await startMockLLMIfRequested();
+
 const cases = [
   { name: 'Very Short', input: 'JavaScript promises are just fancy callbacks with better error handling.', len: 72 },
   { name: 'Short-Medium', input: 'Spent 3 hours debugging a CSS issue. Turned out margin-top was collapsing with the parent. Added overflow:hidden to the container. Fixed. This is why I have trust issues with CSS. Margins are a lie.', len: 198 },
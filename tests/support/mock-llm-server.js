@@ -0,0 +1,255 @@
+/**
+ * mock-llm-server.js - Offline stand-in for the Anthropic Messages API
+ *
+ * Serves POST /v1/messages from scripted responses, so generation,
+ * refinement and fact-checking can run without a key or the network.
+ * Each response in tests/fixtures/llm/responses.json has a regex
+ * ("match", case-insensitive) tested against the request's system
+ * prompt and messages; the first match answers, with "text" as-is or
+ * "json" serialized. Requests that match nothing get a 400 naming the
+ * fixture file, so a missing script fails loudly instead of silently.
+ * Requests with "stream": true get the reply as server-sent events, a
+ * word per content_block_delta, like the real endpoint.
+ *
+ * In a test:
+ *   const server = await startMockLLMServer();
+ *   useMockLLMServer(server);          // every getLLMClient() call now hits it
+ *
+ * Scripts that talk to the real API by default (tests/integration/*,
+ * tests/unit/generator.test.js) call startMockLLMIfRequested(), which
+ * does both when run with --mock-llm or DAILY_VOICE_MOCK_LLM=1.
+ *
+ * Standalone, for trying the CLI offline:
+ *   node tests/support/mock-llm-server.js [port]
+ *   DAILY_VOICE_LLM_BASE_URL=http://127.0.0.1:<port> ANTHROPIC_API_KEY=mock npm run post
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import http from 'http';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_RESPONSES_PATH = path.join(__dirname, '../fixtures/llm/responses.json');
+
+/**
+ * Load scripted responses
+ * @param {string} file - JSON file (default: tests/fixtures/llm/responses.json)
+ * @returns {Promise<Array>} - [{ name, match, text } | { name, match, json }]
+ */
+export async function loadScriptedResponses(file = DEFAULT_RESPONSES_PATH) {
+  return JSON.parse(await fs.readFile(file, 'utf-8'));
+}
+
+/**
+ * Flatten a Messages request's system prompt and messages to one string
+ * @param {object} body - Request body
+ * @returns {string}
+ */
+function getPromptText(body) {
+  const toText = content => (typeof content === 'string'
+    ? content
+    : (content || []).map(block => block.text || '').join('\n'));
+
+  return [
+    body.system ? toText(body.system) : '',
+    ...(body.messages || []).map(message => toText(message.content))
+  ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Check a request the way the real endpoint would
+ * @param {object} body - Request body
+ * @returns {string|null} - Problem, null if the request is valid
+ */
+function validateRequest(body) {
+  if (typeof body.model !== 'string' || !body.model) return 'model: Field required';
+  if (!Number.isInteger(body.max_tokens) || body.max_tokens < 1) return 'max_tokens: Field required';
+  if (!Array.isArray(body.messages) || body.messages.length === 0) return 'messages: Field required';
+  if (body.messages[0].role !== 'user') return 'messages: first message must use the "user" role';
+  return null;
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {object} body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'request-id': `req_mock_${Date.now()}` });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Send an Anthropic-style error
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {string} type - e.g. 'invalid_request_error'
+ * @param {string} message
+ */
+function sendError(res, status, type, message) {
+  sendJson(res, status, { type: 'error', error: { type, message } });
+}
+
+/**
+ * Send a message as a Messages API event stream
+ * @param {http.ServerResponse} res
+ * @param {object} message - Complete message to stream
+ * @param {number} delayMs - Pause between text deltas
+ */
+async function sendStream(res, message, delayMs) {
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`);
+  const { content, stop_reason, stop_sequence, usage, ...rest } = message;
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'request-id': `req_mock_${Date.now()}` });
+  send('message_start', {
+    message: { ...rest, content: [], stop_reason: null, stop_sequence: null, usage: { ...usage, output_tokens: 1 } }
+  });
+  send('content_block_start', { index: 0, content_block: { type: 'text', text: '' } });
+  for (const text of content[0].text.match(/\s*\S+|\s+$/g) || []) {
+    if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+    if (res.destroyed) return; // Client hung up (aborted)
+    send('content_block_delta', { index: 0, delta: { type: 'text_delta', text } });
+  }
+  send('content_block_stop', { index: 0 });
+  send('message_delta', { delta: { stop_reason, stop_sequence }, usage: { output_tokens: usage.output_tokens } });
+  send('message_stop', {});
+  res.end();
+}
+
+/**
+ * Start the mock Messages server
+ * @param {object} options
+ * @param {Array} options.responses - Scripted responses (default: loaded from responsesPath)
+ * @param {string} options.responsesPath - Fixture file to load them from
+ * @param {number} options.port - Port (default: any free port)
+ * @param {number} options.streamDelayMs - Pause between streamed words (default: 0)
+ * @returns {Promise<object>} - { url, port, requests, close() }; requests holds every request body
+ */
+export async function startMockLLMServer(options = {}) {
+  const scripted = options.responses || await loadScriptedResponses(options.responsesPath);
+  const responses = scripted.map(response => ({ ...response, pattern: new RegExp(response.match, 'i') }));
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      if (req.method !== 'POST' || req.url.split('?')[0] !== '/v1/messages') {
+        sendError(res, 404, 'not_found_error', `Not found: ${req.method} ${req.url}`);
+        return;
+      }
+      if (!req.headers['x-api-key']) {
+        sendError(res, 401, 'authentication_error', 'x-api-key header is required');
+        return;
+      }
+
+      let body;
+      try {
+        body = JSON.parse(raw);
+      } catch (error) {
+        sendError(res, 400, 'invalid_request_error', 'Request body is not valid JSON');
+        return;
+      }
+
+      const problem = validateRequest(body);
+      if (problem) {
+        sendError(res, 400, 'invalid_request_error', problem);
+        return;
+      }
+
+      requests.push(body);
+      const prompt = getPromptText(body);
+      const response = responses.find(({ pattern }) => pattern.test(prompt));
+      if (!response) {
+        sendError(res, 400, 'invalid_request_error',
+          `No scripted response matches this prompt (add one to tests/fixtures/llm/responses.json): ${prompt.slice(0, 120)}`);
+        return;
+      }
+
+      const text = response.json !== undefined ? JSON.stringify(response.json, null, 2) : response.text;
+      const message = {
+        id: `msg_mock_${requests.length}`,
+        type: 'message',
+        role: 'assistant',
+        model: body.model,
+        content: [{ type: 'text', text }],
+        stop_reason: 'end_turn',
+        stop_sequence: null,
+        usage: {
+          input_tokens: Math.ceil(prompt.length / 4),
+          output_tokens: Math.ceil(text.length / 4)
+        }
+      };
+
+      if (body.stream) {
+        sendStream(res, message, options.streamDelayMs || 0);
+      } else {
+        sendJson(res, 200, message);
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port || 0, '127.0.0.1', resolve);
+  });
+
+  const { port } = server.address();
+  return {
+    url: `http://127.0.0.1:${port}`,
+    port,
+    requests,
+    server,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Point the app's LLM client at a running mock server
+ * @param {object} mock - From startMockLLMServer()
+ */
+export async function useMockLLMServer(mock) {
+  process.env.DAILY_VOICE_LLM_PROVIDER = 'anthropic';
+  process.env.DAILY_VOICE_LLM_BASE_URL = mock.url;
+  // Never send a real key anywhere the test didn't mean to
+  process.env.ANTHROPIC_API_KEY = 'sk-ant-mock';
+
+  const { setLLMClient } = await import('../../src/core/llm.js');
+  setLLMClient(null); // Rebuild the client from the new settings
+}
+
+/**
+ * Whether the script was asked to run against the mock server
+ * (--mock-llm or DAILY_VOICE_MOCK_LLM=1)
+ * @returns {boolean}
+ */
+export function isMockLLMRequested() {
+  return process.argv.includes('--mock-llm') ||
+    ['1', 'true'].includes((process.env.DAILY_VOICE_MOCK_LLM || '').toLowerCase());
+}
+
+/**
+ * Start the mock server and use it, if the script was asked to
+ * @returns {Promise<object|null>} - The running mock, or null for the real API
+ */
+export async function startMockLLMIfRequested() {
+  if (!isMockLLMRequested()) return null;
+
+  const mock = await startMockLLMServer();
+  mock.server.unref(); // Don't keep the script alive once its requests are done
+  await useMockLLMServer(mock);
+  console.log(`🧪 Using the mock LLM server at ${mock.url}\n`);
+  return mock;
+}
+
+// Standalone: node tests/support/mock-llm-server.js [port]
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  const port = Number(process.argv[2]) || 0;
+  const mock = await startMockLLMServer({ port });
+  console.log(`Mock LLM server listening on ${mock.url}`);
+  console.log(`Use it with: DAILY_VOICE_LLM_BASE_URL=${mock.url} ANTHROPIC_API_KEY=mock`);
+}
@@ -0,0 +1,85 @@
+import { normalizeAll, categorizeContent } from '../../src/discovery/normalizer.js';
+import { mergeConfig } from '../../src/core/config.js';
+import { DEFAULT_EDUCATIONAL_RULES, classifyItem } from '../../src/discovery/classifier.js';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function test() {
+  console.log('🧪 Testing Educational Classifier\n');
+
+  // Test 1: Evidence and confidence
+  console.log('Test 1: Classifying...');
+  const tutorial = classifyItem({ title: 'How to write a B-tree from scratch in Rust' });
+  assert(tutorial.isEducational && tutorial.confidence === 0.82, `how-to from scratch (got ${tutorial.confidence})`);
+  assert(tutorial.signals.join(' | ') === 'title: how to (+1.5) | title: from scratch (+1)', 'signals explain the score');
+  const launch = classifyItem({ title: 'Show HN: Tracewise, now available for Postgres' });
+  assert(!launch.isEducational && launch.confidence < 0.1, 'launches are trending');
+  const plain = classifyItem({ title: 'The performance cost of Rust async, measured' });
+  assert(!plain.isEducational && plain.confidence === 0.27 && plain.signals.length === 0, 'no evidence → trending');
+  assert(classifyItem({ title: 'Vite 7 is out' }).confidence < plain.confidence, 'releases lean trending');
+  console.log('✅', tutorial.confidence, 'vs', plain.confidence, 'vs', launch.confidence);
+
+  // Test 2: Tags, description and reading time
+  console.log('\nTest 2: Other signals...');
+  const tagged = classifyItem({ title: 'Closures' }, ['javascript', 'beginners']);
+  assert(tagged.isEducational && tagged.signals[0] === 'tag: beginners (+1)', 'tags');
+  const described = classifyItem({ title: 'Idempotent APIs', description: 'In this guide we go step by step through retries.' });
+  assert(described.isEducational && described.signals.length === 2, 'description');
+  const longRead = classifyItem({ title: 'On caching', readingTime: 12 });
+  assert(longRead.signals[0] === 'read: 12 min (+0.5)' && !longRead.isEducational, 'reading time alone is not enough');
+  console.log('✅ Tags, descriptions and reading time weigh in');
+
+  // Test 3: The fetcher's flag is strong evidence, not the last word
+  console.log('\nTest 3: Fetcher flag...');
+  assert(classifyItem({ title: 'Designing idempotent APIs', isEducational: true }).confidence === 0.82, 'flag alone → educational');
+  assert(!classifyItem({ title: 'Acme raises $40M, launches v2.0', isEducational: true }).isEducational, 'overruled by strong evidence');
+  console.log('✅ Flag weighed with the rest');
+
+  // Test 4: Rules from config
+  console.log('\nTest 4: Overrides...');
+  const rules = mergeConfig(DEFAULT_EDUCATIONAL_RULES, {
+    threshold: 0.3,
+    titlePatterns: { '\\b(from scratch|step[- ]by[- ]step|build (a|your own))\\b': 0, '\\bpostmortem\\b': 1.5 }
+  });
+  assert(classifyItem({ title: 'Building Redis from scratch' }, [], rules).signals.length === 0, 'weight 0 disables a default');
+  assert(classifyItem({ title: 'Postmortem: the DNS outage' }, [], rules).isEducational, 'custom pattern');
+  assert(classifyItem({ title: 'The performance cost of Rust async' }, [], { ...rules, threshold: 0.25 }).isEducational, 'threshold');
+  let invalid = '';
+  try {
+    classifyItem({ title: 'Anything' }, [], { ...rules, titlePatterns: { '(unclosed': 1 } });
+  } catch (error) {
+    invalid = error.message;
+  }
+  assert(invalid === 'Invalid title pattern in config/educational.json: (unclosed', 'bad regex named');
+  console.log('✅ Rules overridable');
+
+  // Test 5: Normalizer stage
+  console.log('\nTest 5: Categorizing...');
+  const items = normalizeAll({
+    hackernews: [
+      { title: 'A visual guide to SSH tunnels', url: 'https://ssh.example/tunnels', score: 400 },
+      { title: 'Acme acquires Widgets Inc', url: 'https://news.example/acme', score: 300 }
+    ],
+    devto: [{ title: 'My first week with Svelte', url: 'https://dev.to/a/svelte', reactions: 50, tags: ['svelte', 'beginners'], isEducational: true }]
+  });
+  const { educational, trending } = categorizeContent(items);
+  assert(educational.map(item => item.source).sort().join(',') === 'devto,hackernews', 'HN guide moved to educational');
+  assert(trending.length === 1 && trending[0].educational.confidence < 0.1, 'news stays trending');
+  assert(educational.every(item => item.educational.signals.length > 0), 'normalized items carry the evidence');
+  const raw = normalizeAll({ hackernews: [{ title: 'A visual guide to SSH tunnels', url: 'https://ssh.example/tunnels', score: 400 }] }, { classifier: false });
+  assert(!raw[0].isEducational && !raw[0].educational, 'classifier: false trusts the fetcher');
+  console.log('✅', educational.length, 'educational |', trending.length, 'trending');
+
+  console.log('\n✅ All tests passed! Educational classifier is working.\n');
+}
+
+try {
+  test();
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,82 @@
+import { canonicalizeUrl, titleSimilarity, dedupeItems } from '../../src/discovery/dedupe.js';
+import { normalizeAll } from '../../src/discovery/normalizer.js';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function test() {
+  console.log('🧪 Testing Cross-Source Deduplication\n');
+
+  // Test 1: URL canonicalization
+  console.log('Test 1: Canonical URLs...');
+  const canonical = 'https://example.com/blog/post';
+  [
+    'https://example.com/blog/post',
+    'http://example.com/blog/post/',
+    'https://www.Example.com/blog/post?utm_source=hn&utm_medium=social',
+    'https://example.com/blog/post?ref=lobsters#comments',
+    'https://example.com/blog/post/?fbclid=abc123'
+  ].forEach(url => {
+    assert(canonicalizeUrl(url) === canonical, `${url} → ${canonicalizeUrl(url)}`);
+  });
+  assert(
+    canonicalizeUrl('https://example.com/search?q=rust&page=2') ===
+    canonicalizeUrl('https://example.com/search?page=2&q=rust'),
+    'query params sorted'
+  );
+  assert(canonicalizeUrl('not a url') === '', 'invalid URL returns empty string');
+  console.log('✅ All variants canonicalize to', canonical);
+
+  // Test 2: Fuzzy title similarity
+  console.log('\nTest 2: Title similarity...');
+  const similar = titleSimilarity(
+    'Show HN: Ghostty is now a non-profit',
+    'Ghostty is now a non-profit!'
+  );
+  const different = titleSimilarity(
+    'Ghostty is now a non-profit',
+    'Rust 2.0 is not happening'
+  );
+  assert(similar === 1, `HN prefix and punctuation ignored (got ${similar})`);
+  assert(different < 0.5, `different titles score low (got ${different})`);
+  console.log(`✅ Similar: ${similar.toFixed(2)} | Different: ${different.toFixed(2)}`);
+
+  // Test 3: Merging duplicates
+  console.log('\nTest 3: Merging duplicates...');
+  const merged = dedupeItems([
+    { title: 'Ghostty is now non-profit', url: 'https://mitchellh.com/writing/ghostty-non-profit', source: 'hackernews', score: 90, tags: ['tech'], engagement: { comments: 200 } },
+    { title: 'Ghostty is now non-profit', url: 'http://www.mitchellh.com/writing/ghostty-non-profit/?utm_source=lobsters', source: 'lobsters', score: 60, tags: ['release'], engagement: { comments: 30 } },
+    { title: 'Something else entirely', url: 'https://example.com/other', source: 'devto', score: 50, tags: [] }
+  ]);
+  assert(merged.length === 2, 'two unique stories');
+  const ghostty = merged.find(item => item.title.startsWith('Ghostty'));
+  assert(ghostty.source === 'hackernews', 'highest score wins');
+  assert(ghostty.sources.join(',') === 'hackernews,lobsters', 'records every source');
+  assert(ghostty.engagement.comments === 230, 'engagement summed');
+  assert(ghostty.score === 100, 'multi-source boost applied (capped at 100)');
+  assert(ghostty.tags.includes('release'), 'tags unioned');
+  console.log('✅ Merged into one item from', ghostty.sources.join(' + '));
+
+  // Test 4: normalizeAll dedupes across sources
+  console.log('\nTest 4: normalizeAll...');
+  const normalized = normalizeAll({
+    hackernews: [{ title: 'Understanding Rust lifetimes in practice', url: 'https://blog.example.com/rust-lifetimes', score: 250, comments: 40 }],
+    devto: [{ title: 'Understanding Rust Lifetimes in Practice', url: 'https://dev.to/someone/rust-lifetimes-1abc', reactions: 300, comments: 12, tags: ['rust'] }]
+  });
+  assert(normalized.length === 1, 'fuzzy title match merged the items');
+  assert(normalized[0].sources.length === 2, 'both sources recorded');
+  assert(normalizeAll({ hackernews: [{ title: 'A', url: 'https://a.com', score: 5 }] }, { dedupe: false })[0].sources === undefined, 'dedupe can be disabled');
+  console.log('✅ Normalized to', normalized.length, 'item from', normalized[0].sources.join(' + '));
+
+  console.log('\n✅ All tests passed! Deduplication is working.\n');
+}
+
+try {
+  test();
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,159 @@
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(__dirname, '../fixtures/feeds');
+
+// Local server serving the feed fixtures
+const server = http.createServer(async (req, res) => {
+  try {
+    const body = await fs.readFile(path.join(fixturesDir, path.basename(req.url)));
+    res.writeHead(200, { 'Content-Type': req.url.endsWith('.json') ? 'application/feed+json' : 'application/xml' });
+    res.end(body);
+  } catch (error) {
+    res.writeHead(404);
+    res.end();
+  }
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+// Scratch config dir with two user-defined feeds
+const configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'daily-voice-feeds-'));
+process.env.DAILY_VOICE_CONFIG_DIR = configDir;
+await fs.writeFile(path.join(configDir, 'sources.json'), JSON.stringify({
+  sources: {
+    acme: { type: 'feed', name: 'Acme Engineering', url: `${baseUrl}/rss.xml`, category: 'educational', tags: ['engineering'] },
+    widgets: { type: 'feed', name: 'Widget Weekly', url: `${baseUrl}/atom.xml`, emoji: '🧩', limit: 1 }
+  }
+}));
+
+await import('../../src/discovery/sources/index.js');
+const { parseFeed, parseFeedDate, fetchFeed, toWebUrl } = await import('../../src/discovery/sources/feed.js');
+const { loadSourceConfig, getSource, getEnabledSources, getFetchOptions } = await import('../../src/discovery/registry.js');
+const { normalizeAll } = await import('../../src/discovery/normalizer.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function readFixture(name) {
+  return fs.readFile(path.join(fixturesDir, name), 'utf-8');
+}
+
+async function test() {
+  console.log('🧪 Testing RSS/Atom/JSON Feed Source\n');
+
+  // Test 1: RSS 2.0
+  console.log('Test 1: RSS...');
+  const rss = parseFeed(await readFixture('rss.xml'));
+  const [latency, partitioning, podcast] = rss.items;
+  assert(rss.format === 'rss' && rss.title === 'Acme Engineering & Design', 'feed title entities decoded');
+  assert(latency.title === 'How we cut p99 latency by 40% with Vec<T> pooling', 'CDATA title kept verbatim');
+  assert(latency.author === 'Jane Doe', 'dc:creator');
+  assert(latency.description === 'Our checkout service spent most of its time allocating.', 'HTML stripped from description');
+  assert(latency.tags.join(',') === 'Performance,Rust', 'categories');
+  assert(latency.publishedAt === '2026-01-09T14:30:00.000Z', 'RFC 822 date');
+  assert(partitioning.url === 'https://engineering.acme.dev/posts/pg-partitioning', 'permalink guid used as link');
+  assert(partitioning.title.includes('partitioning – a practical'), 'numeric entity decoded');
+  assert(partitioning.description === 'Range vs. list partitioning & when to use which.', 'escaped HTML decoded');
+  assert(podcast.publishedAt === null, 'bad date → null');
+  assert(podcast.enclosures[0].type === 'audio/mpeg' && podcast.enclosures[0].length === 48213000, 'enclosure');
+  const selfLinked = parseFeed(`<rss xmlns:atom="http://www.w3.org/2005/Atom"><channel><title>B</title>
+    <item><title>Post</title><atom:link href="https://b.example/feed.xml" rel="self"/><link>https://b.example/post</link><guid>g1</guid></item>
+  </channel></rss>`, 'https://b.example/feed.xml');
+  assert(selfLinked.items[0].url === 'https://b.example/post', '<atom:link> before <link> ignored');
+  console.log('✅ Parsed', rss.items.length, 'RSS items');
+
+  // Test 2: Atom
+  console.log('\nTest 2: Atom...');
+  const atom = parseFeed(await readFixture('atom.xml'));
+  const [flags, sqlite] = atom.items;
+  assert(atom.format === 'atom' && atom.title === 'Widget Weekly', 'atom feed');
+  assert(flags.title === 'Shipping faster with feature flags', 'type="html" title');
+  assert(flags.url === 'https://widgets.example.com/2026/01/feature-flags', 'alternate link');
+  assert(flags.enclosures[0].url.endsWith('.pdf'), 'enclosure link');
+  assert(flags.tags.join(',') === 'DevOps,release-engineering', 'category label/term');
+  assert(flags.publishedAt === '2026-01-09T06:45:00.000Z', 'published with offset');
+  assert(sqlite.description === 'Write-ahead logging, explained.' && sqlite.title === 'Notes on SQLite & WAL mode', 'xhtml content');
+  console.log('✅ Parsed', atom.items.length, 'Atom entries');
+
+  // Test 3: JSON Feed
+  console.log('\nTest 3: JSON Feed...');
+  const json = parseFeed(await readFixture('feed.json'));
+  assert(json.format === 'json' && json.items.length === 2, 'json feed');
+  assert(json.items[0].url === 'https://infra-letter.example.com/issues/42', 'URL id used as link');
+  assert(json.items[0].description === 'Sidecars are finally stable.', 'content_html stripped');
+  assert(json.items[1].author === 'Guest Writer' && json.items[1].publishedAt === '2026-01-01T06:00:00.000Z', 'v1 author and date_modified');
+  let rejected = false;
+  try {
+    parseFeed('<html><body>Not a feed</body></html>');
+  } catch (error) {
+    rejected = error.message.includes('Unrecognized feed format');
+  }
+  assert(rejected, 'HTML page rejected');
+  assert(parseFeedDate('2026-01-08') === '2026-01-08T00:00:00.000Z', 'date-only ISO');
+  const hostile = parseFeed(`<rss><channel><title>Evil</title>
+    <item><title>Script</title><link>javascript:alert(1)</link><enclosure url="data:audio/mpeg;base64,AAAA" type="audio/mpeg"/></item>
+    <item><title>Relative</title><link>/posts/relative</link><enclosure url="JAVASCRIPT:alert(2)"/><enclosure url="/files/talk.mp3"/></item>
+  </channel></rss>`, 'https://evil.example.com/feed.xml');
+  assert(hostile.items[0].url === '' && hostile.items[0].enclosures.length === 0, 'javascript:/data: URLs dropped');
+  assert(hostile.items[1].url === 'https://evil.example.com/posts/relative', 'relative link resolved against the feed');
+  assert(hostile.items[1].enclosures.map(enclosure => enclosure.url).join() === 'https://evil.example.com/files/talk.mp3', 'only http(s) enclosures kept');
+  assert(toWebUrl('/x') === '' && toWebUrl('ftp://example.com/x') === '' && toWebUrl(' https://example.com/a b ') === 'https://example.com/a%20b', 'URL checks');
+  console.log('✅ Parsed', json.items.length, 'JSON Feed items');
+
+  // Test 4: Feeds defined in config/sources.json
+  console.log('\nTest 4: Feeds from config...');
+  await loadSourceConfig();
+  const acme = getSource('acme');
+  assert(acme && acme.type === 'feed' && acme.emoji === '📰', 'feed source registered with default emoji');
+  assert(getSource('Widget Weekly').emoji === '🧩', 'custom emoji');
+  assert(getEnabledSources('educational').includes(acme), 'category from config');
+  const items = await acme.fetch(getFetchOptions(acme));
+  assert(items.length === 3, 'untitled item skipped');
+  assert(items[0].source === 'acme' && items[0].tags.includes('engineering'), 'configured tags added');
+  assert(items[1].isEducational && !items[0].isEducational, 'tutorial-tagged entries are educational');
+  const widgets = getSource('widgets');
+  assert((await widgets.fetch(getFetchOptions(widgets))).length === 1, 'limit respected');
+  console.log('✅ acme:', items.length, 'items | widgets: 1 item');
+
+  // Test 5: Normalization
+  console.log('\nTest 5: Normalization...');
+  const normalized = normalizeAll({ acme: items });
+  const tutorial = normalized.find(item => item.title.startsWith('Tutorial'));
+  assert(tutorial.score === 70 && tutorial.tags.includes('tutorial'), 'educational feed score and tags');
+  assert(normalized.find(item => item.title.startsWith('How we cut')).author === 'Jane Doe', 'author kept');
+  console.log('✅ Scores:', normalized.map(item => item.score).join(', '));
+
+  // Test 6: Feeds removed from config disappear
+  console.log('\nTest 6: Reloading config...');
+  await fs.writeFile(path.join(configDir, 'sources.json'), JSON.stringify({ sources: {} }));
+  await loadSourceConfig();
+  assert(getSource('acme') === null && getSource('devto') !== null, 'config feeds replaced, built-ins kept');
+  let failed = null;
+  try {
+    await fetchFeed({ url: `${baseUrl}/missing.xml`, source: 'missing' });
+  } catch (error) {
+    failed = error;
+  }
+  assert(failed && failed.message.includes('Error fetching feed missing: HTTP 404'), 'HTTP errors surface');
+  console.log('✅ Config reload and errors work');
+
+  console.log('\n✅ All tests passed! Feed source is working.\n');
+}
+
+test()
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    server.close();
+    await fs.rm(configDir, { recursive: true, force: true });
+  });
@@ -8,9 +8,23 @@
  */
 
 import 'dotenv/config';
-import { generatePost, refinePost, quickRefine } from './generator.js';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { isMockLLMRequested, startMockLLMIfRequested } from '../support/mock-llm-server.js';
 import chalk from 'chalk';
 
+// Mock runs build their voice profile in a scratch data directory,
+// so data/voice-profile.json is never written from canned replies
+const dataDir = isMockLLMRequested()
+  ? await fs.mkdtemp(path.join(os.tmpdir(), 'daily-voice-generator-'))
+  : null;
+if (dataDir) process.env.DAILY_VOICE_DATA_DIR = dataDir;
+
+// --mock-llm (or DAILY_VOICE_MOCK_LLM=1) runs against tests/support/mock-llm-server.js
+await startMockLLMIfRequested();
+const { generatePost, refinePost, quickRefine } = await import('../../src/core/generator.js');
+
 console.log(chalk.bold.blue('\n🧪 Testing AI Post Generator\n'));
 
 // Test thought
@@ -87,5 +101,7 @@ try {
     console.log(chalk.yellow('   Get it from: https://console.anthropic.com/\n'));
   }
 
-  process.exit(1);
+  process.exitCode = 1;
+} finally {
+  if (dataDir) await fs.rm(dataDir, { recursive: true, force: true });
 }
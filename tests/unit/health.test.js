@@ -0,0 +1,135 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+// Point the health log at a scratch data directory
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'daily-voice-health-'));
+process.env.DAILY_VOICE_DATA_DIR = dataDir;
+
+const {
+  DEFAULT_HEALTH_OPTIONS,
+  measureCompleteness,
+  readHealthLog,
+  getSourceBaseline,
+  detectDrift,
+  recordSourceHealth
+} = await import('../../src/discovery/health.js');
+const { renderMarkdown, renderJSON } = await import('../../src/discovery/render.js');
+const { formatNotification } = await import('../../src/schedule.js');
+const { fetchSourceWithPolicy, DEFAULT_POLICY } = await import('../../src/discovery/runner.js');
+const { getSource } = await import('../../src/discovery/registry.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+const options = { ...DEFAULT_HEALTH_OPTIONS, minRuns: 3 };
+
+// Runner outcomes the way fetchSourceWithPolicy() returns them
+function repos(count, overrides = {}) {
+  return Array.from({ length: count }, (_, i) => ({
+    name: `owner / repo-${i}`,
+    url: `https://github.com/owner/repo-${i}`,
+    description: 'A fast thing',
+    author: 'owner',
+    ...overrides
+  }));
+}
+
+function outcome(id, items, status = 'success', duration = 800) {
+  return { source: { id, name: id === 'github' ? 'GitHub' : 'FreeCodeCamp' }, status, items, duration };
+}
+
+async function test() {
+  console.log('🧪 Testing Source Health\n');
+
+  // Test 1: Field completeness
+  console.log('Test 1: Completeness...');
+  const completeness = measureCompleteness([
+    { url: 'https://a.example', description: 'Real text', author: 'ana' },
+    { url: 'https://b.example', description: 'No description available', author: 'Unknown' },
+    { hnUrl: 'https://news.ycombinator.com/item?id=1', brief: 'Hashnode-style brief', submitter_user: 'bob' },
+    { url: '', description: '   ', author: 'FreeCodeCamp' }
+  ]);
+  assert(completeness.url === 0.75, 'url (hnUrl counts)');
+  assert(completeness.description === 0.5, 'placeholder and blank descriptions are missing');
+  assert(completeness.author === 0.5, 'fallback authors are missing');
+  assert(measureCompleteness([]) === null, 'no items → null');
+  console.log('✅', JSON.stringify(completeness));
+
+  // Test 2: Healthy runs build a baseline without alerts
+  console.log('\nTest 2: Baseline...');
+  assert((await readHealthLog()).length === 0, 'empty log');
+  for (const count of [15, 14, 15]) {
+    const { alerts } = await recordSourceHealth([
+      outcome('github', repos(count)),
+      outcome('freecodecamp', repos(12, { author: 'Jane Doe' }))
+    ], options);
+    assert(alerts.length === 0, 'no alerts while history is short or healthy');
+  }
+  const history = await readHealthLog();
+  const baseline = getSourceBaseline('github', history);
+  assert(history.length === 3 && history[0].sources[0].latency === 800, 'runs logged with latency');
+  assert(baseline.runs === 3 && baseline.items === 15 && baseline.completeness.description === 1, 'median baseline');
+  console.log('✅ GitHub usually returns', baseline.items, 'items');
+
+  // Test 3: Selector drift gets flagged
+  console.log('\nTest 3: Drift...');
+  await fs.appendFile(path.join(dataDir, 'health', 'sources.jsonl'), '{"recordedAt": "2026-01-1\n');
+  const { alerts } = await recordSourceHealth([
+    outcome('github', []),
+    outcome('freecodecamp', repos(12, { description: '', author: 'FreeCodeCamp' }))
+  ], options);
+  assert((await readHealthLog(10)).length === 4, 'half-written line skipped');
+  const [count, description, author] = alerts;
+  assert(alerts.length === 3, 'three alerts');
+  assert(count.id === 'github' && count.kind === 'count' && count.message === 'GitHub: 0 items (usually 15)', 'zero items flagged');
+  assert(description.field === 'description' && description.message === 'FreeCodeCamp: description on 0% of items (usually 100%)', 'missing descriptions flagged');
+  assert(author.field === 'author' && author.baseline === 1, 'fallback authors flagged');
+  console.log('✅', alerts.map(alert => alert.message).join(' | '));
+
+  // Test 4: What isn't drift
+  console.log('\nTest 4: No false alarms...');
+  const previous = await readHealthLog();
+  assert(detectDrift([{ id: 'github', name: 'GitHub', status: 'timeout', items: 0, completeness: null }], previous, options).length === 0, 'timeouts are reported elsewhere');
+  assert(detectDrift([{ id: 'github', name: 'GitHub', status: 'success', items: 9, completeness: { url: 1, description: 0.8, author: 1 } }], previous, options).length === 0, 'small dips tolerated');
+  assert(detectDrift([{ id: 'lobsters', name: 'Lobsters', status: 'success', items: 0, completeness: null }], previous, options).length === 0, 'new sources need history first');
+  console.log('✅ Timeouts, small dips and new sources not flagged');
+
+  // Test 5: Alerts reach the rendered digest and the notification
+  console.log('\nTest 5: Surfacing alerts...');
+  const markdown = renderMarkdown({ date: '2026-01-10', educational: [], trending: [], alerts });
+  assert(markdown.includes('> - GitHub: 0 items (usually 15)'), 'markdown warning');
+  assert(JSON.parse(renderJSON({ date: '2026-01-10', alerts })).alerts[0].kind === 'count', 'json alerts');
+  assert(!('alerts' in JSON.parse(renderJSON({ date: '2026-01-10', alerts: [] }))), 'no alerts key when healthy');
+  const notification = formatNotification({
+    date: '2026-01-10', status: 'success', educational: 20, trending: 10, outFile: '/tmp/digest.html',
+    sources: [{ id: 'github', status: 'success' }], alerts
+  }, { educational: [], trending: [] });
+  assert(notification.includes('Warning: FreeCodeCamp: description on 0% of items (usually 100%)'), 'notification warning');
+  console.log('✅ Alerts rendered');
+
+  // Test 6: A source outage is logged as a failure, not a normal run
+  console.log('\nTest 6: Outages...');
+  process.env.DAILY_VOICE_FIXTURES = 'replay';
+  process.env.DAILY_VOICE_FIXTURES_DIR = path.join(dataDir, 'no-recordings');
+  const outage = await fetchSourceWithPolicy(getSource('dailydev'), { ...DEFAULT_POLICY, retries: 0, cache: false });
+  delete process.env.DAILY_VOICE_FIXTURES;
+  delete process.env.DAILY_VOICE_FIXTURES_DIR;
+  assert(outage.status === 'failed' && outage.items.length === 0, 'daily.dev error reaches the runner');
+  await recordSourceHealth([outage], options);
+  const [logged] = (await readHealthLog(1))[0].sources;
+  assert(logged.id === 'dailydev' && logged.status === 'failed' && logged.completeness === null, 'outage logged as failed');
+  console.log('✅', outage.error.message);
+
+  console.log('\n✅ All tests passed! Source health tracking works.\n');
+}
+
+test()
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => fs.rm(dataDir, { recursive: true, force: true }));
@@ -0,0 +1,87 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+// Point history at a scratch data directory
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'daily-voice-history-'));
+process.env.DAILY_VOICE_DATA_DIR = dataDir;
+
+const { loadDigestHistory, applyDigestHistory, loadSelectedItems } = await import('../../src/discovery/history.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function writeJSON(file, data) {
+  await fs.writeFile(path.join(dataDir, file), JSON.stringify(data));
+}
+
+const repo = { id: 'item_repo', title: 'Trending repo', score: 90 };
+const picked = { id: 'item_picked', title: 'Picked yesterday', score: 80 };
+const seenOnce = { id: 'item_once', aliases: ['item_once_alias'], title: 'Seen once', score: 70 };
+const fresh = { id: 'item_fresh', title: 'Brand new', score: 40 };
+
+async function test() {
+  console.log('🧪 Testing Digest History\n');
+
+  // Three earlier digests: the repo was shown every day
+  await writeJSON('digest-2026-01-07.json', { date: '2026-01-07', shownIds: ['item_repo'], items: [repo] });
+  await writeJSON('digest-2026-01-08.json', { date: '2026-01-08', shownIds: ['item_repo', 'item_once_alias'], items: [repo, { id: 'item_once_alias', title: 'Seen once' }, { id: 'item_offscreen', title: 'Never on screen' }] });
+  await writeJSON('digest-2026-01-09.json', { date: '2026-01-09', shownIds: ['item_repo', 'item_picked'], items: [repo, picked] });
+  await writeJSON('selections-2026-01-09.json', { date: '2026-01-09', itemIds: ['item_picked'], items: [picked] });
+  // Today's digest must not count as history
+  await writeJSON('digest-2026-01-10.json', { date: '2026-01-10', shownIds: ['item_fresh'], items: [fresh] });
+  // An old digest outside the window
+  await writeJSON('digest-2025-11-01.json', { date: '2025-11-01', shownIds: ['item_fresh'], items: [fresh] });
+
+  // Test 1: Loading history
+  console.log('Test 1: Loading history...');
+  const history = await loadDigestHistory({ days: 14 }, new Date(2026, 0, 10));
+  assert(history.digestCount === 3, `three digests in window (got ${history.digestCount})`);
+  assert(history.shownCounts.get('item_repo') === 3, 'repo shown three times');
+  assert(!history.shownCounts.has('item_offscreen'), 'only on-screen items count');
+  assert(!history.shownCounts.has('item_fresh'), "today's and old digests ignored");
+  assert(history.selectedIds.has('item_picked'), 'selection recorded');
+  console.log('✅ Repo shown', history.shownCounts.get('item_repo'), 'times');
+
+  // Test 2: Hiding, demoting and flagging
+  console.log('\nTest 2: Applying history...');
+  const { visible, hidden } = applyDigestHistory([repo, picked, seenOnce, fresh], history, {
+    hideAfterShown: 3,
+    demotePerShow: 10,
+    hideSelected: true
+  });
+  assert(hidden.map(i => i.id).sort().join(',') === 'item_picked,item_repo', 'repo and picked item hidden');
+  const once = visible.find(i => i.id === 'item_once');
+  assert(once.history.timesShown === 1 && once.score === 60, 'seen-once item demoted via alias');
+  const brandNew = visible.find(i => i.id === 'item_fresh');
+  assert(brandNew.history.isNew && brandNew.score === 40, 'new item flagged, score untouched');
+  console.log('✅ Hidden:', hidden.length, '| Visible:', visible.map(i => `${i.title} (${i.score})`).join(', '));
+
+  // Test 3: Demote-only configuration
+  console.log('\nTest 3: Demote only...');
+  const demoteOnly = applyDigestHistory([repo, picked], history, { hideAfterShown: 0, hideSelected: false });
+  assert(demoteOnly.hidden.length === 0, 'nothing hidden');
+  assert(demoteOnly.visible.find(i => i.id === 'item_repo').score === 60, 'repo demoted by 3 showings');
+  console.log('✅ Everything visible, repo demoted to 60');
+
+  // Test 4: Picks available for posts
+  console.log('\nTest 4: Selected items...');
+  await writeJSON('selections-2026-01-10.json', { date: '2026-01-10', itemIds: ['item_fresh', 'item_picked'], items: [fresh, { ...picked, score: 85 }] });
+  await writeJSON('selections-2025-11-01.json', { date: '2025-11-01', itemIds: ['item_old'], items: [{ id: 'item_old', title: 'Too old' }] });
+  const selected = await loadSelectedItems({ days: 30 }, new Date(2026, 0, 10));
+  assert(selected.map(i => i.id).join(',') === 'item_fresh,item_picked', "today's picks first, old ones dropped");
+  assert(selected[1].selectedOn === '2026-01-10' && selected[1].score === 85, 'picked twice → latest selection');
+  console.log('✅', selected.map(i => `${i.title} (${i.selectedOn})`).join(', '));
+
+  console.log('\n✅ All tests passed! Digest history is working.\n');
+}
+
+test()
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => fs.rm(dataDir, { recursive: true, force: true }));
@@ -0,0 +1,95 @@
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+// Keep test entries out of data/cache
+const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'daily-voice-cache-'));
+process.env.DAILY_VOICE_CACHE_DIR = cacheDir;
+
+const { fetchJSON, request, isCacheHit } = await import('../../src/discovery/http.js');
+const { clearHttpCache } = await import('../../src/discovery/cache.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+// Local server that counts requests and supports ETag revalidation
+let hits = 0;
+let conditionalHits = 0;
+const server = http.createServer((req, res) => {
+  hits++;
+
+  if (req.headers['if-none-match'] === '"v1"') {
+    conditionalHits++;
+    res.writeHead(304);
+    res.end();
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/json', 'ETag': '"v1"' });
+  res.end(JSON.stringify([{ title: 'Cached story' }]));
+});
+
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const url = `http://127.0.0.1:${server.address().port}/stories.json`;
+
+async function test() {
+  console.log('🧪 Testing HTTP Cache\n');
+
+  // Test 1: First request goes to the network and is stored
+  console.log('Test 1: Cache miss...');
+  const first = await fetchJSON(url, { cache: { ttlMinutes: 60 } });
+  assert(first[0].title === 'Cached story', 'body parsed');
+  assert(hits === 1, 'one network request');
+  console.log('✅ Fetched from network');
+
+  // Test 2: Fresh entry is served from disk
+  console.log('\nTest 2: Fresh cache hit...');
+  const response = await request(url, { cache: { ttlMinutes: 60 } });
+  assert(isCacheHit(response), 'served from cache');
+  assert((await response.json())[0].title === 'Cached story', 'cached body intact');
+  assert(hits === 1, 'no extra network request');
+  console.log('✅ Served from disk');
+
+  // Test 3: Stale entry is revalidated with If-None-Match
+  console.log('\nTest 3: Revalidation...');
+  const revalidated = await fetchJSON(url, { cache: { ttlMinutes: 0 } });
+  assert(conditionalHits === 1, 'sent a conditional request');
+  assert(revalidated[0].title === 'Cached story', '304 reuses cached body');
+  console.log('✅ 304 Not Modified reused the cached body');
+
+  // Test 4: No cache option bypasses the cache
+  console.log('\nTest 4: Bypass...');
+  await fetchJSON(url);
+  assert(hits === 3 && conditionalHits === 1, 'plain request without validators');
+  console.log('✅ Uncached request went to the network');
+
+  // Test 5: Clearing the cache
+  console.log('\nTest 5: Clear cache...');
+  const removed = await clearHttpCache();
+  assert(removed === 1, 'one entry removed');
+  console.log('✅ Removed', removed, 'entry');
+
+  // Test 6: An unwritable cache doesn't fail the request
+  console.log('\nTest 6: Unwritable cache...');
+  await fs.rm(cacheDir, { recursive: true, force: true });
+  await fs.writeFile(cacheDir, 'not a directory');
+  const uncached = await fetchJSON(url, { cache: { ttlMinutes: 60 } });
+  assert(uncached[0].title === 'Cached story' && hits === 4, 'response returned although it could not be stored');
+  console.log('✅ Served uncached');
+
+  console.log('\n✅ All tests passed! HTTP cache is working.\n');
+}
+
+test()
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    server.close();
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
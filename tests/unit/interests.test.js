@@ -0,0 +1,103 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+// Point preferences at a scratch data directory
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'daily-voice-interests-'));
+process.env.DAILY_VOICE_DATA_DIR = dataDir;
+
+const {
+  createModel,
+  loadModel,
+  saveModel,
+  recordDigest,
+  scoreAffinity,
+  selectWithInterests,
+  getTopInterests
+} = await import('../../src/discovery/interests.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function makeItem(id, tags, score, source = 'devto') {
+  return { id, title: `Item ${id}`, tags, score, source, sources: [source], author: 'Unknown' };
+}
+
+async function test() {
+  console.log('🧪 Testing Adaptive Interest Model\n');
+
+  // A week of digests: always picks system design, always skips crypto
+  const digest = [
+    makeItem('sd', ['systemdesign', 'architecture'], 50),
+    makeItem('crypto', ['blockchain', 'crypto'], 90),
+    makeItem('js', ['javascript'], 60),
+    makeItem('rust', ['rust'], 55, 'hackernews')
+  ];
+
+  // Test 1: Learning per-tag weights
+  console.log('Test 1: Learning from picks and skips...');
+  const model = createModel();
+  for (let day = 0; day < 5; day++) {
+    recordDigest(model, digest, [digest[0]]);
+  }
+  assert(model.digests === 5, 'five digests recorded');
+  assert(model.features['tag:systemdesign'].weight > 0, 'picked tag weighted up');
+  assert(model.features['tag:crypto'].weight < 0, 'skipped tag weighted down');
+  assert(!model.features['author:unknown'], 'unknown authors ignored');
+  const { likes, dislikes } = getTopInterests(model);
+  assert(likes[0][0] === 'tag:architecture' || likes[0][0] === 'tag:systemdesign', 'top like is system design');
+  assert(dislikes.some(([feature]) => feature === 'tag:blockchain'), 'blockchain disliked');
+  console.log('✅ Likes:', likes.map(([f, w]) => `${f} (${w})`).join(', '));
+  console.log('   Dislikes:', dislikes.map(([f, w]) => `${f} (${w})`).join(', '));
+
+  // Test 2: Affinity of unseen items
+  console.log('\nTest 2: Affinity...');
+  const newSd = makeItem('sd2', ['systemdesign'], 40);
+  const newCrypto = makeItem('crypto2', ['crypto'], 40);
+  const unknown = makeItem('go', ['go'], 40, 'lobsters');
+  assert(scoreAffinity(newSd, model) > scoreAffinity(newCrypto, model), 'system design beats crypto');
+  assert(scoreAffinity(unknown, model) === 0, 'nothing known → neutral');
+  console.log('✅ systemdesign:', scoreAffinity(newSd, model).toFixed(2), '| crypto:', scoreAffinity(newCrypto, model).toFixed(2));
+
+  // Test 3: Explore/exploit split
+  console.log('\nTest 3: 70/30 split...');
+  const candidates = [
+    ...Array.from({ length: 10 }, (_, i) => makeItem(`sd-${i}`, ['systemdesign'], 40 + i)),
+    ...Array.from({ length: 10 }, (_, i) => makeItem(`crypto-${i}`, ['crypto'], 60 + i))
+  ];
+  const picked = selectWithInterests(candidates, 10, model, { exploit: 0.7 });
+  const sweet = picked.filter(item => item.interest.slot === 'sweet');
+  const wildcards = picked.filter(item => item.interest.slot === 'wildcard');
+  assert(picked.length === 10, 'fills every slot');
+  assert(sweet.length === 7 && wildcards.length === 3, `7 sweet spots + 3 wildcards (got ${sweet.length}+${wildcards.length})`);
+  assert(sweet.every(item => item.tags.includes('systemdesign')), 'sweet spots follow interests');
+  assert(wildcards.every(item => item.tags.includes('crypto')), 'wildcards come from outside them');
+  console.log('✅ Sweet:', sweet.length, '| Wildcards:', wildcards.map(item => item.id).join(', '));
+
+  // Test 4: Cold start keeps popularity order
+  console.log('\nTest 4: Cold start...');
+  const cold = selectWithInterests(candidates, 5, createModel());
+  assert(cold.every(item => item.interest.slot === 'cold'), 'nothing personalized yet');
+  assert(cold[0].id === 'crypto-9', 'plain popularity order');
+  console.log('✅ Untrained model shows the most popular items');
+
+  // Test 5: Persisting the model
+  console.log('\nTest 5: Save and load...');
+  assert((await loadModel()).digests === 0, 'empty model when nothing saved');
+  await saveModel(model);
+  const loaded = await loadModel();
+  assert(loaded.features['tag:systemdesign'].weight === model.features['tag:systemdesign'].weight, 'weights round-trip');
+  console.log('✅ Saved to', path.join(dataDir, 'preferences.json'));
+
+  console.log('\n✅ All tests passed! Interest model is learning.\n');
+}
+
+test()
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => fs.rm(dataDir, { recursive: true, force: true }));
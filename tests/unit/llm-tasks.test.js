@@ -0,0 +1,113 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+// Scratch config and data directories; config/llm.json picks the mock provider
+const configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'daily-voice-llm-tasks-config-'));
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'daily-voice-llm-tasks-data-'));
+process.env.DAILY_VOICE_CONFIG_DIR = configDir;
+process.env.DAILY_VOICE_DATA_DIR = dataDir;
+delete process.env.DAILY_VOICE_LLM_PROVIDER;
+delete process.env.DAILY_VOICE_LLM_BASE_URL;
+await fs.writeFile(path.join(configDir, 'llm.json'), JSON.stringify({
+  provider: 'mock',
+  tasks: {
+    generate: { temperature: 0.5, maxTokens: { twitter: 800, default: 1500 } },
+    intent: { model: 'claude-haiku-4-5' },
+    hashtags: { model: 'claude-haiku-4-5', temperature: 0.2, maxTokens: 100 }
+  }
+}));
+
+const { getTaskSettings, parseTaskFlags, setTaskOverrides, getLLMClient } = await import('../../src/core/llm.js');
+const { generatePost, generateVariations, parsePlatformIntent } = await import('../../src/core/generator.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function rejects(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+async function test() {
+  console.log('🧪 Testing LLM Task Settings\n');
+
+  // Test 1: Config layering
+  console.log('Test 1: Config...');
+  const twitter = await getTaskSettings('generate', {}, 'twitter');
+  assert(twitter.model === 'claude-opus-4-5-20251101', 'model kept from the defaults');
+  assert(twitter.temperature === 0.5 && twitter.max_tokens === 800, 'temperature and tokens from config/llm.json');
+  assert((await getTaskSettings('generate', {}, 'linkedin')).max_tokens === 2000, 'map merged over the defaults');
+  assert((await getTaskSettings('generate', {}, 'mastodon')).max_tokens === 1500, 'map falls back to "default"');
+  const intent = await getTaskSettings('intent');
+  assert(intent.model === 'claude-haiku-4-5' && intent.temperature === 0 && intent.max_tokens === 200, 'intent task');
+  const perCall = await getTaskSettings('generate', { temperature: 0.9, maxTokens: 300, platforms: ['twitter'] }, 'twitter');
+  assert(perCall.temperature === 0.9 && perCall.max_tokens === 300, 'per-call options win');
+  console.log('✅ generate/twitter:', JSON.stringify(twitter));
+
+  // Test 2: Validation
+  console.log('\nTest 2: Validation...');
+  assert((await rejects(getTaskSettings('poetry'))).startsWith('Unknown LLM task: poetry. Available: generate, refine'), 'unknown task');
+  assert((await rejects(getTaskSettings('generate', { temperature: 1.5 }, 'twitter'))) === 'Invalid temperature for LLM task generate: 1.5 (expected 0-1 for mock)', 'temperature range');
+  process.env.DAILY_VOICE_LLM_PROVIDER = 'openai';
+  assert((await getTaskSettings('generate', { temperature: 1.5 }, 'twitter')).temperature === 1.5, 'openai-compatible servers accept up to 2');
+  assert((await rejects(getTaskSettings('generate', { temperature: 2.5 }, 'twitter'))) === 'Invalid temperature for LLM task generate: 2.5 (expected 0-2 for openai)', 'openai range');
+  delete process.env.DAILY_VOICE_LLM_PROVIDER;
+  assert((await rejects(getTaskSettings('summary', { maxTokens: 0 }))) === 'Invalid maxTokens for LLM task summary: 0', 'maxTokens positive');
+  assert((await rejects(getTaskSettings('generate', { maxTokens: { linkedin: 900 } }, 'twitter'))) === 'Invalid maxTokens for LLM task generate (twitter): undefined', 'platform missing from the map');
+  console.log('✅ bad settings are rejected');
+
+  // Test 3: Command-line flags
+  console.log('\nTest 3: Flags...');
+  const flags = await parseTaskFlags(['--model', 'claude-sonnet-4-5-20250929', '--temperature=0.9', '--max-tokens', 'intent=50', '--verbose']);
+  assert(flags.generate.model === 'claude-sonnet-4-5-20250929' && flags.refine.temperature === 0.9, 'global flags → generate and refine');
+  assert(flags.intent.maxTokens === 50 && flags.generate.maxTokens === undefined, 'scoped flag → one task');
+  assert(Object.keys(await parseTaskFlags(['--verbose', 'draft'])).length === 0, 'other arguments ignored');
+  assert((await rejects(parseTaskFlags(['--temperature', 'hot']))) === '--temperature must be a number, got "hot"', 'numbers checked');
+  assert((await rejects(parseTaskFlags(['--model']))) === '--model needs a value', 'value required');
+  const unknownTask = await rejects(parseTaskFlags(['--model', 'poetry=x']));
+  assert(unknownTask.startsWith('Unknown LLM task in --model: poetry') && unknownTask.endsWith('summary, hashtags'), 'task checked against config/llm.json');
+  assert((await parseTaskFlags(['--max-tokens', 'hashtags=60'])).hashtags.maxTokens === 60, 'tasks added in config can be overridden');
+  setTaskOverrides(flags);
+  const flagged = await getTaskSettings('generate', {}, 'twitter');
+  assert(flagged.model === 'claude-sonnet-4-5-20250929' && flagged.temperature === 0.9 && flagged.max_tokens === 800, 'flags over config');
+  assert((await getTaskSettings('generate', { temperature: 0.2 }, 'twitter')).temperature === 0.2, 'per-call options over flags');
+  assert((await getTaskSettings('intent')).max_tokens === 50, 'scoped override applied');
+  setTaskOverrides({});
+  assert((await getTaskSettings('intent')).max_tokens === 200, 'overrides cleared');
+  console.log('✅', JSON.stringify(flags));
+
+  // Test 4: Settings reach the API
+  console.log('\nTest 4: Requests...');
+  const client = await getLLMClient();
+  await generatePost('Shipped a tiny CLI today', { platforms: ['twitter'], temperature: 0.3 });
+  let sent = client.calls.at(-1);
+  assert(sent.model === 'claude-opus-4-5-20251101' && sent.temperature === 0.3 && sent.max_tokens === 800, 'generation settings');
+  await parsePlatformIntent('Make Twitter shorter', ['twitter', 'linkedin']);
+  sent = client.calls.at(-1);
+  assert(sent.model === 'claude-haiku-4-5' && sent.temperature === 0 && sent.max_tokens === 200, 'intent settings');
+  const before = client.calls.length;
+  await generateVariations('Shipped a tiny CLI today', 'twitter', 3, { temperature: 0.8 });
+  const temperatures = client.calls.slice(before).map(call => call.temperature);
+  assert(temperatures.map(t => t.toFixed(1)).join(',') === '0.8,0.9,1.0', `variation temperatures (got ${temperatures})`);
+  console.log('✅ variations at', temperatures.map(t => t.toFixed(1)).join(', '));
+
+  console.log('\n✅ All tests passed! LLM task settings are working.\n');
+}
+
+test()
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await fs.rm(configDir, { recursive: true, force: true });
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
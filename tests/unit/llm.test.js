@@ -0,0 +1,147 @@
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import fs from 'fs/promises';
+
+// Scratch config and data directories; the mock provider comes from config/llm.json
+const configDir = await fs.mkdtemp(path.join(os.tmpdir(), 'daily-voice-llm-config-'));
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'daily-voice-llm-data-'));
+process.env.DAILY_VOICE_CONFIG_DIR = configDir;
+process.env.DAILY_VOICE_DATA_DIR = dataDir;
+delete process.env.DAILY_VOICE_LLM_PROVIDER;
+await fs.writeFile(path.join(configDir, 'llm.json'), JSON.stringify({
+  provider: 'mock',
+  mock: { responses: [{ match: 'USER\'S THOUGHT', text: 'Shipped a CLI today. It is tiny and I love it.' }] }
+}));
+
+const { DEFAULT_LLM_CONFIG, loadLLMConfig, createLLMClient, getLLMClient, setLLMClient } = await import('../../src/core/llm.js');
+const { getExampleJson } = await import('../../src/adapters/llm/mock.js');
+const { generatePost, parsePlatformIntent } = await import('../../src/core/generator.js');
+const { detectFactCheckRequest } = await import('../../src/core/fact-check.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function throws(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+// Local OpenAI-compatible server: records each request, answers one completion
+const requests = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    requests.push({ url: req.url, auth: req.headers.authorization, body: JSON.parse(body) });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      id: 'chatcmpl-1',
+      object: 'chat.completion',
+      model: 'llama3.1',
+      choices: [{ index: 0, message: { role: 'assistant', content: 'Hello from a local model' }, finish_reason: 'length' }],
+      usage: { prompt_tokens: 21, completion_tokens: 5, total_tokens: 26 }
+    }));
+  });
+});
+
+async function test() {
+  console.log('🧪 Testing LLM Providers\n');
+
+  // Test 1: Provider selection
+  console.log('Test 1: Selection...');
+  assert((await loadLLMConfig()).provider === 'mock', 'provider from config/llm.json');
+  process.env.DAILY_VOICE_LLM_PROVIDER = 'openai';
+  assert((await loadLLMConfig()).provider === 'openai', 'environment overrides config');
+  delete process.env.DAILY_VOICE_LLM_PROVIDER;
+  assert(throws(() => createLLMClient({ ...DEFAULT_LLM_CONFIG, provider: 'gemini' })) === 'Unknown LLM provider: gemini. Available: anthropic, openai, mock', 'unknown provider');
+  const anthropicKey = process.env.ANTHROPIC_API_KEY;
+  const openaiKey = process.env.OPENAI_API_KEY;
+  delete process.env.ANTHROPIC_API_KEY;
+  delete process.env.OPENAI_API_KEY;
+  assert(throws(() => createLLMClient(DEFAULT_LLM_CONFIG)) === 'ANTHROPIC_API_KEY environment variable is not set', 'anthropic needs a key');
+  assert(throws(() => createLLMClient({ ...DEFAULT_LLM_CONFIG, provider: 'openai' })) === 'OPENAI_API_KEY environment variable is not set', 'openai needs a key');
+  process.env.ANTHROPIC_API_KEY = 'sk-ant-test';
+  assert(createLLMClient(DEFAULT_LLM_CONFIG).name === 'anthropic', 'anthropic with a key');
+  if (anthropicKey === undefined) delete process.env.ANTHROPIC_API_KEY;
+  else process.env.ANTHROPIC_API_KEY = anthropicKey;
+  if (openaiKey !== undefined) process.env.OPENAI_API_KEY = openaiKey;
+  const shared = await getLLMClient();
+  assert(shared.name === 'mock' && (await getLLMClient()) === shared, 'one shared client');
+  console.log('✅ anthropic | openai | mock, picked by config');
+
+  // Test 2: Mock answers
+  console.log('\nTest 2: Mock...');
+  const mock = createLLMClient({ ...DEFAULT_LLM_CONFIG, provider: 'mock' });
+  const plain = await mock.messages.create({ model: 'claude-x', max_tokens: 10, messages: [{ role: 'user', content: 'Hi' }] });
+  assert(plain.content[0].text.startsWith('Mock response') && plain.model === 'claude-x' && plain.stop_reason === 'end_turn', 'default text');
+  const again = await mock.messages.create({ model: 'claude-x', max_tokens: 10, messages: [{ role: 'user', content: 'Hi' }] });
+  assert(again.content[0].text === plain.content[0].text && again.usage.input_tokens === plain.usage.input_tokens, 'deterministic');
+  assert(mock.calls.length === 2, 'calls recorded');
+  const jsonPrompt = 'Extract claims.\n\nRespond ONLY with valid JSON array:\n[\n  {\n    "claim": "React 19 shipped"\n  }\n]\n\nIf none, return [].';
+  assert(JSON.parse(getExampleJson(jsonPrompt))[0].claim === 'React 19 shipped', 'example JSON array');
+  assert(getExampleJson('Write a haiku.') === null, 'no JSON asked for');
+  const configured = createLLMClient({ provider: 'mock', mock: { responses: [{ match: 'haiku', text: 'An old silent pond' }] } });
+  const haiku = await configured.messages.create({ system: 'Poet', messages: [{ role: 'user', content: [{ type: 'text', text: 'Write a HAIKU' }] }] });
+  assert(haiku.content[0].text === 'An old silent pond', 'configured response');
+  assert(throws(() => createLLMClient({ provider: 'mock', mock: { responses: [{ match: '(', text: '' }] } })).startsWith('Invalid mock response pattern'), 'bad pattern');
+  console.log('✅', plain.content[0].text);
+
+  // Test 3: OpenAI-compatible server
+  console.log('\nTest 3: OpenAI-compatible...');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const local = createLLMClient({
+    ...DEFAULT_LLM_CONFIG,
+    provider: 'openai',
+    openai: { apiKeyEnv: 'DAILY_VOICE_TEST_NO_KEY', baseURL: `http://127.0.0.1:${server.address().port}/v1`, model: 'llama3.1' }
+  });
+  const reply = await local.messages.create({
+    model: 'claude-sonnet-4-5-20250929',
+    max_tokens: 50,
+    temperature: 0,
+    system: 'Be brief.',
+    messages: [{ role: 'user', content: 'Say hello' }]
+  });
+  const sent = requests[0];
+  assert(sent.url === '/v1/chat/completions' && sent.auth === 'Bearer local', 'no key needed for local servers');
+  assert(sent.body.model === 'llama3.1' && sent.body.max_tokens === 50 && sent.body.temperature === 0, 'request translated');
+  assert(sent.body.messages.map(message => message.role).join(',') === 'system,user', 'system prompt first');
+  assert(reply.content[0].text === 'Hello from a local model' && reply.stop_reason === 'max_tokens', 'response translated');
+  assert(reply.usage.input_tokens === 21 && reply.usage.output_tokens === 5, 'usage translated');
+  console.log('✅', reply.content[0].text);
+
+  // Test 4: Callers go through the shared client
+  console.log('\nTest 4: Generator and fact-check...');
+  const results = await generatePost('Shipped a tiny CLI today', { platforms: ['linkedin'] });
+  assert(results.linkedin.content === 'Shipped a CLI today. It is tiny and I love it.', 'generation through the mock');
+  const intent = await parsePlatformIntent('Make Twitter shorter', ['twitter', 'linkedin']);
+  assert(intent.platforms.join(',') === 'twitter' && intent.cleanedInstruction === 'Make it shorter', 'JSON parsed from the example');
+  const factCheck = await detectFactCheckRequest('Is it true React 19 shipped in 2024?');
+  assert(factCheck.needsFactCheck === true && factCheck.confidence === 0.95, 'fact-check through the mock');
+  assert(shared.calls.length === 3, 'every call used the shared client');
+  setLLMClient(local);
+  assert((await getLLMClient()) === local, 'client replaced');
+  setLLMClient(null);
+  assert((await getLLMClient()) !== local, 'back to config');
+  console.log('✅', shared.calls.length, 'calls, no network');
+
+  console.log('\n✅ All tests passed! LLM providers are working.\n');
+}
+
+test()
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    server.close();
+    await fs.rm(configDir, { recursive: true, force: true });
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
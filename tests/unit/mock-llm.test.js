@@ -0,0 +1,91 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+// Voice profile cache goes to a scratch data directory
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'daily-voice-mock-llm-'));
+process.env.DAILY_VOICE_DATA_DIR = dataDir;
+
+const { startMockLLMServer, useMockLLMServer } = await import('../support/mock-llm-server.js');
+const { generatePost, refinePost, parsePlatformIntent } = await import('../../src/core/generator.js');
+const {
+  detectFactCheckRequest,
+  extractClaims,
+  evaluateClaimWithKnowledge,
+  generateCorrectedThought
+} = await import('../../src/core/fact-check.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+const mock = await startMockLLMServer();
+
+async function post(body, headers = { 'x-api-key': 'test' }) {
+  const response = await fetch(`${mock.url}/v1/messages`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function test() {
+  console.log('🧪 Testing Mock LLM Server\n');
+
+  // Test 1: Messages endpoint
+  console.log('Test 1: Endpoint...');
+  const ok = await post({ model: 'claude-test', max_tokens: 100, messages: [{ role: 'user', content: 'Summarize this article: ...' }] });
+  assert(ok.status === 200 && ok.body.type === 'message' && ok.body.model === 'claude-test', 'message response');
+  assert(JSON.parse(ok.body.content[0].text).keyPoints.length === 3 && ok.body.usage.output_tokens > 0, 'scripted JSON');
+  assert((await post({ model: 'claude-test', max_tokens: 100, messages: [] })).body.error.message === 'messages: Field required', 'validated');
+  assert((await post({ model: 'claude-test', max_tokens: 100, messages: [{ role: 'user', content: 'Hi' }] }, {})).status === 401, 'key required');
+  const unmatched = await post({ model: 'claude-test', max_tokens: 100, messages: [{ role: 'user', content: 'Write a haiku' }] });
+  assert(unmatched.status === 400 && unmatched.body.error.message.includes('tests/fixtures/llm/responses.json'), 'unmatched prompts fail loudly');
+  console.log('✅ /v1/messages answers like the real endpoint');
+
+  // Test 2: Generation through the SDK
+  console.log('\nTest 2: Generation...');
+  await useMockLLMServer(mock);
+  const short = await generatePost('JavaScript promises are just fancy callbacks with better error handling.', { platforms: ['twitter', 'linkedin'] });
+  assert(!short.twitter.isThread && short.twitter.content.startsWith('Promises aren\'t magic'), 'short thought → single tweet');
+  assert(short.linkedin.content.startsWith('Three hours. One CSS bug.'), 'linkedin');
+  const long = await generatePost('Developer tools fail for a reason. '.repeat(20), { platforms: ['twitter'] });
+  assert(long.twitter.isThread && long.twitter.content.length === 4, 'long thought → thread array');
+  const refined = await refinePost(long.twitter.content, 'Make it shorter', 'twitter');
+  assert(refined.isThread && refined.content.length === 2, 'thread refined as a thread');
+  const intent = await parsePlatformIntent('LinkedIn is fine, make Twitter shorter', ['twitter', 'linkedin']);
+  assert(intent.platforms.join(',') === 'twitter' && intent.cleanedInstruction === 'Make it shorter', 'platform intent');
+  console.log('✅', long.twitter.content.length, 'tweets, refined to', refined.content.length);
+
+  // Test 3: Fact-checking through the SDK
+  console.log('\nTest 3: Fact-check...');
+  assert((await detectFactCheckRequest('React 19 came out in 2023, right?')).needsFactCheck, 'detected');
+  const claims = await extractClaims('React 19 came out in 2023');
+  assert(claims.length === 1 && claims[0].type === 'date_fact', 'claims');
+  const evaluation = await evaluateClaimWithKnowledge(claims[0]);
+  assert(evaluation.status === 'VERIFIED', 'evaluated');
+  const corrected = await generateCorrectedThought('React 19 came out in 2023', [{ ...evaluation, claim: claims[0].claim, status: 'INCORRECT' }]);
+  assert(corrected.startsWith('React 19 shipped in December 2024'), 'rewritten');
+  console.log('✅', corrected);
+
+  // Test 4: Every call hit the mock
+  console.log('\nTest 4: Requests...');
+  const models = new Set(mock.requests.map(request => request.model));
+  assert(mock.requests.length === 11 && models.has('claude-opus-4-5-20251101'), `requests recorded (got ${mock.requests.length})`);
+  console.log('✅', mock.requests.length, 'requests, no network');
+
+  console.log('\n✅ All tests passed! Mock LLM server is working.\n');
+}
+
+test()
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await mock.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
@@ -0,0 +1,78 @@
+import { parseFocusTopics, matchFocusTopics, rankForExploration, selectFocused } from '../../src/discovery/modes.js';
+import { createModel, recordDigest } from '../../src/discovery/interests.js';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function makeItem(id, title, tags, score, source = 'devto') {
+  return { id, title, tags, score, source, sources: [source], description: '' };
+}
+
+function test() {
+  console.log('🧪 Testing Focus and Explore Modes\n');
+
+  // Test 1: Parsing --focus
+  console.log('Test 1: Parsing focus topics...');
+  const topics = parseFocusTopics('systemdesign, AI,system-design');
+  assert(topics.join(',') === 'systemdesign,ai', `normalized and deduped (got ${topics.join(',')})`);
+  assert(parseFocusTopics(undefined).length === 0, 'no focus → no topics');
+  console.log('✅ Topics:', topics.join(', '));
+
+  // Test 2: Matching by tag and keyword
+  console.log('\nTest 2: Matching...');
+  const byTag = makeItem('a', 'Notes from the trenches', ['System-Design'], 50);
+  const byKeyword = makeItem('b', 'Designing a distributed rate limiter', [], 50);
+  const both = makeItem('c', 'Scaling LLM inference with sharding', [], 50);
+  const neither = makeItem('d', 'My favourite CSS tricks', ['css'], 50);
+  const falseFriend = makeItem('e', 'Said the aim was to ship', [], 50);
+  assert(matchFocusTopics(byTag, topics).join() === 'systemdesign', 'matched by tag');
+  assert(matchFocusTopics(byKeyword, topics).join() === 'systemdesign', 'matched by keyword');
+  assert(matchFocusTopics(both, topics).length === 2, 'matched both topics');
+  assert(matchFocusTopics(neither, topics).length === 0, 'unrelated item');
+  assert(matchFocusTopics(falseFriend, topics).length === 0, "'ai' doesn't match inside words");
+  assert(matchFocusTopics(makeItem('f', 'Async Rust with Tokio', [], 50), ['rust'], { topics: { rust: ['rust', 'tokio'] } }).length === 1, 'custom topic keywords');
+  console.log('✅ Tag, keyword and multi-topic matches work');
+
+  // Test 3: Focus share
+  console.log('\nTest 3: Focus share...');
+  const items = [
+    ...Array.from({ length: 10 }, (_, i) => makeItem(`css-${i}`, `CSS trick #${i}`, ['css'], 90 - i)),
+    ...Array.from({ length: 10 }, (_, i) => makeItem(`sd-${i}`, `Distributed systems part ${i}`, [], 50 - i)),
+    both
+  ];
+  const { focused, rest } = selectFocused(items, 10, topics, { focusShare: 0.8 });
+  assert(focused.length === 8, `80% of 10 slots (got ${focused.length})`);
+  assert(focused[0].id === 'c', 'multi-topic match ranked first');
+  assert(focused.every(item => item.focus.length > 0), 'focused items record their topics');
+  assert(rest.length === items.length - 8 && rest[0].id === 'css-0', 'rest keeps the others in order');
+  const filterOnly = selectFocused(items, 30, topics, { focusShare: 1 });
+  assert(filterOnly.focused.length === 11, 'share 1.0 acts as a filter');
+  console.log('✅ Focused:', focused.length, '| Rest:', rest.length);
+
+  // Test 4: Explore mode favors rarely seen sources and tags
+  console.log('\nTest 4: Explore...');
+  const usual = makeItem('usual', 'Another JS framework', ['javascript'], 70, 'devto');
+  const model = createModel();
+  for (let day = 0; day < 10; day++) {
+    recordDigest(model, [usual], []);
+  }
+  const unusual = makeItem('unusual', 'Formal methods for hardware', ['fpga'], 50, 'lobsters');
+  const ranked = rankForExploration([usual, unusual], model);
+  assert(ranked[0].id === 'unusual', 'unseen source/tag ranks first');
+  assert(ranked[0].explore.novelty === 1 && ranked[1].explore.novelty < 0.5, 'novelty reflects how often features were shown');
+  const exploredFocus = selectFocused(ranked, 2, ['fpga'], { focusShare: 0.5 });
+  assert(exploredFocus.focused[0].id === 'unusual', 'focus combines with explore ranking');
+  console.log('✅ Novelty:', ranked.map(item => `${item.id}=${item.explore.novelty}`).join(', '));
+
+  console.log('\n✅ All tests passed! Focus and explore modes are working.\n');
+}
+
+try {
+  test();
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
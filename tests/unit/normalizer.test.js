@@ -0,0 +1,69 @@
+import { normalizeAll, generateItemId, findItemById } from '../../src/discovery/normalizer.js';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function test() {
+  console.log('🧪 Testing Normalizer\n');
+
+  // Test 1: IDs are deterministic
+  console.log('Test 1: Stable IDs...');
+  const story = { title: 'Ghostty is now non-profit', url: 'https://mitchellh.com/writing/ghostty-non-profit', score: 500 };
+  const first = generateItemId('hackernews', story);
+  const second = generateItemId('hackernews', { ...story });
+  assert(first === second, 'same item → same ID');
+  assert(/^item_[0-9a-f]{16}$/.test(first), `ID format (got ${first})`);
+  console.log('✅ ID:', first);
+
+  // Test 2: IDs come from the canonical URL, not the source
+  console.log('\nTest 2: Cross-source IDs...');
+  const fromLobsters = generateItemId('lobsters', {
+    title: 'Ghostty Is Now Non-Profit',
+    url: 'http://www.mitchellh.com/writing/ghostty-non-profit/?utm_source=lobsters'
+  });
+  assert(fromLobsters === first, 'same canonical URL → same ID');
+  const other = generateItemId('hackernews', { title: 'Other', url: 'https://example.com/other' });
+  assert(other !== first, 'different URL → different ID');
+  console.log('✅ HN and Lobsters share', first);
+
+  // Test 3: Items without URLs fall back to source + title
+  console.log('\nTest 3: URL-less fallback...');
+  const noUrl = generateItemId('dailydev', { title: 'System Design Primer' });
+  assert(noUrl === generateItemId('dailydev', { title: 'system design primer ' }), 'title fallback is stable');
+  console.log('✅ Fallback ID:', noUrl);
+
+  // Test 4: IDs survive across runs and merges
+  console.log('\nTest 4: Across runs...');
+  const raw = {
+    devto: [{ title: 'Anthropic Bought Bun', url: 'https://dev.to/someone/anthropic-bought-bun', reactions: 100 }],
+    'devto-edu': [{ title: 'Anthropic Bought Bun', url: 'https://dev.to/someone/anthropic-bought-bun', reactions: 100, isEducational: true }]
+  };
+  const today = normalizeAll(raw);
+  const tomorrow = normalizeAll(raw);
+  assert(today[0].id === tomorrow[0].id, 'same ID on every run');
+  assert(findItemById(tomorrow, today[0].id) !== null, 'lookup by ID');
+  console.log('✅ Run 1:', today[0].id, '| Run 2:', tomorrow[0].id);
+
+  // Test 5: Lookup by a merged alias
+  console.log('\nTest 5: Alias lookup...');
+  const merged = normalizeAll({
+    hackernews: [{ title: 'Understanding Rust lifetimes in practice', url: 'https://blog.example.com/rust-lifetimes', score: 250 }],
+    devto: [{ title: 'Understanding Rust Lifetimes in Practice', url: 'https://dev.to/someone/rust-lifetimes', reactions: 50 }]
+  });
+  const devtoId = generateItemId('devto', { url: 'https://dev.to/someone/rust-lifetimes' });
+  assert(merged.length === 1 && merged[0].id !== devtoId, 'HN item won the merge');
+  assert(findItemById(merged, devtoId) === merged[0], 'Dev.to ID resolves via alias');
+  console.log('✅ Alias', devtoId, '→', merged[0].id);
+
+  console.log('\n✅ All tests passed! Normalizer IDs are stable.\n');
+}
+
+try {
+  test();
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,124 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+// Point the digest history at a scratch data directory
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'daily-voice-percentile-'));
+process.env.DAILY_VOICE_DATA_DIR = dataDir;
+
+const { normalizeAll, getEngagement } = await import('../../src/discovery/normalizer.js');
+const {
+  DEFAULT_NORMALIZATION_OPTIONS,
+  loadEngagementWindow,
+  percentileOf,
+  applyPercentileScores,
+  normalizeScores
+} = await import('../../src/discovery/percentile.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+const today = new Date('2026-01-10T12:00:00');
+const options = { ...DEFAULT_NORMALIZATION_OPTIONS, mode: 'percentile', minSamples: 5 };
+
+// A day's worth of raw items for HN (points in the hundreds) and Lobsters (tens)
+function rawDay(day, hnScores, lobstersScores) {
+  return {
+    hackernews: hnScores.map((score, i) => ({ title: `HN ${day}-${i}`, url: `https://hn.example/${day}/${i}`, score })),
+    lobsters: lobstersScores.map((score, i) => ({ title: `Lobsters ${day}-${i}`, url: `https://lobsters.example/${day}/${i}`, score }))
+  };
+}
+
+async function saveDigest(date, rawData) {
+  const items = normalizeAll(rawData);
+  await fs.writeFile(path.join(dataDir, `digest-${date}.json`), JSON.stringify({ date, items }), 'utf-8');
+}
+
+async function test() {
+  console.log('🧪 Testing Percentile Normalization\n');
+
+  // Test 1: Raw engagement per source
+  console.log('Test 1: Engagement numbers...');
+  assert(getEngagement('hackernews', { score: 420 }) === 420, 'HN points');
+  assert(getEngagement('devto', { reactions: 31 }) === 31, 'Dev.to reactions');
+  assert(getEngagement('github', {}) === 0, 'GitHub without stars today');
+  assert(getEngagement('producthunt', {}) === null, 'Product Hunt feed has no votes');
+  assert(getEngagement('freecodecamp', { title: 'Learn SQL' }) === null, 'FreeCodeCamp has no numbers');
+  console.log('✅ Engagement read per source');
+
+  // Test 2: Midrank percentiles
+  console.log('\nTest 2: Percentiles...');
+  assert(percentileOf(10, [1, 2, 3, 10]) === 88, 'top of four');
+  assert(percentileOf(1, [1, 2, 3, 10]) === 13, 'bottom of four');
+  assert(percentileOf(5, [5, 5, 5, 5]) === 50, 'ties share the middle');
+  console.log('✅ Midrank percentiles');
+
+  // Test 3: Rolling window from past digests
+  console.log('\nTest 3: Rolling window...');
+  await saveDigest('2025-12-01', rawDay('old', [5000], [900]));              // Outside the 14 days
+  await saveDigest('2026-01-08', rawDay('a', [80, 150, 300, 500], [4, 9, 15, 30]));
+  await saveDigest('2026-01-09', { ...rawDay('b', [60, 200, 450], [6, 12, 25]), freecodecamp: [{ title: 'Learn SQL', url: 'https://fcc.example/sql' }] });
+  await saveDigest('2026-01-10', rawDay('today', [9999], [999]));           // Today - skipped
+  await fs.writeFile(path.join(dataDir, 'digest-2026-01-07.json'), '{"date": "2026-01-07", "ite', 'utf-8');
+  const window = await loadEngagementWindow(options, today);
+  assert(window.get('hackernews').size === 7 && window.get('lobsters').size === 7, 'seven items per source');
+  assert(!window.has('freecodecamp'), 'sources without numbers left out');
+  assert(![...window.get('hackernews').values()].includes(5000) && ![...window.get('hackernews').values()].includes(9999), 'old and same-day digests skipped');
+  console.log('✅ Window:', [...window].map(([source, values]) => `${source} ${values.size}`).join(', '));
+
+  // Test 4: Top stories land at comparable scores
+  console.log('\nTest 4: Cross-source scores...');
+  const items = normalizeAll({
+    ...rawDay('c', [480, 90], [28, 7]),
+    freecodecamp: [{ title: 'Learn Go', url: 'https://fcc.example/go' }],
+    reddit: [{ title: 'Rust 2.0?', url: 'https://reddit.example/1', score: 300 }]
+  });
+  const fixed = Object.fromEntries(items.map(item => [item.title, item.score]));
+  assert(fixed['Lobsters c-0'] === 100 && fixed['HN c-0'] === 96, 'fixed divisors disagree');
+  const scored = applyPercentileScores(items, window, options);
+  const byTitle = Object.fromEntries(scored.map(item => [item.title, item]));
+  assert(byTitle['HN c-0'].score === byTitle['Lobsters c-0'].score, 'top HN and Lobsters stories of the day score the same');
+  assert(byTitle['HN c-0'].score === 83 && byTitle['HN c-0'].percentile.samples === 9, 'percentile within source incl. today');
+  assert(byTitle['HN c-1'].score === byTitle['Lobsters c-1'].score, 'weak stories too');
+  assert(byTitle['Learn Go'].score === 75 && !byTitle['Learn Go'].percentile, 'no numbers → fixed score');
+  assert(byTitle['Rust 2.0?'].score === fixed['Rust 2.0?'], 'too few samples → fixed score');
+  assert(scored.every((item, i) => i === 0 || scored[i - 1].score >= item.score), 'sorted best first');
+  console.log('✅', scored.map(item => `${item.title}:${item.score}`).join(', '));
+
+  // Test 5: Stories merged from several sources keep their boost
+  console.log('\nTest 5: Multi-source boost...');
+  const merged = normalizeAll({
+    hackernews: [{ title: 'Postgres 18 released', url: 'https://postgresql.org/about/news/18', score: 90 }],
+    lobsters: [{ title: 'Postgres 18 released', url: 'https://postgresql.org/about/news/18', score: 7 }]
+  });
+  assert(merged.length === 1 && merged[0].sources.length === 2, 'merged by normalizeAll');
+  const [boosted] = applyPercentileScores(merged, window, options);
+  const [single] = applyPercentileScores(normalizeAll({ hackernews: [{ title: 'Postgres 18 released', url: 'https://postgresql.org/about/news/18', score: 90 }] }), window, options);
+  assert(boosted.percentile.boost === 10 && boosted.score === single.score + 10, `boost re-applied (got ${boosted.score} vs ${single.score})`);
+  assert(applyPercentileScores(merged, window, options, { multiSourceBoost: 4 })[0].score === single.score + 4, 'dedupe overrides respected');
+  console.log('✅', boosted.title, single.score, '→', boosted.score);
+
+  // Test 6: Mode switch
+  console.log('\nTest 6: Modes...');
+  assert(await normalizeScores(items, { ...options, mode: 'fixed' }) === items, 'fixed → unchanged');
+  let rejected = false;
+  try {
+    await normalizeScores(items, { ...options, mode: 'zscore' });
+  } catch (error) {
+    rejected = error.message.startsWith('Unknown normalization mode: zscore');
+  }
+  assert(rejected, 'unknown mode rejected');
+  console.log('✅ fixed and percentile modes');
+
+  console.log('\n✅ All tests passed! Percentile normalization is working.\n');
+}
+
+test()
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => fs.rm(dataDir, { recursive: true, force: true }));
@@ -0,0 +1,72 @@
+import { normalizeAll, extractPublishedAt } from '../../src/discovery/normalizer.js';
+import { DEFAULT_RANKING_OPTIONS, getAgeHours, recencyFactor, scoreItem, rankItems } from '../../src/discovery/ranking.js';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+const now = new Date('2026-01-10T12:00:00Z');
+const hoursAgo = hours => new Date(now.getTime() - hours * 60 * 60 * 1000).toISOString();
+
+function test() {
+  console.log('🧪 Testing Freshness Ranking\n');
+
+  // Test 1: Timestamps from every source end up as UTC ISO strings
+  console.log('Test 1: Timestamp normalization...');
+  assert(extractPublishedAt({ publishedAt: '2026-01-09T07:12:30Z' }, now) === '2026-01-09T07:12:30.000Z', 'Dev.to / Hashnode publishedAt');
+  assert(extractPublishedAt({ createdAt: '2026-01-09T06:41:12.000-06:00' }, now) === '2026-01-09T12:41:12.000Z', 'Lobsters offset converted to UTC');
+  assert(extractPublishedAt({ time: '2026-01-09T08:00:00.000Z' }, now) === '2026-01-09T08:00:00.000Z', 'HackerNews time');
+  assert(extractPublishedAt({ createdAt: 1767945600 }, now) === '2026-01-09T08:00:00.000Z', 'epoch seconds');
+  assert(extractPublishedAt({ name: 'owner / repo' }, now) === null, 'GitHub trending has no date');
+  assert(extractPublishedAt({ publishedAt: 'yesterday-ish' }, now) === null, 'garbage → null');
+  assert(extractPublishedAt({ publishedAt: '2026-01-11T00:00:00Z' }, now) === now.toISOString(), 'future dates clamped');
+  const [lobsters] = normalizeAll({ lobsters: [{ title: 'Writing a tiny Forth in Zig', url: 'https://zigforth.example.org/', score: 10, createdAt: '2026-01-09T04:02:55.000-06:00' }] });
+  assert(lobsters.publishedAt === '2026-01-09T10:02:55.000Z', 'normalized items carry publishedAt');
+  console.log('✅ All sources normalized to UTC');
+
+  // Test 2: Decay per category
+  console.log('\nTest 2: Time decay...');
+  assert(recencyFactor(0, 'trending') === 1, 'brand new → 1');
+  assert(Math.abs(recencyFactor(24, 'trending') - 0.6) < 1e-9, 'one half-life → halfway to the floor');
+  assert(recencyFactor(24 * 30, 'trending') < 0.21, 'old news → floor');
+  assert(recencyFactor(24 * 7, 'educational') > 0.85, 'tutorials age slower');
+  assert(recencyFactor(null, 'trending') === DEFAULT_RANKING_OPTIONS.undatedRecency, 'undated → neutral');
+  assert(getAgeHours({ publishedAt: hoursAgo(5) }, now) === 5, 'age in hours');
+  console.log('✅ 1 day old: trending', recencyFactor(24, 'trending').toFixed(2), '| educational', recencyFactor(24, 'educational').toFixed(2));
+
+  // Test 3: Decomposed score
+  console.log('\nTest 3: Score breakdown...');
+  const options = { ...DEFAULT_RANKING_OPTIONS, sourceWeights: { hackernews: 1.2 } };
+  const breakdown = scoreItem({ source: 'hackernews', score: 50, publishedAt: hoursAgo(24) }, options, now);
+  assert(breakdown.engagement === 50 && breakdown.recency === 0.6 && breakdown.sourceWeight === 1.2, 'parts exposed');
+  assert(breakdown.ageHours === 24 && breakdown.score === 36, 'score = engagement × recency × weight');
+  assert(scoreItem({ source: 'hackernews', score: 100, publishedAt: hoursAgo(0) }, options, now).score === 100, 'capped at 100');
+  console.log('✅', JSON.stringify(breakdown));
+
+  // Test 4: Fresh stories beat last week's popular post
+  console.log('\nTest 4: Ranking...');
+  const items = [
+    { id: 'old', source: 'devto', score: 90, isEducational: false, publishedAt: hoursAgo(24 * 6) },
+    { id: 'fresh', source: 'hackernews', score: 60, isEducational: false, publishedAt: hoursAgo(2) },
+    { id: 'repo', source: 'github', score: 70, isEducational: false, publishedAt: null },
+    { id: 'tutorial', source: 'devto-edu', score: 80, isEducational: true, publishedAt: hoursAgo(24 * 6) }
+  ];
+  const ranked = rankItems(items, DEFAULT_RANKING_OPTIONS, now);
+  assert(ranked.map(item => item.id).join(',') === 'tutorial,fresh,repo,old', `order (got ${ranked.map(item => item.id).join(',')})`);
+  assert(ranked[0].scoreBreakdown.engagement === 80 && items[0].scoreBreakdown === undefined, 'breakdown added without mutating input');
+  const reranked = rankItems(ranked, DEFAULT_RANKING_OPTIONS, now);
+  assert(reranked.every((item, i) => item.score === ranked[i].score), 'ranking twice is stable');
+  assert(rankItems(items, { ...DEFAULT_RANKING_OPTIONS, enabled: false }, now) === items, 'disabled → unchanged');
+  console.log('✅', ranked.map(item => `${item.id}:${item.score}`).join(', '));
+
+  console.log('\n✅ All tests passed! Freshness ranking is working.\n');
+}
+
+try {
+  test();
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,111 @@
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Point data/reading/ at a scratch data directory
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'daily-voice-reading-'));
+process.env.DAILY_VOICE_DATA_DIR = dataDir;
+
+await import('../../src/discovery/sources/index.js');
+const { extractArticle } = await import('../../src/discovery/extract.js');
+const { DEFAULT_READING_OPTIONS, getReadingPath, saveForReading } = await import('../../src/discovery/reading.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+const html = await fs.readFile(path.join(__dirname, '../fixtures/articles/blog-post.html'), 'utf-8');
+
+// Local site: one article, one page without text, one missing page
+const server = http.createServer((req, res) => {
+  if (req.url === '/blog/postgres-queue') {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(html);
+    return;
+  }
+  if (req.url === '/app') {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end('<html><body><div id="root"></div><script src="/bundle.js"></script></body></html>');
+    return;
+  }
+  res.writeHead(404, { 'Content-Type': 'text/plain' });
+  res.end('Not Found');
+});
+
+async function test() {
+  console.log('🧪 Testing Read-Later Pipeline\n');
+
+  // Test 1: Main content extraction
+  console.log('Test 1: Extraction...');
+  const article = extractArticle(html, 'https://engineering.example.com/blog/postgres-queue');
+  assert(article.title === 'Why We Moved Our Queue to Postgres', 'title from og:title');
+  assert(article.byline === 'Dana Whitfield' && article.siteName === 'Example Engineering', 'byline and site');
+  assert(article.publishedAt === '2026-01-08T14:30:00.000Z', 'published time in UTC');
+  assert(article.text.startsWith('For three years our background jobs'), 'starts at the first paragraph');
+  assert(article.text.includes('## SKIP LOCKED changes the picture'), 'headings kept');
+  assert(article.text.includes('```\nSELECT id, payload FROM jobs\nWHERE'), 'code blocks keep their lines');
+  assert(article.text.includes('- Built-in delayed jobs') && article.text.includes('> Boring technology'), 'lists and quotes');
+  ['analytics', 'cookies', 'Share on Twitter', 'dedicated message broker', 'Related posts', 'jurisdiction', 'Careers']
+    .forEach(chrome => assert(!article.text.includes(chrome), `"${chrome}" stripped`));
+  assert(article.wordCount > 200 && article.readingMinutes === 1, 'word count and reading time');
+  const bare = extractArticle('<html><head><title>Notes</title></head><body><p>Short.</p></body></html>', 'https://www.notes.example/');
+  assert(bare.title === 'Notes' && bare.siteName === 'notes.example' && bare.wordCount === 0, 'bare page');
+  console.log(`✅ ${article.wordCount} words, ${article.text.split('\n\n').length} blocks`);
+
+  // Test 2: Fetch, extract and store
+  console.log('\nTest 2: Saving for later...');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const items = [
+    { id: 'item_queue', title: 'Moving our queue to Postgres', url: `${baseUrl}/blog/postgres-queue`, source: 'hackernews', metadata: { score: 412 } },
+    { id: 'item_app', title: 'Some SPA', url: `${baseUrl}/app`, source: 'producthunt' },
+    { id: 'item_gone', title: 'Deleted post', url: `${baseUrl}/gone`, source: 'devto' }
+  ];
+  const progress = [];
+  const { saved, failed } = await saveForReading(items, { ...DEFAULT_READING_OPTIONS, onProgress: result => progress.push(result) });
+  assert(saved.length === 1 && saved[0].file === getReadingPath(items[0], 'md'), 'one article saved');
+  assert(failed.length === 2 && failed[0].error.startsWith('No article text found') && failed[1].error.includes('HTTP 404'), 'failures reported');
+  assert(progress.length === 3, 'progress for every item');
+  const entry = JSON.parse(await fs.readFile(getReadingPath(items[0]), 'utf-8'));
+  assert(entry.item.id === 'item_queue' && !('metadata' in entry.item) && entry.summary === null, 'JSON record');
+  const markdown = await fs.readFile(getReadingPath(items[0], 'md'), 'utf-8');
+  assert(markdown.startsWith('# Why We Moved Our Queue to Postgres\n\n🔥 Example Engineering · by Dana Whitfield · 2026-01-08 · 1 min read'), 'markdown header');
+  console.log('✅', path.basename(saved[0].file), '|', failed.map(result => result.error).join(' | '));
+
+  // Test 3: Summaries
+  console.log('\nTest 3: Summaries...');
+  const calls = [];
+  const summarizer = async (text, options) => {
+    calls.push(options);
+    return { summary: 'They replaced Redis with SKIP LOCKED in Postgres.', keyPoints: ['Jobs roll back with their data', 'No pages in six months'] };
+  };
+  await saveForReading([items[0]], { ...DEFAULT_READING_OPTIONS, summarize: true, summarizer, maxSummaryChars: 500 });
+  const summarized = await fs.readFile(getReadingPath(items[0], 'md'), 'utf-8');
+  assert(calls.length === 1 && calls[0].maxChars === 500, 'summarizer called with the char budget');
+  assert(summarized.includes('## Summary\n\nThey replaced Redis') && summarized.includes('- Jobs roll back with their data\n'), 'summary and key points rendered');
+  const broken = await saveForReading([items[0]], {
+    ...DEFAULT_READING_OPTIONS,
+    summarize: true,
+    summarizer: async () => { throw new Error('Failed to summarize article: overloaded'); }
+  });
+  assert(broken.saved.length === 1 && !broken.saved[0].summarized && broken.failed[0].error.includes('overloaded'), 'text kept when the summary fails');
+  console.log('✅ Summary added, failures keep the text');
+
+  console.log('\n✅ All tests passed! Read-later pipeline is working.\n');
+}
+
+test()
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    server.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
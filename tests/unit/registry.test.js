@@ -0,0 +1,74 @@
+import '../../src/discovery/sources/index.js';
+import {
+  registerSource,
+  getSource,
+  getEnabledSources,
+  getSourceEmoji,
+  getFetchOptions
+} from '../../src/discovery/registry.js';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function test() {
+  console.log('🧪 Testing Source Registry\n');
+
+  // Test 1: Built-in sources are registered
+  console.log('Test 1: Built-in sources...');
+  const trending = getEnabledSources('trending').map(s => s.id);
+  const educational = getEnabledSources('educational').map(s => s.id);
+  assert(trending.includes('devto') && trending.includes('hackernews'), 'trending sources registered');
+  assert(educational.includes('freecodecamp') && educational.includes('dailydev'), 'educational sources registered');
+  console.log('✅ Trending:', trending.join(', '));
+  console.log('✅ Educational:', educational.join(', '));
+
+  // Test 2: Lookup by id and display name
+  console.log('\nTest 2: Lookup by id and name...');
+  assert(getSource('Dev.to').id === 'devto', 'display name resolves to id');
+  assert(getSource('DEVTO-EDU').name === 'DevTo-Edu', 'id lookup is case-insensitive');
+  assert(getSource('myspace') === null, 'unknown source returns null');
+  console.log('✅ Lookups work');
+
+  // Test 3: Emoji and fetch options
+  console.log('\nTest 3: Emoji and fetch options...');
+  assert(getSourceEmoji('lobsters') === '🦞', 'lobsters emoji');
+  assert(getSourceEmoji('unknown') === '📄', 'fallback emoji');
+  const options = getFetchOptions(getSource('devto-edu'));
+  assert(options.limit === 20 && options.maxTags === 4, 'limit merged with options');
+  console.log('✅ Options:', JSON.stringify(options));
+
+  // Test 4: Custom source registration
+  console.log('\nTest 4: Registering a custom source...');
+  registerSource({
+    id: 'custom',
+    name: 'Custom',
+    fetch: async ({ limit }) => Array.from({ length: limit }, (_, i) => ({ title: `Item ${i}` })),
+    category: 'educational',
+    limit: 3
+  });
+  const custom = getSource('custom');
+  const items = await custom.fetch(getFetchOptions(custom));
+  assert(items.length === 3, 'custom fetcher receives limit');
+  console.log('✅ Custom source returned', items.length, 'items');
+
+  // Test 5: Invalid definitions are rejected
+  console.log('\nTest 5: Invalid definitions...');
+  let threw = false;
+  try {
+    registerSource({ id: 'broken', name: 'Broken', fetch: () => [], category: 'gossip' });
+  } catch (error) {
+    threw = true;
+  }
+  assert(threw, 'unknown category throws');
+  console.log('✅ Invalid category rejected');
+
+  console.log('\n✅ All tests passed! Source registry is working.\n');
+}
+
+test().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
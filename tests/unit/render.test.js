@@ -0,0 +1,120 @@
+import '../../src/discovery/sources/index.js';
+import { renderDigest, renderMarkdown, renderHTML, renderJSON, normalizeDigestFormat, DIGEST_FORMATS } from '../../src/discovery/render.js';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+const digest = {
+  date: '2026-01-10',
+  generatedAt: '2026-01-10T07:00:00.000Z',
+  focusTopics: ['systemdesign'],
+  educational: [
+    {
+      id: 'item_edu',
+      title: 'Designing a [distributed] rate limiter',
+      url: 'https://example.com/rate-limiter_(guide)',
+      source: 'devto-edu',
+      sources: ['devto-edu', 'hackernews'],
+      score: 82,
+      tags: ['systemdesign', 'redis'],
+      description: 'Token buckets,\n   sliding windows and <script>alert(1)</script> everything in between.',
+      author: 'jane',
+      history: { isNew: true },
+      focus: ['systemdesign']
+    }
+  ],
+  trending: [
+    {
+      id: 'item_trend',
+      title: 'Ghostty is now non-profit',
+      url: 'https://mitchellh.com/writing/ghostty-non-profit',
+      source: 'lobsters',
+      score: 64,
+      tags: [],
+      description: '',
+      author: 'Unknown'
+    }
+  ]
+};
+
+function test() {
+  console.log('🧪 Testing Digest Rendering\n');
+
+  // Test 1: Markdown
+  console.log('Test 1: Markdown...');
+  const md = renderMarkdown(digest);
+  assert(md.startsWith('# Daily Digest - 2026-01-10'), 'title');
+  assert(md.includes('## 📚 Learn Today') && md.includes('## 🔥 Trending Now'), 'both sections');
+  assert(md.includes('[Designing a \\[distributed\\] rate limiter](https://example.com/rate-limiter_%28guide%29)'), 'title and URL escaped');
+  assert(md.includes('📚 DevTo-Edu, 🔥 HackerNews · score 82 · by jane'), 'sources, score and author');
+  assert(md.includes('`#systemdesign` `#redis`'), 'tags');
+  assert(md.includes('> Token buckets, sliding windows'), 'description collapsed');
+  assert(md.includes('`NEW`'), 'new badge');
+  assert(!md.includes('by Unknown'), 'unknown author omitted');
+  console.log('✅ Markdown rendered', md.split('\n').length, 'lines');
+
+  // Test 2: HTML
+  console.log('\nTest 2: HTML...');
+  const html = renderHTML(digest);
+  assert(html.startsWith('<!DOCTYPE html>'), 'standalone page');
+  assert(html.includes('<a href="https://example.com/rate-limiter_(guide)">'), 'links');
+  assert(!html.includes('<script>') && html.includes('&lt;script&gt;'), 'descriptions escaped');
+  assert(html.includes('<span class="new">NEW</span>'), 'new badge');
+  console.log('✅ HTML rendered', html.length, 'bytes');
+
+  // Test 3: JSON
+  console.log('\nTest 3: JSON...');
+  const json = JSON.parse(renderJSON(digest));
+  assert(json.date === '2026-01-10' && json.focus[0] === 'systemdesign', 'metadata');
+  assert(json.educational[0].sources.length === 2 && json.educational[0].isNew, 'educational entry');
+  assert(json.trending[0].author === null && json.trending[0].sources[0] === 'lobsters', 'trending entry');
+  assert(json.educational[0].history === undefined, 'internal fields dropped');
+  console.log('✅ JSON with', json.educational.length + json.trending.length, 'entries');
+
+  // Test 4: Unsafe links
+  console.log('\nTest 4: Link schemes...');
+  const unsafe = {
+    date: '2026-01-10',
+    educational: [],
+    trending: [
+      { id: 'item_js', title: 'Click me', url: 'javascript:alert(document.cookie)', source: 'lobsters', score: 50, tags: [] },
+      { id: 'item_data', title: 'Data', url: 'data:text/html,<script>alert(1)</script>', source: 'lobsters', score: 40, tags: [] },
+      { id: 'item_img', title: 'Pics <img src=x onerror=alert(1)>', url: 'https://example.com/pics', description: '<script>alert(2)</script> & more', source: 'lobsters', score: 30, tags: [] }
+    ]
+  };
+  const unsafeHtml = renderHTML(unsafe);
+  assert(!unsafeHtml.includes('href="javascript:') && !unsafeHtml.includes('href="data:'), 'no clickable javascript:/data: links');
+  assert(unsafeHtml.includes('<strong>Click me</strong> <code>javascript:alert(document.cookie)</code>'), 'URL shown as text');
+  assert(!unsafeHtml.includes('<script>'), 'URL text escaped');
+  const unsafeMd = renderMarkdown(unsafe);
+  assert(unsafeMd.includes('1. **Click me** `javascript:alert(document.cookie)`') && !unsafeMd.includes('](javascript:'), 'no Markdown link');
+  assert(unsafeMd.includes('**[Pics &lt;img src=x onerror=alert(1)&gt;](https://example.com/pics)**') && unsafeMd.includes('&lt;script&gt;alert(2)&lt;/script&gt; &amp; more'), 'raw HTML escaped in Markdown');
+  assert(!unsafeMd.includes('<img') && !unsafeMd.includes('> <script>'), 'no raw HTML in Markdown');
+  console.log('✅ only http(s) URLs become links');
+
+  // Test 5: Format dispatch
+  console.log('\nTest 5: Formats...');
+  assert(renderDigest(digest, 'md') === md && renderDigest(digest, 'html') === html, 'dispatch by format');
+  assert(renderDigest(digest, 'markdown') === md, 'markdown alias');
+  assert(DIGEST_FORMATS.includes(normalizeDigestFormat('markdown')) && normalizeDigestFormat('xml') === 'xml', 'alias normalized before validation');
+  let error = null;
+  try {
+    renderDigest(digest, 'xml');
+  } catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('Unknown digest format'), 'unknown format rejected');
+  console.log('✅ md, html and json supported');
+
+  console.log('\n✅ All tests passed! Headless digest rendering works.\n');
+}
+
+try {
+  test();
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
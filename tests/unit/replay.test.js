@@ -0,0 +1,201 @@
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+/**
+ * Replays every built-in source from tests/fixtures/sources/recorded/.
+ * Those files are hand-written ("handWritten": true), so passing here
+ * proves the parsers handle the documented formats, not that the live
+ * sites still match. Replace them with real recordings via:
+ *   DAILY_VOICE_FIXTURES=record node tests/unit/replay.test.js
+ * Source assertions only check field shapes, so they hold for fresh recordings.
+ */
+const SOURCE_MODE = process.env.DAILY_VOICE_FIXTURES || 'replay';
+
+// Scratch dirs for the record/replay mechanics and the cache they must bypass
+const scratchDir = await fs.mkdtemp(path.join(os.tmpdir(), 'daily-voice-replay-'));
+process.env.DAILY_VOICE_CACHE_DIR = path.join(scratchDir, 'cache');
+delete process.env.PRODUCT_HUNT_TOKEN; // Record the public feed, not the API
+
+await import('../../src/discovery/sources/index.js');
+const { fetchJSON } = await import('../../src/discovery/http.js');
+const { getFixturePath } = await import('../../src/discovery/replay.js');
+const { getAllSources, getFetchOptions } = await import('../../src/discovery/registry.js');
+const { normalizeAll } = await import('../../src/discovery/normalizer.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+/**
+ * Hosts whose fixtures were written by hand rather than recorded
+ * @param {string} dir - Fixtures directory
+ * @returns {Promise<string[]>}
+ */
+async function listHandWrittenFixtures(dir) {
+  const hosts = new Set();
+  for (const host of await fs.readdir(dir)) {
+    for (const file of await fs.readdir(path.join(dir, host))) {
+      const fixture = JSON.parse(await fs.readFile(path.join(dir, host, file), 'utf-8'));
+      if (fixture.handWritten) hosts.add(host);
+    }
+  }
+  return [...hosts].sort();
+}
+
+// Small limits keep recordings short (and HackerNews to a handful of item requests)
+const REPLAY_OPTIONS = {
+  devto: { limit: 3 },
+  hackernews: { limit: 3 },
+  github: { limit: 3 },
+  lobsters: { limit: 3 },
+  hashnode: { limit: 3 },
+  reddit: { limit: 3 },
+  producthunt: { limit: 3 },
+  'devto-edu': { limit: 4, maxTags: 2, perTag: 2 },
+  freecodecamp: { limit: 3 },
+  dailydev: { limit: 3 },
+  paperswithcode: { limit: 3 }
+};
+
+const isUrl = value => typeof value === 'string' && /^https?:\/\/\S+$/.test(value);
+const isText = value => typeof value === 'string' && value.trim().length > 0;
+const isCount = value => Number.isInteger(value) && value >= 0;
+const isDate = value => isText(value) && !Number.isNaN(new Date(value).getTime());
+const isList = value => Array.isArray(value) && value.every(isText);
+
+// Fields each parser must extract, checked on every item
+const EXPECTED_FIELDS = {
+  devto: { title: isText, url: isUrl, author: isText, tags: isList, reactions: isCount, comments: isCount, publishedAt: isDate },
+  hackernews: { title: isText, url: isUrl, hnUrl: isUrl, author: isText, score: isCount, comments: isCount, time: isDate },
+  github: {
+    name: value => /^\S+ \/ \S+$/.test(value),
+    url: value => /^https:\/\/github\.com\/[^/]+\/[^/]+$/.test(value),
+    author: isText,
+    language: isText,
+    starsToday: isCount,
+    totalStars: value => /^\d+$/.test(value)
+  },
+  lobsters: { title: isText, url: isUrl, shortUrl: isUrl, commentsUrl: isUrl, author: isText, tags: isList, score: isCount, createdAt: isDate },
+  hashnode: { title: isText, url: isUrl, author: isText, tags: isList, reactions: isCount, publishedAt: isDate },
+  reddit: { title: isText, url: isUrl, commentsUrl: isUrl, author: isText, subreddit: isText, score: isCount, createdAt: isDate },
+  producthunt: { title: isText, name: isText, url: isUrl, createdAt: isDate },
+  'devto-edu': { title: isText, url: isUrl, author: isText, tags: isList, educationalTag: isText, isEducational: value => value === true },
+  freecodecamp: { title: isText, url: value => value.startsWith('https://www.freecodecamp.org/news/'), author: value => isText(value) && value !== 'FreeCodeCamp', isEducational: value => value === true },
+  // publishedAt also proves the RSS feed was parsed rather than the built-in fallback list used
+  dailydev: { title: isText, url: isUrl, tags: isList, publishedAt: isDate },
+  paperswithcode: { title: isText, url: isUrl, arxivUrl: isUrl, description: isText, upvotes: isCount, isEducational: value => value === true }
+};
+
+// Local server for the record/replay mechanics
+const server = http.createServer((req, res) => {
+  if (req.url === '/stories.json') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify([{ title: 'Recorded story' }]));
+    return;
+  }
+  res.writeHead(404, { 'Content-Type': 'text/plain' });
+  res.end('Not Found');
+});
+
+async function testMechanics() {
+  // Test 1: Recording
+  console.log('Test 1: Record mode...');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  process.env.DAILY_VOICE_FIXTURES = 'record';
+  process.env.DAILY_VOICE_FIXTURES_DIR = path.join(scratchDir, 'recorded');
+
+  const live = await fetchJSON(`${baseUrl}/stories.json`, { cache: { ttlMinutes: 60 } });
+  const fixturePath = getFixturePath(`${baseUrl}/stories.json`);
+  const recording = JSON.parse(await fs.readFile(fixturePath, 'utf-8'));
+  assert(live[0].title === 'Recorded story', 'live response returned');
+  assert(path.basename(path.dirname(fixturePath)) === '127.0.0.1' && path.basename(fixturePath).startsWith('stories.json-'), 'fixture named by host and path');
+  assert(recording.status === 200 && recording.json[0].title === 'Recorded story', 'JSON body stored as JSON');
+  assert(getFixturePath(baseUrl, { method: 'POST', body: '{"query":"a"}' }) !== getFixturePath(baseUrl, { method: 'POST', body: '{"query":"b"}' }), 'POST bodies recorded separately');
+  await fetchJSON(`${baseUrl}/missing.json`).catch(() => {});
+  const cacheFiles = await fs.readdir(process.env.DAILY_VOICE_CACHE_DIR).catch(() => []);
+  assert(cacheFiles.length === 0, 'cache bypassed');
+  console.log('✅ Recorded', path.basename(fixturePath));
+
+  // Test 2: Replaying with the server gone
+  console.log('\nTest 2: Replay mode...');
+  await new Promise(resolve => server.close(resolve));
+  process.env.DAILY_VOICE_FIXTURES = 'replay';
+
+  const replayed = await fetchJSON(`${baseUrl}/stories.json`);
+  assert(replayed[0].title === 'Recorded story', 'served from the recording');
+  const failure = await fetchJSON(`${baseUrl}/missing.json`).catch(error => error);
+  assert(failure.message === `HTTP 404 Not Found for ${baseUrl}/missing.json`, 'recorded errors replay as errors');
+  const unrecorded = await fetchJSON(`${baseUrl}/other.json`).catch(error => error);
+  assert(unrecorded.message.startsWith(`No recorded response for GET ${baseUrl}/other.json`), 'unrecorded requests fail');
+  process.env.DAILY_VOICE_FIXTURES = 'playback';
+  const invalid = await fetchJSON(`${baseUrl}/stories.json`).catch(error => error);
+  assert(invalid.message.includes('Unknown DAILY_VOICE_FIXTURES mode "playback"'), 'unknown mode rejected');
+  console.log('✅ Replayed without the network');
+}
+
+async function testSources() {
+  // Test 3: Every built-in source parses its recording
+  console.log(`\nTest 3: Sources (${SOURCE_MODE})...`);
+  process.env.DAILY_VOICE_FIXTURES = SOURCE_MODE;
+  delete process.env.DAILY_VOICE_FIXTURES_DIR;
+
+  const rawData = {};
+  for (const source of getAllSources()) {
+    assert(REPLAY_OPTIONS[source.id] && EXPECTED_FIELDS[source.id], `${source.id} has replay options and expected fields`);
+
+    const items = await source.fetch({ ...getFetchOptions(source), ...REPLAY_OPTIONS[source.id] });
+    assert(items.length > 0, `${source.id} returned items`);
+    assert(items.length <= REPLAY_OPTIONS[source.id].limit, `${source.id} respects the limit`);
+
+    for (const [field, check] of Object.entries(EXPECTED_FIELDS[source.id])) {
+      const bad = items.find(item => !check(item[field]));
+      assert(!bad, `${source.id}.${field} extracted (got ${JSON.stringify(bad?.[field])})`);
+    }
+
+    rawData[source.id] = items;
+    console.log(`  ${source.emoji} ${source.id}: ${items.length} items`);
+  }
+  console.log('✅ All', getAllSources().length, 'sources parsed');
+  if (SOURCE_MODE === 'replay') {
+    const handWritten = await listHandWrittenFixtures(path.dirname(path.dirname(getFixturePath('https://example.com/'))));
+    if (handWritten.length > 0) {
+      console.log(`⚠️  Still hand-written, so markup drift isn't covered: ${handWritten.join(', ')}`);
+    }
+  }
+
+  // Test 4: Normalized output
+  console.log('\nTest 4: Normalization...');
+  const normalized = normalizeAll(rawData, { dedupe: false });
+  normalized.forEach(item => {
+    assert(item.id.startsWith('item_') && isUrl(item.url), `${item.source} item has id and url`);
+    assert(item.score >= 0 && item.score <= 100, `${item.source} score in range`);
+    assert(Array.isArray(item.tags), `${item.source} tags`);
+  });
+  const sources = new Set(normalized.map(item => item.source));
+  assert(sources.size === Object.keys(rawData).length, 'every source represented');
+  console.log('✅ Normalized', normalized.length, 'items from', sources.size, 'sources');
+}
+
+async function test() {
+  console.log('🧪 Testing Recorded Fixture Replay\n');
+
+  await testMechanics();
+  await testSources();
+
+  console.log('\n✅ All tests passed! Every source works offline.\n');
+}
+
+test()
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    server.close();
+    await fs.rm(scratchDir, { recursive: true, force: true });
+  });
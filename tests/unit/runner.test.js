@@ -0,0 +1,98 @@
+import { mapWithConcurrency, fetchSourceWithPolicy, DEFAULT_POLICY } from '../../src/discovery/runner.js';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Fast policy so the test doesn't wait on real backoff delays
+const policy = { ...DEFAULT_POLICY, timeoutMs: 100, retries: 2, backoffMs: 10 };
+
+async function test() {
+  console.log('🧪 Testing Discovery Runner\n');
+
+  // Test 1: Bounded pool keeps order and respects the limit
+  console.log('Test 1: Bounded concurrency...');
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, index) => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await sleep(ms);
+    inFlight--;
+    return index;
+  });
+  assert(maxInFlight === 2, `max 2 in flight (got ${maxInFlight})`);
+  assert(results.join(',') === '0,1,2,3,4', 'results keep input order');
+  console.log('✅ Max in flight:', maxInFlight);
+
+  // Test 2: Successful source
+  console.log('\nTest 2: Successful source...');
+  const ok = await fetchSourceWithPolicy({
+    name: 'Ok',
+    limit: 2,
+    options: {},
+    fetch: async ({ limit, signal }) => {
+      assert(signal instanceof AbortSignal, 'fetcher receives an AbortSignal');
+      return Array.from({ length: limit }, (_, i) => ({ title: `Item ${i}` }));
+    }
+  }, policy);
+  assert(ok.status === 'success' && ok.items.length === 2, 'success with 2 items');
+  console.log('✅ Status:', ok.status, '| Attempts:', ok.attempts);
+
+  // Test 3: Flaky source succeeds on retry
+  console.log('\nTest 3: Retry with backoff...');
+  let calls = 0;
+  const flaky = await fetchSourceWithPolicy({
+    name: 'Flaky',
+    limit: 1,
+    options: {},
+    fetch: async () => {
+      calls++;
+      if (calls < 3) throw new Error('HTTP 503');
+      return [{ title: 'Finally' }];
+    }
+  }, policy);
+  assert(flaky.status === 'success' && flaky.attempts === 3, 'succeeds on third attempt');
+  console.log('✅ Succeeded after', flaky.attempts, 'attempts');
+
+  // Test 4: Hanging source times out and is aborted
+  console.log('\nTest 4: Timeout...');
+  let aborted = false;
+  const slow = await fetchSourceWithPolicy({
+    name: 'Slow',
+    limit: 1,
+    options: {},
+    retries: 0,
+    fetch: ({ signal }) => new Promise(() => {
+      signal.addEventListener('abort', () => { aborted = true; });
+    })
+  }, policy);
+  assert(slow.status === 'timeout', 'status is timeout');
+  assert(aborted, 'signal was aborted');
+  assert(slow.attempts === 1, 'per-source retries override the policy');
+  console.log('✅ Status:', slow.status, '| Error:', slow.error.message);
+
+  // Test 5: Failing source reports failure, not timeout
+  console.log('\nTest 5: Failure...');
+  const broken = await fetchSourceWithPolicy({
+    name: 'Broken',
+    limit: 1,
+    options: {},
+    fetch: async () => { throw new Error('Selector returned nothing'); }
+  }, policy);
+  assert(broken.status === 'failed', 'status is failed');
+  assert(broken.attempts === 3, 'retried twice');
+  assert(broken.items.length === 0, 'no items');
+  console.log('✅ Status:', broken.status, '| Attempts:', broken.attempts);
+
+  console.log('\n✅ All tests passed! Discovery runner is working.\n');
+}
+
+test().catch(error => {
+  console.error('❌', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,113 @@
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import fs from 'fs/promises';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { addDays } from 'date-fns';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Point the run log at a scratch data directory
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'daily-voice-schedule-'));
+process.env.DAILY_VOICE_DATA_DIR = dataDir;
+
+const { appendRunLog, readRunLog, formatNotification } = await import('../../src/schedule.js');
+const { loadDigestHistory } = await import('../../src/discovery/history.js');
+const { DATA_DIR } = await import('../../src/core/config.js');
+
+// Local RSS feed standing in for every discovery source
+const feedServer = http.createServer(async (req, res) => {
+  res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+  res.end(await fs.readFile(path.join(__dirname, '../fixtures/feeds/rss.xml')));
+});
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+const sources = [
+  { id: 'hackernews', name: 'HackerNews', status: 'success', items: 20, attempts: 1, duration: 800, error: null },
+  { id: 'github', name: 'GitHub', status: 'timeout', items: 0, attempts: 2, duration: 40000, error: 'GitHub timed out after 20000ms' },
+  { id: 'lobsters', name: 'Lobsters', status: 'failed', items: 0, attempts: 2, duration: 300, error: 'HTTP 503' }
+];
+
+async function test() {
+  console.log('🧪 Testing Scheduled Digest\n');
+
+  // Test 1: Run log
+  console.log('Test 1: Run log...');
+  assert((await readRunLog()).length === 0, 'empty before the first run');
+  await appendRunLog({ date: '2026-01-09', status: 'success', educational: 25, trending: 15, sources });
+  await appendRunLog({ date: '2026-01-10', status: 'failed', error: 'No content found', sources: [] });
+  await fs.appendFile(path.join(dataDir, 'schedule', 'runs.jsonl'), '{"date": "2026-01-11", "sta');
+  const runs = await readRunLog();
+  assert(runs.length === 2, 'half-written line skipped');
+  assert(runs[0].sources[1].status === 'timeout', 'per-source status kept');
+  assert((await readRunLog(1))[0].date === '2026-01-10', 'limit returns newest runs');
+  console.log('✅ Logged', runs.length, 'runs');
+
+  // Test 2: Notification for a successful run
+  console.log('\nTest 2: Success notification...');
+  const digest = {
+    educational: [{ title: 'Designing a rate limiter', url: 'https://example.com/rate-limiter' }],
+    trending: [{ title: 'Ghostty is now non-profit', url: 'https://mitchellh.com/writing/ghostty-non-profit' }]
+  };
+  const ok = formatNotification({
+    date: '2026-01-09', status: 'success', educational: 25, trending: 15, sources, outFile: '/tmp/digest-2026-01-09.html'
+  }, digest);
+  assert(ok.startsWith('Daily digest ready - 2026-01-09'), 'headline');
+  assert(ok.includes('1/3 sources ok (github timeout, lobsters failed)'), 'source health');
+  assert(ok.includes('- Designing a rate limiter\n  https://example.com/rate-limiter'), 'highlights');
+  assert(ok.includes('Open: /tmp/digest-2026-01-09.html'), 'output path');
+  console.log('✅', ok.split('\n')[1]);
+
+  // Test 3: Notification for a failed run
+  console.log('\nTest 3: Failure notification...');
+  const failed = formatNotification({ date: '2026-01-10', status: 'failed', error: 'No content found', sources }, null);
+  assert(failed.startsWith('Daily digest FAILED - 2026-01-10\nNo content found'), 'failure headline and reason');
+  console.log('✅', failed.split('\n')[0]);
+
+  // Test 4: The bin writes to the data directory from any cwd
+  console.log('\nTest 4: Run from another directory...');
+  await new Promise(resolve => feedServer.listen(0, '127.0.0.1', resolve));
+  const configDir = path.join(dataDir, 'config');
+  const elsewhere = path.join(dataDir, 'elsewhere');
+  await fs.mkdir(configDir, { recursive: true });
+  await fs.mkdir(elsewhere, { recursive: true });
+  const builtIn = ['devto', 'hackernews', 'github', 'lobsters', 'hashnode', 'reddit', 'producthunt', 'devto-edu', 'freecodecamp', 'dailydev', 'paperswithcode'];
+  await fs.writeFile(path.join(configDir, 'sources.json'), JSON.stringify({
+    discovery: { cache: false, retries: 0 },
+    sources: {
+      ...Object.fromEntries(builtIn.map(id => [id, { enabled: false }])),
+      acme: { type: 'feed', name: 'Acme', url: `http://127.0.0.1:${feedServer.address().port}/feed.xml` }
+    }
+  }));
+
+  await promisify(execFile)(process.execPath, [path.join(__dirname, '../../src/interfaces/cli/daily-voice.js'), 'schedule', '--once', '--format', 'json'], {
+    cwd: elsewhere,
+    env: { ...process.env, DAILY_VOICE_CONFIG_DIR: configDir, DAILY_VOICE_CACHE_DIR: path.join(dataDir, 'cache') },
+    timeout: 60000
+  });
+  const written = (await fs.readdir(dataDir)).filter(file => file.startsWith('digest-'));
+  assert(DATA_DIR === dataDir && written.length === 1, `digest JSON in the data directory (got ${written})`);
+  assert((await fs.readdir(elsewhere)).length === 0, 'nothing written to the cwd');
+  const history = await loadDigestHistory({}, addDays(new Date(), 1));
+  assert(history.digestCount === 1 && history.shownCounts.size > 0, 'history picks the digest up');
+  console.log('✅', written[0], '→ history sees', history.shownCounts.size, 'items');
+
+  console.log('\n✅ All tests passed! Scheduled digest bookkeeping works.\n');
+}
+
+test()
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    feedServer.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
@@ -0,0 +1,103 @@
+import http from 'http';
+import path from 'path';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { parseRedditListing } from '../../src/discovery/sources/reddit.js';
+import { parseProductHuntPosts, parseProductHuntFeed } from '../../src/discovery/sources/producthunt.js';
+import { parsePapers, fetchPapersWithCode } from '../../src/discovery/sources/paperswithcode.js';
+import { normalizeAll } from '../../src/discovery/normalizer.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(__dirname, '../fixtures/sources');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function readFixture(name) {
+  return fs.readFile(path.join(fixturesDir, name), 'utf-8');
+}
+
+// Local server answering like the daily papers endpoint
+const server = http.createServer(async (req, res) => {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(await readFixture('paperswithcode.json'));
+});
+
+async function test() {
+  console.log('🧪 Testing Reddit, Product Hunt and Papers with Code Sources\n');
+
+  // Test 1: Reddit listing
+  console.log('Test 1: Reddit...');
+  const reddit = parseRedditListing(JSON.parse(await readFixture('reddit.json')));
+  const [queue, evals, rust] = reddit;
+  assert(reddit.length === 3, 'stickied and removed posts skipped');
+  assert(queue.url === 'https://blog.example.com/postgres-queue?utm_source=reddit', 'link posts point at the article');
+  assert(queue.commentsUrl.endsWith('/why_we_replaced_our_message_queue/'), 'permalink kept');
+  assert(queue.flair === 'Databases' && queue.comments === 412, 'flair and comments');
+  assert(evals.isSelf && evals.url === evals.commentsUrl, 'self posts point at the discussion');
+  assert(evals.createdAt === '2026-01-09T12:00:00.000Z', 'created_utc → ISO');
+  assert(rust.flair === null, 'missing flair');
+  console.log('✅ Parsed', reddit.length, 'posts');
+
+  // Test 2: Product Hunt API and feed
+  console.log('\nTest 2: Product Hunt...');
+  const launches = parseProductHuntPosts(JSON.parse(await readFixture('producthunt-graphql.json')));
+  assert(launches[0].title === 'Tracewise - OpenTelemetry traces explained in plain English', 'name + tagline');
+  assert(launches[0].votes === 612 && launches[0].topics.join(',') === 'Developer Tools,Artificial Intelligence', 'votes and topics');
+  assert(launches[1].url === 'https://www.producthunt.com/posts/schemaless', 'falls back to the Product Hunt page');
+  assert(launches[1].description === 'Migrations you can review', 'tagline as description');
+  let rejected = false;
+  try {
+    parseProductHuntPosts({ errors: [{ message: 'invalid_oauth_token' }] });
+  } catch (error) {
+    rejected = error.message.includes('invalid_oauth_token');
+  }
+  assert(rejected, 'GraphQL errors surface');
+  const featured = parseProductHuntFeed(await readFixture('producthunt.xml'));
+  assert(featured.length === 2 && featured[0].votes === undefined, 'feed has no votes');
+  assert(featured[0].tagline === 'OpenTelemetry traces explained in plain English', 'tagline from content');
+  assert(featured[1].author === 'Tom Okafor' && featured[1].createdAt === '2026-01-09T08:01:00.000Z', 'author and date');
+  console.log('✅ Parsed', launches.length, 'API launches and', featured.length, 'feed launches');
+
+  // Test 3: Papers
+  console.log('\nTest 3: Papers with Code...');
+  const papers = parsePapers(JSON.parse(await readFixture('paperswithcode.json')));
+  const [moe, survey] = papers;
+  assert(papers.length === 2, 'entries without an id skipped');
+  assert(moe.title === 'Sparse Mixture-of-Experts Routing Without Load Balancing Losses', 'whitespace collapsed');
+  assert(moe.url === 'https://huggingface.co/papers/2601.04821' && moe.arxivUrl === 'https://arxiv.org/abs/2601.04821', 'paper links');
+  assert(moe.author === 'Mei Lin, Arjun Patel, Sofia García', 'first three authors');
+  assert(moe.repository === 'https://github.com/example/moe-routing' && moe.comments === 5, 'repo and comments');
+  assert(survey.keywords.length === 0 && survey.repository === null, 'optional fields');
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const fetched = await fetchPapersWithCode({ limit: 1, url: `http://127.0.0.1:${server.address().port}/api/daily_papers` });
+  assert(fetched.length === 1 && fetched[0].upvotes === 84, 'fetch sorts by upvotes and limits');
+  console.log('✅ Parsed', papers.length, 'papers');
+
+  // Test 4: Normalization
+  console.log('\nTest 4: Normalization...');
+  const normalized = normalizeAll({ reddit, producthunt: launches, paperswithcode: papers }, { dedupe: false });
+  const find = title => normalized.find(item => item.title.startsWith(title));
+  assert(find('Why we replaced').score === 100 && find('[D] How are').score === 68, 'reddit log scale');
+  assert(find('Zero-cost async').score === 0, 'unvoted reddit post');
+  assert(find('Why we replaced').tags.join(',') === 'programming,databases', 'subreddit and flair tags');
+  assert(find('Tracewise').score === 100 && find('Schemaless').score === 29, 'product hunt votes');
+  assert(find('Schemaless').tags.join(',') === 'product,launch', 'default product hunt tags');
+  assert(normalizeAll({ producthunt: featured })[0].score === 60, 'feed launches get a flat score');
+  assert(find('Sparse').score === 82 && find('Sparse').isEducational, 'papers are educational');
+  assert(find('Sparse').tags.join(',') === 'research,paper,mixture-of-experts,routing,load-balancing', 'paper keywords (hyphenated by the taxonomy)');
+  console.log('✅ Scores:', normalized.map(item => `${item.source}:${item.score}`).join(', '));
+
+  console.log('\n✅ All tests passed! New sources are working.\n');
+}
+
+test()
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => server.close());
@@ -0,0 +1,123 @@
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import fs from 'fs/promises';
+
+// Voice profile cache goes to a scratch data directory
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'daily-voice-streaming-'));
+process.env.DAILY_VOICE_DATA_DIR = dataDir;
+
+const { startMockLLMServer, useMockLLMServer } = await import('../support/mock-llm-server.js');
+const { createLLMClient, DEFAULT_LLM_CONFIG } = await import('../../src/core/llm.js');
+const { generatePost } = await import('../../src/core/generator.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+const mock = await startMockLLMServer({ streamDelayMs: 2 });
+
+// Local OpenAI-compatible server streaming three chunks and a usage chunk
+const chatServer = http.createServer((req, res) => {
+  req.resume();
+  req.on('end', () => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    const chunk = (delta, finish = null) => ({
+      id: 'chatcmpl-1', object: 'chat.completion.chunk', model: 'llama3.1',
+      choices: [{ index: 0, delta, finish_reason: finish }]
+    });
+    [
+      chunk({ role: 'assistant', content: '' }),
+      chunk({ content: 'Hello' }),
+      chunk({ content: ' from' }),
+      chunk({ content: ' llama' }, 'stop'),
+      { id: 'chatcmpl-1', object: 'chat.completion.chunk', model: 'llama3.1', choices: [], usage: { prompt_tokens: 12, completion_tokens: 3 } }
+    ].forEach(data => res.write(`data: ${JSON.stringify(data)}\n\n`));
+    res.end('data: [DONE]\n\n');
+  });
+});
+
+const request = { model: 'claude-x', max_tokens: 100, messages: [{ role: 'user', content: 'Summarize this article: ...' }] };
+
+async function test() {
+  console.log('🧪 Testing Streaming Generation\n');
+
+  // Test 1: Providers stream
+  console.log('Test 1: Providers...');
+  const canned = createLLMClient({ ...DEFAULT_LLM_CONFIG, provider: 'mock', mock: { responses: [], defaultText: 'One two three' } });
+  const deltas = [];
+  const message = await canned.messages.stream(request, { onText: (delta, snapshot) => deltas.push([delta, snapshot]) });
+  assert(deltas.map(([delta]) => delta).join('|') === 'One| two| three', 'mock streams a word at a time');
+  assert(deltas.at(-1)[1] === message.content[0].text, 'snapshot ends at the full text');
+
+  await new Promise(resolve => chatServer.listen(0, '127.0.0.1', resolve));
+  const local = createLLMClient({
+    ...DEFAULT_LLM_CONFIG,
+    provider: 'openai',
+    openai: { apiKeyEnv: 'DAILY_VOICE_TEST_NO_KEY', baseURL: `http://127.0.0.1:${chatServer.address().port}/v1`, model: 'llama3.1' }
+  });
+  let snapshot = '';
+  const chat = await local.messages.stream(request, { onText: (_, text) => { snapshot = text; } });
+  assert(chat.content[0].text === 'Hello from llama' && snapshot === 'Hello from llama', 'chat chunks joined');
+  assert(chat.stop_reason === 'end_turn' && chat.usage.output_tokens === 3, 'finish reason and usage kept');
+
+  await useMockLLMServer(mock);
+  const { getLLMClient } = await import('../../src/core/llm.js');
+  const anthropic = await getLLMClient();
+  let events = 0;
+  const streamed = await anthropic.messages.stream(request, { onText: () => events++ });
+  assert(JSON.parse(streamed.content[0].text).keyPoints.length === 3 && events > 10, 'SSE from the mock server');
+  assert(streamed.stop_reason === 'end_turn' && mock.requests.at(-1).stream === true, 'stream requested');
+  console.log('✅ mock, openai and anthropic stream', deltas.length, '/', events, 'deltas');
+
+  // Test 2: Generation streams per platform
+  console.log('\nTest 2: Generation...');
+  const seen = { twitter: '', linkedin: '' };
+  const results = await generatePost('Developer tools fail for a reason. '.repeat(20), {
+    platforms: ['twitter', 'linkedin'],
+    onText: (platform, delta, text) => { seen[platform] = text; }
+  });
+  assert(seen.twitter.length > 0 && seen.linkedin.startsWith('Three hours. One CSS bug.'), 'text reported per platform');
+  assert(results.twitter.isThread && results.twitter.content.length === 4, 'thread optimizer runs on the finished text');
+  assert(results.linkedin.partial === false && results.linkedin.content === seen.linkedin.trim(), 'complete post');
+  console.log('✅', results.twitter.content.length, 'tweets streamed');
+
+  // Test 3: Cancelling keeps the partial draft
+  console.log('\nTest 3: Cancel...');
+  const controller = new AbortController();
+  let received = '';
+  const cancelled = await generatePost('JavaScript promises are just fancy callbacks with better error handling.', {
+    platforms: ['linkedin'],
+    signal: controller.signal,
+    onText: (platform, delta, text) => {
+      received = text;
+      if (text.split(' ').length >= 5) controller.abort();
+    }
+  });
+  assert(cancelled.linkedin.partial === true && !cancelled.linkedin.error, 'marked partial, not failed');
+  assert(cancelled.linkedin.content === received.trim() && received.split(' ').length === 5, `partial text kept (got "${cancelled.linkedin.content}")`);
+  const early = new AbortController();
+  early.abort();
+  const empty = await generatePost('JavaScript promises are just fancy callbacks with better error handling.', {
+    platforms: ['twitter'],
+    signal: early.signal,
+    onText: () => {}
+  });
+  assert(empty.twitter.partial && empty.twitter.content === null, 'nothing arrived → no draft');
+  console.log('✅ kept:', cancelled.linkedin.content);
+
+  console.log('\n✅ All tests passed! Streaming generation is working.\n');
+}
+
+test()
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    chatServer.close();
+    await mock.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
@@ -0,0 +1,102 @@
+import { normalizeAll } from '../../src/discovery/normalizer.js';
+import { mergeConfig } from '../../src/core/config.js';
+import {
+  DEFAULT_TAXONOMY,
+  normalizeTag,
+  getTagAncestors,
+  inferTags,
+  matchesKeyword,
+  normalizeTags
+} from '../../src/discovery/tags.js';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function test() {
+  console.log('🧪 Testing Tag Taxonomy\n');
+
+  // Test 1: One spelling per tag
+  console.log('Test 1: Synonyms...');
+  ['JavaScript', 'javascript', 'js', '#JS', ' ECMAScript '].forEach(tag =>
+    assert(normalizeTag(tag) === 'javascript', `${tag} → javascript`));
+  assert(normalizeTag('React.js') === 'react' && normalizeTag('ReactJS') === 'react', 'react spellings');
+  assert(normalizeTag('Web Development') === 'web' && normalizeTag('machine_learning') === 'machine-learning', 'spaces and underscores');
+  assert(normalizeTag('C++') === 'cpp' && normalizeTag('C#') === 'csharp', 'symbols');
+  assert(normalizeTag('Mixture of Experts') === 'mixture-of-experts', 'unknown tags slugged');
+  assert(normalizeTag('  #  ') === null, 'empty → null');
+  console.log('✅ js, JavaScript and ECMAScript are one tag');
+
+  // Test 2: Hierarchy
+  console.log('\nTest 2: Hierarchy...');
+  assert(getTagAncestors('react').join(',') === 'frontend,web', 'react → frontend → web');
+  assert(getTagAncestors('next').join(',') === 'react,frontend,web', 'next → react → ...');
+  assert(getTagAncestors('web').length === 0, 'top level');
+  const cyclic = { parents: { a: 'b', b: 'a' } };
+  assert(getTagAncestors('a', cyclic).join(',') === 'b', 'cycles stop');
+  assert(normalizeTags(['ReactJS', 'CSS']).join(',') === 'react,css,frontend,web', 'ancestors appended once');
+  console.log('✅', normalizeTags(['ReactJS', 'CSS']).join(' → '));
+
+  // Test 3: Inference for untagged items
+  console.log('\nTest 3: Inference...');
+  assert(inferTags('Show HN: A Postgres extension for vector search').join(',') === 'postgres', 'postgres');
+  assert(inferTags('Why JavaScript is not Java').join(',') === 'javascript,java', 'java needs its own word');
+  assert(inferTags('Cargo workspaces in practice').join(',') === 'rust', 'cargo');
+  assert(inferTags('Trusting your tools').length === 0, 'whole words only');
+  assert(inferTags('The AI said C++ was fine').join(',') === 'cpp,ai', 'symbols and short words');
+  assert(inferTags('My grandmother’s recipe book').length === 0, 'nothing to infer');
+  assert(matchesKeyword('node.js in 2026', 'Node.js') && !matchesKeyword('c++ tips', 'c'), 'keyword matcher shared with focus mode');
+  assert(normalizeTags([], { title: 'Running LLMs on a Raspberry Pi' }).join(',') === 'llm,ai', 'inferred tags get ancestors');
+  assert(normalizeTags(['release'], { title: 'Rust 1.80 released' }).join(',') === 'release', 'tagged items are left alone');
+  console.log('✅ HN-style titles tagged');
+
+  // Test 4: Normalized items
+  console.log('\nTest 4: Across sources...');
+  const items = normalizeAll({
+    devto: [{ title: 'Hooks in depth', url: 'https://dev.to/a/hooks', reactions: 40, tags: ['react', 'javascript'] }],
+    hashnode: [{ title: 'Closures explained', url: 'https://hashnode.dev/closures', reactions: 10, tags: ['JavaScript', 'Web Development'] }],
+    reddit: [{ title: 'ESM finally', url: 'https://reddit.example/esm', score: 50, subreddit: 'js' }],
+    hackernews: [{ title: 'Kubernetes is not your platform', url: 'https://blog.example/k8s', score: 300 }],
+    github: [{ name: 'owner / tool', url: 'https://github.com/owner/tool', description: 'A Rust CLI', language: 'Rust', starsToday: 90 }]
+  }, { dedupe: false });
+  const tagsOf = source => items.find(item => item.source === source).tags.join(',');
+  assert(tagsOf('devto') === 'react,javascript,frontend,web', 'dev.to');
+  assert(tagsOf('hashnode') === 'javascript,web', 'hashnode');
+  assert(tagsOf('reddit') === 'javascript', 'reddit subreddit');
+  assert(tagsOf('hackernews') === 'kubernetes,devops', 'hackernews inferred');
+  assert(tagsOf('github') === 'rust', 'github language');
+  const noLanguage = normalizeAll({
+    github: [
+      { name: 'owner / dotfiles', url: 'https://github.com/owner/dotfiles', description: 'My config', language: 'Unknown', starsToday: 20 },
+      { name: 'owner / infra', url: 'https://github.com/owner/infra', description: 'Kubernetes manifests', language: 'Unknown', starsToday: 20 }
+    ]
+  }, { dedupe: false });
+  assert(noLanguage.every(item => !item.tags.includes('unknown')), 'placeholder language dropped');
+  assert(noLanguage[1].tags.includes('kubernetes'), 'tags inferred instead');
+  const raw = normalizeAll({ hashnode: [{ title: 'Closures explained', url: 'https://hashnode.dev/closures', tags: ['JavaScript'] }] }, { taxonomy: false });
+  assert(raw[0].tags.join(',') === 'JavaScript', 'taxonomy: false keeps raw tags');
+  console.log('✅', items.map(item => `${item.source}: ${item.tags.join(' ')}`).join(' | '));
+
+  // Test 5: Configured additions
+  console.log('\nTest 5: Config...');
+  const taxonomy = mergeConfig(DEFAULT_TAXONOMY, {
+    synonyms: { tailwindcss: 'tailwind' },
+    parents: { tailwind: 'css' },
+    keywords: { tailwind: ['tailwind'] }
+  });
+  assert(normalizeTags(['TailwindCSS'], {}, taxonomy).join(',') === 'tailwind,css,frontend,web', 'custom synonym and parent');
+  assert(normalizeTags([], { title: 'Tailwind v4 is out' }, taxonomy).join(',') === 'tailwind,css,frontend,web', 'custom keyword');
+  assert(taxonomy.synonyms.js === 'javascript', 'defaults kept');
+  console.log('✅ Config merged over the defaults');
+
+  console.log('\n✅ All tests passed! Tag taxonomy is working.\n');
+}
+
+try {
+  test();
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
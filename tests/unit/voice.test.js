@@ -0,0 +1,103 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+// Point data/published/ and the profile cache at a scratch data directory
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'daily-voice-voice-'));
+process.env.DAILY_VOICE_DATA_DIR = dataDir;
+
+const {
+  loadPublishedPosts,
+  getPostTexts,
+  extractStyleFeatures,
+  buildVoiceProfile,
+  formatVoicePrompt
+} = await import('../../src/core/voice.js');
+const { savePost } = await import('../../src/core/storage.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function writePost(dir, post) {
+  await fs.mkdir(path.join(dataDir, dir), { recursive: true });
+  await fs.writeFile(path.join(dataDir, dir, `${post.id}.json`), JSON.stringify({ status: 'published', ...post }, null, 2));
+}
+
+async function test() {
+  console.log('🧪 Testing Voice Profile\n');
+
+  // Test 1: Post text per platform
+  console.log('Test 1: Post texts...');
+  const thread = getPostTexts({ content: { twitter: JSON.stringify(['First tweet.', 'Second tweet?']) } });
+  assert(thread.twitter === 'First tweet.\n\nSecond tweet?' && thread.linkedin === null, 'JSON-encoded thread joined');
+  assert(getPostTexts({ content: { twitter: ['A', 'B'] } }).twitter === 'A\n\nB', 'array thread');
+  assert(getPostTexts({ content: { twitter: '[WIP] not a thread' } }).twitter === '[WIP] not a thread', 'bracketed text kept');
+  console.log('✅ Threads and single posts read');
+
+  // Test 2: Style features
+  console.log('\nTest 2: Style features...');
+  const features = extractStyleFeatures([
+    "I've shipped three side projects this year. Honestly? The deploy pipeline was the hard part 😅",
+    "Shipped my CLI today. It's tiny. I'm weirdly proud of the deploy script.\n\nAnyone else ship small tools?",
+    'We migrated the monolith to services. The deploy pipeline took six months. Worth it.'
+  ]);
+  assert(features.samples === 3 && features.avgSentenceLength === 4.7, `sentence length (got ${features.avgSentenceLength})`);
+  assert(features.emojiShare === 33 && features.emojiPerPost === 0.3, 'emoji');
+  assert(features.contractionRate === 6.4, `contractions (got ${features.contractionRate})`);
+  assert(features.questionShare === 67, 'questions');
+  assert(features.commonOpeners.join(',') === 'the deploy', 'openers seen twice');
+  assert(features.vocabulary.slice(0, 2).join(',') === 'deploy,pipeline', 'vocabulary');
+  const empty = extractStyleFeatures([]);
+  assert(empty.samples === 0 && empty.avgSentenceLength === 0 && empty.commonOpeners.length === 0, 'no posts');
+  console.log('✅', JSON.stringify({ ...features, vocabulary: features.vocabulary.slice(0, 3) }));
+
+  // Test 3: Profile from published and archived posts
+  console.log('\nTest 3: Profile...');
+  assert((await buildVoiceProfile()).postCount === 0, 'nothing published yet');
+  assert(formatVoicePrompt(null).startsWith('No past posts available'), 'fallback prompt');
+  await writePost('published', { id: 'post_2', timestamp: '2026-02-01T10:00:00.000Z', content: { twitter: "Shipped my CLI today. It's tiny 😅", linkedin: 'A longer story about the CLI. '.repeat(20) } });
+  await writePost('archive/published', { id: 'post_1', timestamp: '2026-01-01T10:00:00.000Z', content: { twitter: JSON.stringify(['Old thread.', 'Anyone else?']) } });
+  await writePost('archive/published', { id: 'post_2', timestamp: '2025-01-01T10:00:00.000Z', content: { twitter: 'Stale copy of post_2' } });
+  await fs.writeFile(path.join(dataDir, 'published', 'post_broken.json'), '{ "id": ');
+  const posts = await loadPublishedPosts();
+  assert(posts.map(post => post.id).join(',') === 'post_2,post_1', 'newest first, published/ wins, broken skipped');
+  const profile = await buildVoiceProfile();
+  assert(profile.postCount === 2 && profile.examples[1].twitter === 'Old thread.\n\nAnyone else?', 'profile built');
+  assert(profile.features.emojiShare === 33, 'features over every platform text');
+  console.log('✅', profile.postCount, 'posts,', profile.features.samples, 'texts');
+
+  // Test 4: Cache
+  console.log('\nTest 4: Cache...');
+  const cached = JSON.parse(await fs.readFile(path.join(dataDir, 'voice-profile.json'), 'utf-8'));
+  assert(cached.fingerprint === profile.fingerprint, 'profile cached');
+  await fs.writeFile(path.join(dataDir, 'voice-profile.json'), JSON.stringify({ ...cached, builtAt: 'cached' }));
+  assert((await buildVoiceProfile()).builtAt === 'cached', 'cache reused while posts are unchanged');
+  assert((await buildVoiceProfile({ refresh: true })).builtAt !== 'cached', 'refresh ignores the cache');
+  await fs.writeFile(path.join(dataDir, 'voice-profile.json'), JSON.stringify({ ...cached, builtAt: 'cached' }));
+  await savePost({ id: 'post_3', timestamp: '2026-03-01T10:00:00.000Z', content: { twitter: 'Newest post.' } }, 'published');
+  const rebuilt = await buildVoiceProfile();
+  assert(rebuilt.builtAt !== 'cached' && rebuilt.postCount === 3 && rebuilt.examples[0].id === 'post_3', 'post saved by storage rebuilds');
+  console.log('✅ Rebuilt when a post is published');
+
+  // Test 5: Prompt
+  console.log('\nTest 5: Prompt...');
+  const prompt = formatVoicePrompt(rebuilt, 2);
+  assert(prompt.startsWith('Here are 2 examples') && prompt.includes('Example 2:\nTwitter: Shipped my CLI') && !prompt.includes('Example 3'), 'examples limited');
+  assert(prompt.includes('LinkedIn: A longer story') && prompt.includes('...\n'), 'LinkedIn truncated');
+  assert(prompt.includes('THEIR STYLE (measured across 3 published posts)') && prompt.includes('- Sentences average'), 'style summary');
+  console.log('✅ Examples and style in the prompt');
+
+  console.log('\n✅ All tests passed! Voice profile is working.\n');
+}
+
+test()
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });